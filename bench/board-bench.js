@@ -0,0 +1,123 @@
+/**
+ * Online Whiteboard - Large Board Benchmark
+ * Measures indexing, hit testing and frame cost on a synthetic board.
+ *
+ * Usage: node bench/board-bench.js [elementCount]   (default 10000)
+ *
+ * Runs the browser scripts in a Node VM with a minimal window and a no-op
+ * canvas context, so the draw timings cover traversal and path building only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- 1. CONFIGURATION ---
+const COUNT = parseInt(process.argv[2] || '10000', 10);
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = ['js/history.js', 'js/ink.js', 'js/text.js', 'js/shapes.js', 'js/connectors.js', 'js/spatial-index.js', 'js/layers.js', 'js/themes.js', 'js/frames.js', 'js/selection.js', 'js/eraser.js', 'js/model.js', 'script.js'];
+const WORLD_SIZE = Math.sqrt(COUNT) * 150; // Keeps density constant as the board grows
+const VIEW = { width: 1600, height: 900 };
+const HIT_SAMPLES = 200; // Linear lookups get slow on big boards
+const FRAMES = 20;
+
+// --- 2. BROWSER STUBS ---
+// Every context method is a no-op; property writes (fillStyle, ...) just stick
+function createContext() {
+    const target = {};
+    return new Proxy(target, {
+        get: (obj, key) => (key in obj ? obj[key] : () => {}),
+        set: (obj, key, value) => { obj[key] = value; return true; }
+    });
+}
+
+function loadScripts() {
+    const sandbox = {
+        console,
+        window: { addEventListener() {}, innerWidth: VIEW.width, innerHeight: VIEW.height, devicePixelRatio: 1 },
+        document: { addEventListener() {} }
+    };
+    vm.createContext(sandbox);
+    const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+    vm.runInContext(`${source}\n;this.api = { Element, StateManager, Renderer };`, sandbox);
+    return sandbox.api;
+}
+
+// --- 3. SYNTHETIC BOARD ---
+// Deterministic PRNG so runs are comparable
+function random(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296;
+    };
+}
+
+function createStrokes(Element, count) {
+    const rand = random(42);
+    const elements = [];
+    for (let i = 0; i < count; i++) {
+        let x = rand() * WORLD_SIZE;
+        let y = rand() * WORLD_SIZE;
+        const points = [];
+        for (let p = 0; p < 20; p++) {
+            x += (rand() - 0.5) * 12;
+            y += (rand() - 0.5) * 12;
+            points.push({ x, y });
+        }
+        elements.push(new Element('brush', { id: i + 1, x: points[0].x, y: points[0].y, points, size: 3, color: '#ffffff' }));
+    }
+    return elements;
+}
+
+// --- 4. MEASUREMENT ---
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+}
+
+function linearHit(elements, x, y) {
+    for (let i = elements.length - 1; i >= 0; i--) {
+        if (elements[i].isHit(x, y)) return elements[i];
+    }
+    return null;
+}
+
+function run() {
+    const { Element, StateManager, Renderer } = loadScripts();
+    const state = new StateManager(() => {});
+    const elements = createStrokes(Element, COUNT);
+
+    const build = time(() => state.setElements(elements));
+
+    // Hit test: same points both ways, results must agree
+    const rand = random(7);
+    const samples = Array.from({ length: HIT_SAMPLES }, () => ({ x: rand() * WORLD_SIZE, y: rand() * WORLD_SIZE }));
+    const linear = time(() => samples.map(p => linearHit(elements, p.x, p.y)));
+    const indexed = time(() => samples.map(p => state.getHitElement(p.x, p.y)));
+    const mismatches = linear.result.filter((el, i) => el !== indexed.result[i]).length;
+
+    // Frame: viewport centred on the board at 1x
+    const renderer = new Renderer({ getContext: createContext, width: VIEW.width, height: VIEW.height }, { offscreen: true });
+    renderer.panX = VIEW.width / 2 - WORLD_SIZE / 2;
+    renderer.panY = VIEW.height / 2 - WORLD_SIZE / 2;
+    const full = time(() => { for (let i = 0; i < FRAMES; i++) renderer.draw(elements); });
+    let visible = [];
+    const culled = time(() => {
+        for (let i = 0; i < FRAMES; i++) {
+            visible = state.getElementsInRect(renderer.getViewRect());
+            renderer.draw(visible);
+        }
+    });
+
+    const fmt = ms => `${ms.toFixed(2)} ms`;
+    console.log(`Board: ${COUNT} strokes over ${Math.round(WORLD_SIZE)}x${Math.round(WORLD_SIZE)} units`);
+    console.log(`Index build:          ${fmt(build.ms)}`);
+    console.log(`Hit test (linear):    ${fmt(linear.ms / HIT_SAMPLES)} per lookup`);
+    console.log(`Hit test (indexed):   ${fmt(indexed.ms / HIT_SAMPLES)} per lookup${mismatches ? `  (${mismatches} MISMATCHES)` : ''}`);
+    console.log(`Frame (all elements): ${fmt(full.ms / FRAMES)}`);
+    console.log(`Frame (culled):       ${fmt(culled.ms / FRAMES)}  (${visible.length} visible)`);
+    if (mismatches) process.exitCode = 1;
+}
+
+run();
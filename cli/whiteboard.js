@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Online Whiteboard - Command Line Tool
+ * Checks, inspects, renders, merges and splits project files without a browser.
+ *
+ * Usage: node cli/whiteboard.js <command> [options] <file...>
+ *   validate <file...> [--json]                   Exit code 1 if any file can't be opened
+ *   stats <file> [--json]                         Element counts, layers, frames, bounds, images
+ *   svg <file> [-o out.svg] [--padding N] [--transparent]
+ *   merge <file...> -o out.json [--name NAME]     Later files go on top (like Open > Merge)
+ *   split <file> [--by layer|frame] [-o dir]      One project per layer or per frame
+ * Files are project .json files; .excalidraw drawings are read too (js/excalidraw.js).
+ *
+ * Runs the board model (js/model.js and the pure modules it uses) in a Node VM,
+ * like bench/board-bench.js. Without a canvas, text widths are estimated
+ * (see js/text.js), so text in the SVG may wrap a little differently than on screen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- 1. CONFIGURATION ---
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = ['js/history.js', 'js/document.js', 'js/ink.js', 'js/text.js', 'js/shapes.js', 'js/connectors.js', 'js/spatial-index.js',
+    'js/layers.js', 'js/themes.js', 'js/frames.js', 'js/model.js', 'js/svg-export.js', 'js/excalidraw.js'];
+const OPTIONS = { // Flag -> option name, and whether a value follows
+    '-o': ['out', true], '--out': ['out', true], '--by': ['by', true], '--padding': ['padding', true], '--name': ['name', true],
+    '--json': ['json', false], '--transparent': ['transparent', false], '-h': ['help', false], '--help': ['help', false],
+};
+const USAGE = fs.readFileSync(__filename, 'utf8').match(/Usage:[\s\S]*?(?=\n \*\n)/)[0].replace(/^ \* ?/gm, '');
+
+class UsageError extends Error {}
+
+// --- 2. LOADING ---
+function loadModel() {
+    const sandbox = { console };
+    vm.createContext(sandbox);
+    const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+    vm.runInContext(`${source}
+;this.api = { StateManager, SvgExporter, createDocument, readDocument, describeFormatError, isExcalidrawFile, readExcalidraw,
+    describeSkipped, getContentBounds, frameName };`, sandbox);
+    return sandbox.api;
+}
+
+// A project or Excalidraw file as a read document; throws ProjectFormatError
+function readFile(api, file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Can't read ${file} (${err.code || err.message})`);
+    }
+    return api.isExcalidrawFile(file, text) ? api.readExcalidraw(text) : api.readDocument(text);
+}
+
+function loadState(api, doc) {
+    const state = new api.StateManager(() => {});
+    state.restore(doc);
+    return state;
+}
+
+function writeOutput(file, data) {
+    if (!file) {
+        process.stdout.write(data);
+        return;
+    }
+    fs.writeFileSync(file, data);
+    console.error(`Wrote ${file}`);
+}
+
+// --- 3. COMMANDS ---
+function validate(api, files, options) {
+    const results = files.map(file => {
+        try {
+            const doc = readFile(api, file);
+            return { file, ok: true, elements: doc.elements.length, skipped: doc.skipped || {} };
+        } catch (err) {
+            return { file, ok: false, message: describeError(api, err), errors: err.errors || [] };
+        }
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        results.forEach(r => {
+            if (!r.ok) {
+                console.log(`✗ ${r.file}\n${r.message.replace(/^/gm, '  ')}`);
+                return;
+            }
+            const skipped = Object.keys(r.skipped).length > 0 ? ` (left out: ${api.describeSkipped(r.skipped)})` : '';
+            console.log(`✓ ${r.file}: ${r.elements} element(s)${skipped}`);
+        });
+    }
+    if (results.some(r => !r.ok)) process.exitCode = 1;
+}
+
+function stats(api, file, options) {
+    const doc = readFile(api, file);
+    const state = loadState(api, doc);
+    const count = (list, key) => list.reduce((counts, item) => counts.set(key(item), (counts.get(key(item)) || 0) + 1), new Map());
+    const byType = count(state.elements, el => el.type);
+    const byLayer = count(state.elements, el => el.layer);
+    const bounds = api.getContentBounds(state.elements);
+
+    const images = new Map(); // dataURL -> { mimeType, bytes, width, height, uses }
+    state.elements.filter(el => el.type === 'image' && el.dataURL).forEach(el => {
+        if (!images.has(el.dataURL)) images.set(el.dataURL, { ...describeImage(el.dataURL), uses: 0 });
+        images.get(el.dataURL).uses++;
+    });
+
+    const report = {
+        file,
+        name: (doc.meta && doc.meta.name) || null,
+        savedAt: (doc.meta && doc.meta.savedAt) || null,
+        elements: state.elements.length,
+        types: Object.fromEntries([...byType].sort((a, b) => b[1] - a[1])),
+        layers: state.layers.map(layer => ({ name: layer.name, visible: layer.visible !== false, locked: !!layer.locked, elements: byLayer.get(layer.id) || 0 })),
+        frames: state.getFrames().map(frame => ({ name: api.frameName(frame), elements: state.elements.filter(el => el.frameId === frame.id).length })),
+        bounds: bounds && { x: round(bounds.x), y: round(bounds.y), w: round(bounds.w), h: round(bounds.h) },
+        background: state.background,
+        images: [...images.values()],
+        skipped: doc.skipped || {}
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    const pad = (label, width = 12) => label.padEnd(width);
+    const lines = [`${file}${report.name ? ` - "${report.name}"` : ''}${report.savedAt ? `, saved ${report.savedAt}` : ''}`];
+    lines.push(`Elements: ${report.elements}`);
+    Object.entries(report.types).forEach(([type, n]) => lines.push(`  ${pad(type)}${n}`));
+    lines.push(`Layers: ${report.layers.length}`);
+    report.layers.forEach(layer => {
+        const flags = [!layer.visible && 'hidden', layer.locked && 'locked'].filter(Boolean);
+        lines.push(`  ${pad(layer.name || '(unnamed)', 20)}${layer.elements}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+    });
+    if (report.frames.length > 0) {
+        lines.push(`Frames: ${report.frames.length}`);
+        report.frames.forEach((frame, i) => lines.push(`  ${String(i + 1).padStart(2)}. ${pad(frame.name, 20)}${frame.elements}`));
+    }
+    lines.push(bounds ? `Bounds: x ${report.bounds.x}, y ${report.bounds.y}, ${report.bounds.w} × ${report.bounds.h}` : 'Bounds: (empty board)');
+    const total = report.images.reduce((sum, image) => sum + image.bytes, 0);
+    lines.push(`Images: ${report.images.length}${report.images.length ? ` (${formatBytes(total)})` : ''}`);
+    report.images.forEach(image => {
+        const size = image.width ? `${image.width}×${image.height}` : '?×?';
+        lines.push(`  ${pad(image.mimeType, 14)}${pad(size, 12)}${pad(formatBytes(image.bytes), 10)}used ${image.uses}×`);
+    });
+    if (Object.keys(report.skipped).length > 0) lines.push(`Left out: ${api.describeSkipped(report.skipped)}`);
+    console.log(lines.join('\n'));
+}
+
+function svg(api, file, options) {
+    const state = loadState(api, readFile(api, file));
+    const padding = options.padding === undefined ? 20 : Number(options.padding);
+    if (!Number.isFinite(padding) || padding < 0) throw new UsageError(`--padding expects a number >= 0, got "${options.padding}"`);
+    const exporter = new api.SvgExporter({
+        padding,
+        background: options.transparent ? null : undefined,
+        layers: state.layers,
+        board: state.background,
+        frames: state.getFrameMap()
+    });
+    writeOutput(options.out, exporter.render(state.getDrawOrder())); // Hidden layers stay hidden
+}
+
+function merge(api, files, options) {
+    if (files.length < 2) throw new UsageError('merge needs at least two files');
+    if (!options.out) throw new UsageError('merge needs an output file (-o out.json)');
+    const [first, ...others] = files.map(file => readFile(api, file));
+    const state = loadState(api, first);
+    others.forEach(doc => state.merge(doc)); // Clashing ids are renewed, like merging in the app
+    const name = options.name || (first.meta && first.meta.name) || path.basename(options.out, '.json');
+    writeOutput(options.out, JSON.stringify(api.createDocument(state, { meta: { name }, viewport: first.viewport || null })));
+}
+
+function split(api, file, options) {
+    const by = options.by || 'layer';
+    if (by !== 'layer' && by !== 'frame') throw new UsageError(`--by expects "layer" or "frame", got "${by}"`);
+    const doc = readFile(api, file);
+    const state = loadState(api, doc);
+    const name = (doc.meta && doc.meta.name) || path.basename(file).replace(/\.[^.]+$/, '');
+
+    // [{ name, elements }]: every layer, or every frame with its contents (plus what no frame holds)
+    let parts;
+    if (by === 'layer') {
+        parts = state.layers.map(layer => ({ name: layer.name || layer.id, elements: state.elements.filter(el => el.layer === layer.id) }));
+    } else {
+        const frames = state.getFrames();
+        const framed = new Set(frames.map(frame => frame.id));
+        parts = frames.map(frame => ({ name: api.frameName(frame), elements: state.elements.filter(el => el === frame || el.frameId === frame.id) }));
+        parts.push({ name: 'outside frames', elements: state.elements.filter(el => el.type !== 'frame' && !framed.has(el.frameId)) });
+    }
+    parts = parts.filter(part => part.elements.length > 0);
+    if (parts.length === 0) throw new Error(`${file} has no ${by === 'layer' ? 'elements' : 'frames'} to split.`);
+
+    const dir = options.out || '.';
+    fs.mkdirSync(dir, { recursive: true });
+    const base = slugify(path.basename(file).replace(/\.[^.]+$/, '')) || 'board';
+    parts.forEach((part, i) => {
+        const ids = new Set(part.elements.map(el => el.id));
+        // Arrows and frame membership pointing outside the part are let go
+        const elements = part.elements.map(el => {
+            const data = el.toJSON();
+            ['startBinding', 'endBinding'].forEach(key => {
+                if (data[key] && !ids.has(data[key].id)) data[key] = null;
+            });
+            if (data.frameId !== null && !ids.has(data.frameId)) data.frameId = null;
+            return data;
+        });
+        const layers = state.layers.filter(layer => elements.some(el => el.layer === layer.id));
+        const out = api.createDocument({ elements, layers, background: state.background }, { meta: { name: `${name} - ${part.name}` } });
+        const target = path.join(dir, `${base}-${String(i + 1).padStart(2, '0')}-${slugify(part.name) || by}.json`);
+        writeOutput(target, JSON.stringify(out));
+    });
+}
+
+// --- 4. HELPERS ---
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const files = [];
+    const options = {};
+    for (let i = 0; i < rest.length; i++) {
+        const arg = rest[i];
+        if (!arg.startsWith('-')) {
+            files.push(arg);
+            continue;
+        }
+        const option = OPTIONS[arg];
+        if (!option) throw new UsageError(`Unknown option ${arg}`);
+        const [key, takesValue] = option;
+        if (takesValue && (i + 1 >= rest.length || rest[i + 1].startsWith('-'))) throw new UsageError(`${arg} needs a value`);
+        options[key] = takesValue ? rest[++i] : true;
+    }
+    return { command, files, options };
+}
+
+// MIME type, decoded size and pixel size (PNG, GIF and JPEG headers) of a data: URL
+function describeImage(dataURL) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataURL);
+    if (!match) return { mimeType: 'unknown', bytes: dataURL.length, width: null, height: null };
+    const bytes = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+    return { mimeType: match[1] || 'text/plain', bytes: bytes.length, ...imageSize(bytes) };
+}
+
+function imageSize(b) {
+    const none = { width: null, height: null };
+    if (b.length >= 24 && b.readUInt32BE(0) === 0x89504e47) return { width: b.readUInt32BE(16), height: b.readUInt32BE(20) };
+    if (b.length >= 10 && b.toString('ascii', 0, 4) === 'GIF8') return { width: b.readUInt16LE(6), height: b.readUInt16LE(8) };
+    if (b.length < 4 || b[0] !== 0xff || b[1] !== 0xd8) return none;
+    // JPEG: walk the segments to the frame header (SOF0-SOF15, except DHT/JPG/DAC)
+    let at = 2;
+    while (at + 9 < b.length) {
+        if (b[at] !== 0xff) return none;
+        const marker = b[at + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: b.readUInt16BE(at + 7), height: b.readUInt16BE(at + 5) };
+        }
+        at += 2 + b.readUInt16BE(at + 2);
+    }
+    return none;
+}
+
+function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function round(n) {
+    return Math.round(n * 100) / 100;
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// --- 5. MAIN ---
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        const { command, files, options } = args;
+        if (!command || options.help || command === 'help') {
+            console.log(USAGE);
+            return;
+        }
+        const commands = {
+            validate: () => validate(api(), files, options),
+            stats: () => stats(api(), single(files, command), options),
+            svg: () => svg(api(), single(files, command), options),
+            merge: () => merge(api(), files, options),
+            split: () => split(api(), single(files, command), options)
+        };
+        if (!commands[command]) throw new UsageError(`Unknown command "${command}"`);
+        if (files.length === 0) throw new UsageError(`${command} needs a file`);
+        commands[command]();
+    } catch (err) {
+        if (err instanceof UsageError) {
+            console.error(`${err.message}\n\n${USAGE}`);
+            process.exitCode = 2;
+            return;
+        }
+        console.error(describeError(api(), err));
+        process.exitCode = 1;
+    }
+}
+
+// Format errors come from the VM, so they are recognised by name
+function describeError(model, err) {
+    return err.name === 'ProjectFormatError' ? model.describeFormatError(err) : err.message;
+}
+
+let loaded = null;
+function api() {
+    if (!loaded) loaded = loadModel();
+    return loaded;
+}
+
+function single(files, command) {
+    if (files.length > 1) throw new UsageError(`${command} takes one file`);
+    return files[0];
+}
+
+main();
@@ -0,0 +1,366 @@
+/**
+ * Boards - Autosave, Board List & Version Snapshots
+ * Architecture: BoardManager (StateManager changes -> BoardStore) + its dialogs
+ *
+ * The open board is saved shortly after every change and reopened on the next
+ * visit. Versions are taken on request (named) or periodically while the board
+ * keeps changing (automatic, capped); restoring one snapshots the current state first.
+ */
+
+const BOARDS = {
+    AUTOSAVE_DELAY: 1000,              // ms after the last change
+    SNAPSHOT_INTERVAL: 10 * 60 * 1000, // Automatic version every 10 minutes of editing
+    AUTO_SNAPSHOT_LIMIT: 20,           // Oldest automatic versions are dropped past this
+    PREVIEW_SIZE: 320,                 // px, longest side of a version preview
+};
+
+// --- 1. MANAGER ---
+class BoardManager {
+    constructor(app, store = new BoardStore()) {
+        this.app = app;
+        this.store = store;
+        this.board = null; // Meta of the open board: { id, name, createdAt, updatedAt }
+        this.enabled = false;
+        this.loading = false; // Set while we replace the board ourselves (no autosave)
+        this.dirty = false;
+        this.changedSinceSnapshot = false;
+        this.saveTimer = null;
+        this.saving = Promise.resolve(); // The last queued write; writes run one after the other
+        this.saveCount = 0;
+        this.room = null;
+
+        this.ui = {
+            name: document.querySelector("#board-name"),
+            status: document.querySelector("#board-status"),
+            boardsDialog: document.querySelector("#boards-dialog"),
+            boardsList: document.querySelector("#boards-list"),
+            versionsDialog: document.querySelector("#versions-dialog"),
+            versionsList: document.querySelector("#versions-list"),
+            preview: document.querySelector("#version-preview")
+        };
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    // In a room the relay's copy is authoritative: nothing is restored, and the
+    // local copy is kept under a board of its own so it never overwrites another one.
+    async init(room = null) {
+        this.bindDialogs();
+        try {
+            await this.store.open();
+        } catch (err) {
+            console.warn('Boards: IndexedDB unavailable, autosave is off', err);
+            this.setStatus('Not saved');
+            return;
+        }
+        this.enabled = true;
+
+        if (room) {
+            this.room = room;
+            const id = `room-${room}`;
+            this.board = (await this.store.getBoard(id)) || this.createMeta(`Room ${room}`, id);
+        } else {
+            const lastId = localStorage.getItem(STORAGE.LAST_BOARD_KEY);
+            const board = (lastId && await this.store.getBoard(lastId)) || (await this.store.listBoards())[0];
+            if (board) await this.open(board.id);
+            else this.board = this.createMeta('Untitled board');
+        }
+
+        this.state.onChange(() => this.scheduleSave());
+        setInterval(() => this.autoSnapshot(), BOARDS.SNAPSHOT_INTERVAL);
+        // Best effort: IndexedDB writes started here usually complete
+        window.addEventListener('beforeunload', () => this.flush());
+        this.renderName();
+    }
+
+    createMeta(name, id = `board-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`) {
+        const now = Date.now();
+        return { id, name, createdAt: now, updatedAt: now };
+    }
+
+    setStatus(text) {
+        this.ui.status.textContent = text;
+    }
+
+    renderName() {
+        this.ui.name.textContent = this.board ? this.board.name : '';
+    }
+
+    // Replace the board without triggering an autosave of the result
+    replaceContents(data) {
+        this.loading = true;
+        try {
+            this.state.restore(data);
+        } finally {
+            this.loading = false;
+        }
+        this.app.selectionTool.clear();
+    }
+
+    // --- AUTOSAVE ---
+    scheduleSave() {
+        if (!this.enabled || this.loading) return;
+        this.dirty = true;
+        this.changedSinceSnapshot = true;
+        this.setStatus('Unsaved changes');
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), BOARDS.AUTOSAVE_DELAY);
+    }
+
+    // Queued behind the previous write: compressing images makes saves take a while,
+    // and an older one finishing last would overwrite newer contents
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.dirty) return this.saving;
+        this.dirty = false;
+        this.setStatus('Saving…');
+        const board = this.board;
+        const data = this.state.toJSON();
+        const count = ++this.saveCount;
+        this.saving = this.saving.then(async () => {
+            try {
+                await this.store.saveBoard(board, data);
+                if (!this.room) localStorage.setItem(STORAGE.LAST_BOARD_KEY, board.id);
+                if (count === this.saveCount && !this.dirty) this.setStatus('Saved');
+            } catch (err) {
+                console.error('Boards: save failed', err);
+                this.dirty = true;
+                this.setStatus('Save failed');
+            }
+        });
+        return this.saving;
+    }
+
+    // Write pending changes now (before switching boards, leaving the page...)
+    flush() {
+        return this.saveTimer ? this.save() : this.saving;
+    }
+
+    // --- BOARDS ---
+    async open(id) {
+        await this.flush();
+        const meta = await this.store.getBoard(id);
+        if (!meta) return;
+        const data = await this.store.loadDocument(id);
+        this.board = meta;
+        this.replaceContents(data || { elements: [] });
+        localStorage.setItem(STORAGE.LAST_BOARD_KEY, id);
+        this.changedSinceSnapshot = false;
+        this.setStatus('Saved');
+        this.renderName();
+    }
+
+    async create(name) {
+        await this.flush();
+        this.board = this.createMeta(name);
+        this.replaceContents({ elements: [] });
+        await this.store.saveBoard(this.board, this.state.toJSON());
+        localStorage.setItem(STORAGE.LAST_BOARD_KEY, this.board.id);
+        this.renderName();
+    }
+
+    async duplicate(id) {
+        await this.flush();
+        const meta = await this.store.getBoard(id);
+        const data = await this.store.loadDocument(id);
+        if (!meta || !data) return;
+        await this.store.saveBoard(this.createMeta(`${meta.name} (copy)`), data);
+    }
+
+    async rename(id, name) {
+        await this.store.renameBoard(id, name);
+        if (this.board && this.board.id === id) {
+            this.board.name = name;
+            this.renderName();
+        }
+    }
+
+    async remove(id) {
+        if (this.board.id === id) {
+            // Pending edits of a board being deleted are dropped, not saved
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this.dirty = false;
+        }
+        await this.saving; // A write still running would bring the board back
+        await this.store.deleteBoard(id);
+        if (this.board.id !== id) return;
+
+        // The open board is gone: move to the most recent one, or start afresh
+        const next = (await this.store.listBoards())[0];
+        if (next) await this.open(next.id);
+        else await this.create('Untitled board');
+    }
+
+    // --- VERSIONS ---
+    async saveVersion(name, auto = false) {
+        if (!this.enabled) return;
+        await this.flush();
+        await this.store.addVersion(this.board.id, name, this.state.toJSON(), auto);
+        this.changedSinceSnapshot = false;
+
+        const autos = (await this.store.listVersions(this.board.id)).filter(v => v.auto);
+        await this.store.deleteVersions(autos.slice(BOARDS.AUTO_SNAPSHOT_LIMIT).map(v => v.id));
+    }
+
+    autoSnapshot() {
+        if (this.changedSinceSnapshot) this.saveVersion('Automatic', true);
+    }
+
+    async restoreVersion(id, name) {
+        const data = await this.store.loadVersion(id);
+        if (!data) return;
+        await this.saveVersion(`Before restoring "${name}"`);
+        this.state.restore(data); // Autosaves like any other change
+        this.app.selectionTool.clear();
+    }
+
+    // Render a version offscreen, the way the board would show it
+    async renderPreview(id) {
+        const data = await this.store.loadVersion(id);
+        if (!data) return null;
+        const board = new StateManager(() => { });
+        board.restore(data);
+        const elements = board.getDrawOrder();
+        const bounds = getContentBounds(elements);
+        if (!bounds) return null;
+
+        const scale = Math.min(1, BOARDS.PREVIEW_SIZE / Math.max(bounds.w, bounds.h, 1));
+        const exporter = new PngExporter({ scale, padding: 10, layers: board.layers, board: board.background });
+        const canvas = await exporter.render(elements, bounds);
+        return canvas.toDataURL('image/png');
+    }
+
+    // --- DIALOGS ---
+    bindDialogs() {
+        const { boardsDialog, versionsDialog } = this.ui;
+
+        const showBoards = () => {
+            if (!this.enabled) {
+                alert("Boards need IndexedDB, which this browser has disabled.");
+                return;
+            }
+            if (this.room) {
+                alert("This board is shared in a room; open the page without ?room= to switch boards.");
+                return;
+            }
+            boardsDialog.hidden = false;
+            this.renderBoards();
+        };
+        document.querySelector("#boards-btn").addEventListener("click", showBoards);
+        this.ui.name.addEventListener("click", showBoards);
+        boardsDialog.querySelector("#boards-close").addEventListener("click", () => { boardsDialog.hidden = true; });
+        boardsDialog.querySelector("#board-new-btn").addEventListener("click", async () => {
+            const name = prompt("Board name:", "Untitled board");
+            if (!name) return;
+            await this.create(name.trim() || 'Untitled board');
+            boardsDialog.hidden = true;
+        });
+
+        document.querySelector("#versions-btn").addEventListener("click", () => {
+            if (!this.enabled) return;
+            versionsDialog.hidden = false;
+            this.ui.preview.hidden = true;
+            this.renderVersions();
+        });
+        versionsDialog.querySelector("#versions-close").addEventListener("click", () => { versionsDialog.hidden = true; });
+        versionsDialog.querySelector("#version-save-btn").addEventListener("click", async () => {
+            const name = prompt("Version name:", new Date().toLocaleString());
+            if (!name) return;
+            await this.saveVersion(name.trim());
+            this.renderVersions();
+        });
+    }
+
+    async renderBoards() {
+        const boards = await this.store.listBoards();
+        const list = this.ui.boardsList;
+        list.innerHTML = '';
+
+        boards.forEach(board => {
+            const row = createListRow(board.name, `Edited ${new Date(board.updatedAt).toLocaleString()}`);
+            row.classList.toggle('active', board.id === this.board.id);
+            row.addEventListener('click', async () => {
+                await this.open(board.id);
+                this.ui.boardsDialog.hidden = true;
+            });
+            row.append(
+                createRowButton('bx-rename', 'Rename', async () => {
+                    const name = prompt("Board name:", board.name);
+                    if (!name || !name.trim()) return;
+                    await this.rename(board.id, name.trim());
+                    this.renderBoards();
+                }),
+                createRowButton('bx-copy', 'Duplicate', async () => {
+                    await this.duplicate(board.id);
+                    this.renderBoards();
+                }),
+                createRowButton('bx-trash', 'Delete', async () => {
+                    if (!confirm(`Delete "${board.name}" and its versions?`)) return;
+                    await this.remove(board.id);
+                    this.renderBoards();
+                })
+            );
+            list.appendChild(row);
+        });
+    }
+
+    async renderVersions() {
+        const versions = await this.store.listVersions(this.board.id);
+        const list = this.ui.versionsList;
+        list.innerHTML = '';
+        if (versions.length === 0) list.innerHTML = '<li class="list-empty">No versions yet</li>';
+
+        versions.forEach(version => {
+            const row = createListRow(version.name, new Date(version.createdAt).toLocaleString());
+            row.classList.toggle('auto', version.auto);
+            row.addEventListener('click', async () => {
+                const url = await this.renderPreview(version.id);
+                this.ui.preview.hidden = !url;
+                if (url) this.ui.preview.src = url;
+            });
+            row.append(
+                createRowButton('bx-revision', 'Restore', async () => {
+                    if (!confirm(`Restore "${version.name}"? The current board is kept as a version.`)) return;
+                    await this.restoreVersion(version.id, version.name);
+                    this.ui.versionsDialog.hidden = true;
+                }),
+                createRowButton('bx-trash', 'Delete', async () => {
+                    await this.store.deleteVersions([version.id]);
+                    this.renderVersions();
+                })
+            );
+            list.appendChild(row);
+        });
+    }
+}
+
+// --- 2. LIST HELPERS ---
+function createListRow(title, subtitle) {
+    const row = document.createElement('li');
+    row.className = 'list-row';
+    const text = document.createElement('div');
+    text.className = 'list-text';
+    const name = document.createElement('span');
+    name.textContent = title;
+    const meta = document.createElement('small');
+    meta.textContent = subtitle;
+    text.append(name, meta);
+    row.appendChild(text);
+    return row;
+}
+
+function createRowButton(icon, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'layer-btn';
+    btn.title = title;
+    btn.innerHTML = `<i class='bx ${icon}'></i>`;
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return btn;
+}
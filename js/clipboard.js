@@ -0,0 +1,251 @@
+/**
+ * Clipboard & Drop - Copy/Paste Elements, Paste and Drop Files from the OS
+ * Architecture: ClipboardController (document copy/cut/paste events, canvas drag-and-drop)
+ *
+ * Copied elements go to the system clipboard as a JSON payload in text/plain, so
+ * they paste into another tab or board (or show up as text elsewhere). Pasting
+ * takes, in order: image files, our payload, then any other text (a text element).
+ * Pasted and dropped things are placed in world coordinates at the pointer, or in
+ * the middle of the view when the pointer is not over the board. The keyboard
+ * shortcuts use the browser's own clipboard events; the command palette goes
+ * through the async Clipboard API, falling back to what was copied in this tab.
+ */
+
+const CLIPBOARD = {
+    FORMAT: 'ariba-whiteboard/clipboard',
+    VERSION: 1,
+    MAX_IMAGE_SIZE: 500, // World units: larger images are scaled down to fit
+    DROP_OFFSET: 30, // Several dropped images fan out instead of stacking
+};
+
+// --- 1. PAYLOAD ---
+function createClipboardPayload(elements) {
+    return JSON.stringify({
+        format: CLIPBOARD.FORMAT,
+        version: CLIPBOARD.VERSION,
+        elements: elements.map(el => (typeof el.toJSON === 'function' ? el.toJSON() : el))
+    });
+}
+
+// Elements data from clipboard text, or null if it is not a (valid) payload
+function readClipboardPayload(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return null;
+    }
+    if (!data || data.format !== CLIPBOARD.FORMAT || !Array.isArray(data.elements)) return null;
+    const errors = validateDocument({ layers: [], elements: data.elements });
+    if (errors.length > 0) {
+        console.warn('Clipboard: ignoring invalid elements', errors);
+        return null;
+    }
+    return data.elements;
+}
+
+function readFileAs(file, method) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader[method](file);
+    });
+}
+
+// --- 2. CONTROLLER ---
+class ClipboardController {
+    constructor(app) {
+        this.app = app;
+        this.pointer = null; // Screen position over the canvas, or null when outside
+        this.lastPayload = null; // What this tab copied last (when the Clipboard API is unavailable)
+        this.bindEvents();
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    bindEvents() {
+        const canvas = this.app.canvas;
+        canvas.addEventListener("pointermove", (e) => {
+            const rect = canvas.getBoundingClientRect();
+            this.pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        });
+        canvas.addEventListener("pointerleave", () => { this.pointer = null; });
+
+        document.addEventListener("copy", (e) => this.onCopy(e, false));
+        document.addEventListener("cut", (e) => this.onCopy(e, true));
+        document.addEventListener("paste", (e) => this.onPaste(e));
+
+        canvas.addEventListener("dragover", (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        canvas.addEventListener("drop", (e) => this.onDrop(e));
+    }
+
+    // Where pasted content goes (world units)
+    getTarget() {
+        const r = this.app.renderer;
+        const screen = this.pointer || { x: r.width / 2, y: r.height / 2 };
+        return r.screenToWorld(screen.x, screen.y);
+    }
+
+    // Text fields and the text overlay keep their own clipboard behaviour
+    isTyping(e) {
+        return isTypingTarget(e.target) || isTypingTarget(document.activeElement) || !!this.app.textEditor;
+    }
+
+    // --- COPY & CUT ---
+    onCopy(e, cut) {
+        if (this.isTyping(e)) return;
+        const selected = this.getCopyable();
+        if (selected.length === 0) return;
+        this.lastPayload = createClipboardPayload(selected);
+        e.clipboardData.setData('text/plain', this.lastPayload);
+        e.preventDefault();
+        if (cut) this.app.selectionTool.deleteSelected();
+    }
+
+    // A frame is copied with its contents (see js/frames.js)
+    getCopyable() {
+        return this.state.sortByZ(withFrameContents(this.state, this.app.selectionTool.getSelected()));
+    }
+
+    // From the command palette: no clipboard event, so the async API
+    async copy(cut = false) {
+        const selected = this.getCopyable();
+        if (selected.length === 0) return;
+        this.lastPayload = createClipboardPayload(selected);
+        if (cut) this.app.selectionTool.deleteSelected();
+        try {
+            await navigator.clipboard.writeText(this.lastPayload);
+        } catch (err) {
+            console.warn('Clipboard: copied for this tab only', err);
+        }
+    }
+
+    // --- PASTE ---
+    onPaste(e) {
+        if (this.isTyping(e)) return;
+        e.preventDefault();
+        const files = Array.from(e.clipboardData.files).filter(file => file.type.startsWith('image/'));
+        if (files.length > 0) {
+            this.insertImageFiles(files, this.getTarget());
+            return;
+        }
+        this.pasteText(e.clipboardData.getData('text/plain'), this.getTarget());
+    }
+
+    // From the command palette
+    async paste() {
+        const at = this.getTarget();
+        try {
+            if (navigator.clipboard.read) {
+                const items = await navigator.clipboard.read();
+                const images = [];
+                for (const item of items) {
+                    const type = item.types.find(t => t.startsWith('image/'));
+                    if (type) images.push(await item.getType(type));
+                }
+                if (images.length > 0) {
+                    this.insertImageFiles(images, at);
+                    return;
+                }
+            }
+            this.pasteText(await navigator.clipboard.readText(), at);
+        } catch (err) {
+            console.warn('Clipboard: no access, pasting what this tab copied', err);
+            if (this.lastPayload) this.pasteText(this.lastPayload, at);
+        }
+    }
+
+    // Our payload becomes elements again; any other text becomes a text element
+    pasteText(text, at) {
+        if (!text) return;
+        const elements = readClipboardPayload(text);
+        if (elements) {
+            this.pasteElements(elements, at);
+            return;
+        }
+        if (!text.trim() || !this.app.isActiveLayerEditable()) return;
+        const app = this.app;
+        const el = new Element('text', { x: at.x, y: at.y, content: text.replace(/\s+$/, ''), color: app.color, size: app.size, ...app.textStyle });
+        this.state.addElement(el);
+        this.selectPasted([el]);
+    }
+
+    // Copies centered on `at`, on top of the active layer, as one undo step
+    pasteElements(items, at) {
+        if (items.length === 0 || !this.app.isActiveLayerEditable()) return;
+        const copies = cloneElements(items.slice().sort((a, b) => (a.z || 0) - (b.z || 0)));
+        const b = getContentBounds(copies);
+        const corner = this.app.snapper.point(at.x - b.w / 2, at.y - b.h / 2); // See js/snapping.js
+        this.state.beginBatch();
+        copies.forEach(copy => {
+            translateElement(copy, corner.x - b.x, corner.y - b.y);
+            copy.layer = null;
+            this.state.addElement(copy);
+        });
+        this.state.endBatch();
+        this.selectPasted(copies);
+    }
+
+    selectPasted(elements) {
+        if (this.app.activeTool !== 'select') this.app.setTool('select');
+        this.app.selectionTool.select(elements);
+    }
+
+    // --- IMAGES ---
+    async insertImageFiles(files, at) {
+        if (!this.app.isActiveLayerEditable()) return;
+        const added = [];
+        for (const [i, file] of files.entries()) {
+            try {
+                const dataURL = await readFileAs(file, 'readAsDataURL');
+                const offset = i * CLIPBOARD.DROP_OFFSET;
+                added.push(await this.insertImage(dataURL, { x: at.x + offset, y: at.y + offset }));
+            } catch (err) {
+                console.error(`Clipboard: can't read ${file.name || 'image'}`, err);
+            }
+        }
+        if (added.length > 0) this.selectPasted(added);
+    }
+
+    // An image element centered on `at`, scaled down to a reasonable size
+    insertImage(dataURL, at) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const fit = Math.min(1, CLIPBOARD.MAX_IMAGE_SIZE / Math.max(img.width, img.height));
+                const w = img.width * fit, h = img.height * fit;
+                const corner = this.app.snapper.point(at.x - w / 2, at.y - h / 2);
+                const el = new Element('image', { x: corner.x, y: corner.y, w, h, dataURL });
+                el.imgObj = img;
+                this.state.addElement(el);
+                resolve(el);
+            };
+            img.onerror = () => reject(new Error('not an image'));
+            img.src = dataURL;
+        });
+    }
+
+    // --- DRAG & DROP ---
+    // Image files become images where they are dropped; a project file (or an Excalidraw drawing) opens like File > Open
+    onDrop(e) {
+        const files = Array.from(e.dataTransfer.files);
+        if (files.length === 0) return;
+        e.preventDefault();
+        const at = this.app.eventToWorld(e);
+        const images = files.filter(file => file.type.startsWith('image/'));
+        const project = files.find(file => file.type === 'application/json' || /\.(json|excalidraw)$/i.test(file.name));
+        if (images.length > 0) this.insertImageFiles(images, at);
+        if (project) this.app.openProjectFile(project);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CLIPBOARD, createClipboardPayload, readClipboardPayload };
+}
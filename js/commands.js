@@ -0,0 +1,274 @@
+/**
+ * Commands - Registry, Keyboard Shortcuts & Command Palette
+ * Architecture: CommandRegistry (id -> command, key combo -> id) + CommandPalette (Ctrl+K)
+ *
+ * A key combo is a string like "Mod+Shift+Z": modifiers in a fixed order, then
+ * the key. "Mod" is Ctrl, or Cmd on a Mac. User changes to the default bindings
+ * are kept in localStorage and applied on top of the defaults.
+ */
+
+const COMMANDS = {
+    STORAGE_KEY: 'whiteboard:keybindings',
+    IS_MAC: typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform),
+};
+
+// --- 1. KEY COMBOS ---
+function comboFromEvent(e) {
+    let key = e.key;
+    if (e.code && e.code.startsWith('Key')) key = e.code.slice(3); // Layout-independent letters
+    else if (e.code && e.code.startsWith('Digit')) key = e.code.slice(5);
+    else if (key === ' ') key = 'Space';
+    if (['Control', 'Meta', 'Shift', 'Alt'].includes(key)) return null; // Modifier on its own
+
+    // Shift is already part of symbols like "+" or "{"
+    const isSymbol = key.length === 1 && !/[A-Za-z0-9]/.test(key);
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey && !isSymbol) parts.push('Shift');
+    parts.push(key.length === 1 ? key.toUpperCase() : key);
+    return parts.join('+');
+}
+
+function formatCombo(combo) {
+    return combo
+        .replace(/^Mod(?=\+)/, COMMANDS.IS_MAC ? '⌘' : 'Ctrl')
+        .replace(/(^|\+)Alt(?=\+)/, COMMANDS.IS_MAC ? '$1⌥' : '$1Alt');
+}
+
+// Typing in the text/sticky overlays or a form field must not trigger shortcuts
+function isTypingTarget(target) {
+    return !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+}
+
+// --- 2. REGISTRY ---
+class CommandRegistry {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.commands = new Map(); // id -> { id, title, category, run, defaultKeys }
+        this.bindings = new Map(); // id -> [combo]
+        this.overrides = this.loadOverrides();
+    }
+
+    // command: { id, title, category, keys: ['Mod+Z'], run(), native }
+    // native: the default keys are left to the browser, whose own event does the work
+    // (copy/cut/paste need that event for full clipboard access, see js/clipboard.js)
+    register(command) {
+        const { keys = [], ...rest } = command;
+        this.commands.set(command.id, { ...rest, defaultKeys: keys });
+        this.bindings.set(command.id, this.overrides[command.id] || keys);
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    getKeys(id) {
+        return this.bindings.get(id) || [];
+    }
+
+    findByCombo(combo) {
+        for (const [id, keys] of this.bindings) {
+            if (keys.includes(combo)) return this.commands.get(id);
+        }
+        return null;
+    }
+
+    run(id) {
+        const command = this.commands.get(id);
+        if (command) command.run();
+    }
+
+    // Returns true if the event ran a command
+    handleKeyDown(e) {
+        if (isTypingTarget(e.target)) return false;
+        const combo = comboFromEvent(e);
+        const command = combo && this.findByCombo(combo);
+        if (!command) return false;
+        if (command.native && command.defaultKeys.includes(combo)) return false;
+        e.preventDefault(); // Beat the browser's own Ctrl+S/O/K...
+        command.run();
+        return true;
+    }
+
+    // --- REMAPPING ---
+    // A combo belongs to one command: assigning it elsewhere takes it away from its old owner
+    setKeys(id, keys) {
+        this.bindings.forEach((existing, otherId) => {
+            if (otherId === id) return;
+            const kept = existing.filter(combo => !keys.includes(combo));
+            if (kept.length !== existing.length) this.setBinding(otherId, kept);
+        });
+        this.setBinding(id, keys);
+        this.saveOverrides();
+    }
+
+    setBinding(id, keys) {
+        this.bindings.set(id, keys);
+        const defaults = this.commands.get(id).defaultKeys;
+        if (keys.length === defaults.length && keys.every((combo, i) => combo === defaults[i])) delete this.overrides[id];
+        else this.overrides[id] = keys;
+    }
+
+    resetKeys() {
+        this.overrides = {};
+        this.commands.forEach(command => this.bindings.set(command.id, command.defaultKeys));
+        this.saveOverrides();
+    }
+
+    loadOverrides() {
+        if (!this.storage) return {};
+        try {
+            return JSON.parse(this.storage.getItem(COMMANDS.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Commands: ignoring unreadable key bindings', err);
+            return {};
+        }
+    }
+
+    saveOverrides() {
+        if (this.storage) this.storage.setItem(COMMANDS.STORAGE_KEY, JSON.stringify(this.overrides));
+    }
+}
+
+// --- 3. PALETTE ---
+class CommandPalette {
+    constructor(registry) {
+        this.registry = registry;
+        this.root = document.querySelector("#command-palette");
+        this.input = this.root.querySelector("#command-search");
+        this.list = this.root.querySelector("#command-list");
+        this.matches = [];
+        this.active = 0;
+        this.recording = null; // Command id waiting for a new shortcut
+
+        this.input.addEventListener("input", () => {
+            this.active = 0;
+            this.render();
+        });
+        this.input.addEventListener("keydown", (e) => this.handleKey(e));
+        this.root.addEventListener("click", (e) => {
+            if (e.target === this.root) this.close(); // Backdrop
+        });
+        this.root.querySelector("#command-reset").addEventListener("click", () => {
+            if (!confirm("Reset every shortcut to its default?")) return;
+            this.registry.resetKeys();
+            this.render();
+        });
+        // Captures the next combo while remapping (runs before the app's shortcuts)
+        window.addEventListener("keydown", (e) => this.recordKey(e), true);
+    }
+
+    open() {
+        this.root.hidden = false;
+        this.input.value = '';
+        this.active = 0;
+        this.render();
+        this.input.focus();
+    }
+
+    close() {
+        this.recording = null;
+        this.root.hidden = true;
+    }
+
+    isOpen() {
+        return !this.root.hidden;
+    }
+
+    // Every word of the query has to appear in the title or category
+    search(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.registry.list().filter(command => {
+            const text = `${command.category} ${command.title}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    handleKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.active = (this.active + step + this.matches.length) % Math.max(this.matches.length, 1);
+            this.render();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            const command = this.matches[this.active];
+            if (command) this.execute(command);
+        } else if (e.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    execute(command) {
+        this.close();
+        command.run();
+    }
+
+    recordKey(e) {
+        if (!this.recording) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            this.recording = null;
+        } else {
+            const combo = comboFromEvent(e);
+            if (!combo) return; // Wait for the actual key
+            this.registry.setKeys(this.recording, combo === 'Backspace' ? [] : [combo]);
+            this.recording = null;
+        }
+        this.render();
+        this.input.focus();
+    }
+
+    render() {
+        this.matches = this.search(this.input.value);
+        this.list.innerHTML = '';
+
+        this.matches.forEach((command, i) => {
+            const row = document.createElement('li');
+            row.className = 'list-row';
+            row.classList.toggle('active', i === this.active);
+            row.addEventListener('click', () => this.execute(command));
+
+            const text = document.createElement('div');
+            text.className = 'list-text';
+            const title = document.createElement('span');
+            title.textContent = command.title;
+            const category = document.createElement('small');
+            category.textContent = command.category;
+            text.append(title, category);
+
+            const keys = document.createElement('button');
+            keys.className = 'command-keys';
+            keys.title = 'Change shortcut (Backspace clears, Esc cancels)';
+            if (this.recording === command.id) {
+                keys.textContent = 'Press keys…';
+                keys.classList.add('recording');
+            } else {
+                const combos = this.registry.getKeys(command.id);
+                if (combos.length === 0) keys.textContent = '—';
+                combos.forEach(combo => {
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = formatCombo(combo);
+                    keys.appendChild(kbd);
+                });
+            }
+            keys.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.recording = command.id;
+                this.render();
+            });
+
+            row.append(text, keys);
+            this.list.appendChild(row);
+        });
+
+        const activeRow = this.list.children[this.active];
+        if (activeRow) activeRow.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandRegistry, comboFromEvent, formatCombo, isTypingTarget };
+}
@@ -0,0 +1,342 @@
+/**
+ * Connectors - Arrows That Stay Attached to Shapes
+ * Architecture: routing & geometry helpers used by StateManager, Renderer and SvgExporter
+ *
+ * An 'arrow' runs from (x, y) to (endX, endY). Either end can be bound to a box
+ * shape, circle, sticky or image through startBinding / endBinding ({ id }). StateManager
+ * re-routes an arrow whenever the arrow or one of its targets changes: the bound
+ * ends are moved onto the target's outline and the path is cached in `route`.
+ * That is derived data, so it never becomes an op and is not saved; undo, sync and
+ * loading replay the ops and route again, and every copy of the board agrees.
+ */
+
+const CONNECTORS = {
+    BINDABLE_TYPES: ['rect', 'circle', 'ellipse', 'triangle', 'diamond', 'star', 'callout', 'sticky', 'image'],
+    GAP: 6,           // World units between a bound end and its shape
+    BIND_MARGIN: 12,  // How far outside a shape an end still snaps to it
+    ELBOW_STUB: 20,   // How far an elbow runs out before turning back round a shape
+    HEAD_ANGLE: Math.PI / 7,
+};
+
+// --- 1. SHAPES ---
+function isBindable(el) {
+    return CONNECTORS.BINDABLE_TYPES.includes(el.type);
+}
+
+// Centre, half extents and rotation of a shape's outline; triangles, diamonds, stars
+// and callouts also carry their corners (`outline`, relative to the centre)
+function getShapeFrame(el) {
+    if (el.type === 'circle') {
+        const r = Math.hypot(el.endX - el.x, el.endY - el.y) + el.size / 2;
+        return { cx: el.x, cy: el.y, hw: r, hh: r, rotation: 0, round: true };
+    }
+    const b = el.getBounds();
+    const pad = isBoxShape(el) ? el.size / 2 : 0; // Outside of the stroke
+    const frame = { cx: b.x + b.w / 2, cy: b.y + b.h / 2, hw: b.w / 2 + pad, hh: b.h / 2 + pad, rotation: el.rotation || 0, round: el.type === 'ellipse' };
+    const outline = el.type === 'rect' || !isBoxShape(el) ? null : shapeOutline(el);
+    if (outline) frame.outline = outline.map(p => ({ x: p.x - frame.cx, y: p.y - frame.cy }));
+    return frame;
+}
+
+function containsPoint(frame, x, y, margin = 0) {
+    const p = rotatePoint(x, y, frame.cx, frame.cy, -frame.rotation);
+    const dx = p.x - frame.cx;
+    const dy = p.y - frame.cy;
+    if (frame.round) return Math.hypot(dx / (frame.hw + margin), dy / (frame.hh + margin)) <= 1;
+    return Math.abs(dx) <= frame.hw + margin && Math.abs(dy) <= frame.hh + margin;
+}
+
+// Topmost bindable shape at (x, y); candidates in drawing order
+function findBindTarget(candidates, x, y, ignoreId = null) {
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        const el = candidates[i];
+        if (el.id !== ignoreId && isBindable(el) && containsPoint(getShapeFrame(el), x, y, CONNECTORS.BIND_MARGIN)) return el;
+    }
+    return null;
+}
+
+// Where the line from the centre towards `aim` leaves the outline (plus the gap)
+function outlinePoint(frame, aim) {
+    const local = rotatePoint(aim.x, aim.y, frame.cx, frame.cy, -frame.rotation);
+    let dx = local.x - frame.cx;
+    let dy = local.y - frame.cy;
+    const len = Math.hypot(dx, dy);
+    if (len < 1e-6) { dx = 1; dy = 0; } else { dx /= len; dy /= len; }
+
+    const d = frameReach(frame, dx, dy) + CONNECTORS.GAP;
+    return rotatePoint(frame.cx + dx * d, frame.cy + dy * d, frame.cx, frame.cy, frame.rotation);
+}
+
+// Distance from the centre to the outline along the unit vector (dx, dy), unrotated
+function frameReach(frame, dx, dy) {
+    if (frame.outline) return rayReach(frame.outline, dx, dy);
+    if (frame.round) return 1 / Math.hypot(dx / frame.hw, dy / frame.hh);
+    return Math.min(dx ? frame.hw / Math.abs(dx) : Infinity, dy ? frame.hh / Math.abs(dy) : Infinity);
+}
+
+// First crossing of a ray from the origin with a closed outline around it
+function rayReach(outline, dx, dy) {
+    let best = Infinity;
+    outline.forEach((a, i) => {
+        const b = outline[(i + 1) % outline.length];
+        const ex = b.x - a.x, ey = b.y - a.y;
+        const denom = dx * ey - dy * ex;
+        if (Math.abs(denom) < 1e-9) return; // Parallel
+        const t = (a.x * ey - a.y * ex) / denom; // Along the ray
+        const s = (a.x * dy - a.y * dx) / denom; // Along the edge
+        if (t > 0 && s >= 0 && s <= 1) best = Math.min(best, t);
+    });
+    return best === Infinity ? 0 : best;
+}
+
+// Middle of the side facing `aim`, and the direction leaving it (elbow and curved routes)
+function sideAnchor(frame, aim) {
+    const local = rotatePoint(aim.x, aim.y, frame.cx, frame.cy, -frame.rotation);
+    const dx = local.x - frame.cx;
+    const dy = local.y - frame.cy;
+    const dir = Math.abs(dx) / (frame.hw || 1) >= Math.abs(dy) / (frame.hh || 1)
+        ? { x: Math.sign(dx) || 1, y: 0 }
+        : { x: 0, y: Math.sign(dy) || 1 };
+
+    const d = frameReach(frame, dir.x, dir.y) + CONNECTORS.GAP;
+    const point = rotatePoint(frame.cx + dir.x * d, frame.cy + dir.y * d, frame.cx, frame.cy, frame.rotation);
+    const cos = Math.cos(frame.rotation);
+    const sin = Math.sin(frame.rotation);
+    return { point, dir: { x: dir.x * cos - dir.y * sin, y: dir.x * sin + dir.y * cos } };
+}
+
+// Dominant axis of a vector, as a unit vector
+function axisDir(dx, dy) {
+    return Math.abs(dx) >= Math.abs(dy) ? { x: Math.sign(dx) || 1, y: 0 } : { x: 0, y: Math.sign(dy) || 1 };
+}
+
+// --- 2. ROUTING ---
+// route: { points, curve }. A curve is one cubic Bézier: [start, control, control, end].
+function computeRoute(arrow, lookup) {
+    const frameOf = binding => {
+        const target = binding ? lookup(binding.id) : null;
+        return target && isBindable(target) ? getShapeFrame(target) : null;
+    };
+    const startFrame = frameOf(arrow.startBinding);
+    const endFrame = frameOf(arrow.endBinding);
+
+    // A bound end aims at the other end: its shape's centre, or its free point
+    const startAim = endFrame ? { x: endFrame.cx, y: endFrame.cy } : { x: arrow.endX, y: arrow.endY };
+    const endAim = startFrame ? { x: startFrame.cx, y: startFrame.cy } : { x: arrow.x, y: arrow.y };
+
+    if (arrow.routing !== 'elbow' && arrow.routing !== 'curved') {
+        const start = startFrame ? outlinePoint(startFrame, startAim) : { x: arrow.x, y: arrow.y };
+        const end = endFrame ? outlinePoint(endFrame, endAim) : { x: arrow.endX, y: arrow.endY };
+        return { points: [start, end], curve: false };
+    }
+
+    const s = startFrame ? sideAnchor(startFrame, startAim) : null;
+    const e = endFrame ? sideAnchor(endFrame, endAim) : null;
+    const start = s ? s.point : { x: arrow.x, y: arrow.y };
+    const end = e ? e.point : { x: arrow.endX, y: arrow.endY };
+    const startDir = s ? s.dir : axisDir(end.x - start.x, end.y - start.y);
+    const endDir = e ? e.dir : axisDir(start.x - end.x, start.y - end.y);
+
+    if (arrow.routing === 'curved') {
+        const k = Math.max(20, Math.hypot(end.x - start.x, end.y - start.y) * 0.4);
+        return {
+            points: [start, { x: start.x + startDir.x * k, y: start.y + startDir.y * k }, { x: end.x + endDir.x * k, y: end.y + endDir.y * k }, end],
+            curve: true
+        };
+    }
+    return { points: elbowPoints(start, startDir, end, endDir), curve: false };
+}
+
+// Axis-aligned path leaving along startDir and arriving against endDir
+function elbowPoints(start, startDir, end, endDir) {
+    const startH = Math.abs(startDir.x) >= Math.abs(startDir.y);
+    const endH = Math.abs(endDir.x) >= Math.abs(endDir.y);
+    let corners;
+
+    if (startH && endH) {
+        let x = (start.x + end.x) / 2;
+        if (Math.sign(startDir.x) === Math.sign(endDir.x)) { // Both leave the same way: go round
+            x = startDir.x > 0 ? Math.max(start.x, end.x) + CONNECTORS.ELBOW_STUB : Math.min(start.x, end.x) - CONNECTORS.ELBOW_STUB;
+        }
+        corners = [{ x, y: start.y }, { x, y: end.y }];
+    } else if (!startH && !endH) {
+        let y = (start.y + end.y) / 2;
+        if (Math.sign(startDir.y) === Math.sign(endDir.y)) {
+            y = startDir.y > 0 ? Math.max(start.y, end.y) + CONNECTORS.ELBOW_STUB : Math.min(start.y, end.y) - CONNECTORS.ELBOW_STUB;
+        }
+        corners = [{ x: start.x, y }, { x: end.x, y }];
+    } else {
+        corners = [startH ? { x: end.x, y: start.y } : { x: start.x, y: end.y }];
+    }
+
+    return [start, ...corners, end].filter((p, i, all) => i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y) > 0.01);
+}
+
+// Re-route in place: bound ends move onto their shapes. Returns the route.
+function routeConnector(arrow, lookup) {
+    const route = computeRoute(arrow, lookup);
+    const start = route.points[0];
+    const end = route.points[route.points.length - 1];
+    arrow.x = start.x;
+    arrow.y = start.y;
+    arrow.endX = end.x;
+    arrow.endY = end.y;
+    arrow.route = route;
+    return route;
+}
+
+// Cached route, or one from the stored endpoints (e.g. a collaborator's draft)
+function getConnectorRoute(el) {
+    return el.route || computeRoute(el, () => null);
+}
+
+function isBoundTo(arrow, id) {
+    return (!!arrow.startBinding && arrow.startBinding.id === id) || (!!arrow.endBinding && arrow.endBinding.id === id);
+}
+
+// --- 3. GEOMETRY ---
+function bezierPoint(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+        y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y
+    };
+}
+
+// The route as a polyline (curves sampled)
+function flattenRoute(route, samples = 16) {
+    if (!route.curve) return route.points;
+    const [p0, p1, p2, p3] = route.points;
+    return Array.from({ length: samples + 1 }, (_, i) => bezierPoint(p0, p1, p2, p3, i / samples));
+}
+
+// Halfway along the route, where the label sits
+function routeMidpoint(route) {
+    if (route.curve) return bezierPoint(...route.points, 0.5);
+    const points = route.points;
+    const lengths = points.slice(1).map((p, i) => Math.hypot(p.x - points[i].x, p.y - points[i].y));
+    let remaining = lengths.reduce((sum, len) => sum + len, 0) / 2;
+    for (let i = 0; i < lengths.length; i++) {
+        if (remaining <= lengths[i] && lengths[i] > 0) {
+            const t = remaining / lengths[i];
+            return { x: points[i].x + (points[i + 1].x - points[i].x) * t, y: points[i].y + (points[i + 1].y - points[i].y) * t };
+        }
+        remaining -= lengths[i];
+    }
+    return points[0];
+}
+
+function labelFontSize(el) {
+    return Math.max(12, el.size * 3);
+}
+
+function arrowheadLength(el) {
+    return Math.max(10, el.size * 3);
+}
+
+// Label box centred on the route (text measured as in js/text.js)
+function getLabelBox(el, route) {
+    const size = labelFontSize(el);
+    const mid = routeMidpoint(route);
+    const w = measureText(el.content, fontString(el, size), size) + 8;
+    const h = size * 1.4;
+    return { x: mid.x - w / 2, y: mid.y - h / 2, w, h };
+}
+
+function getConnectorBounds(el) {
+    const route = getConnectorRoute(el);
+    const xs = route.points.map(p => p.x); // Control points bound the curve too
+    const ys = route.points.map(p => p.y);
+    const pad = Math.max(el.size / 2, arrowheadLength(el));
+    let minX = Math.min(...xs) - pad, minY = Math.min(...ys) - pad;
+    let maxX = Math.max(...xs) + pad, maxY = Math.max(...ys) + pad;
+    if (el.content) {
+        const b = getLabelBox(el, route);
+        minX = Math.min(minX, b.x);
+        minY = Math.min(minY, b.y);
+        maxX = Math.max(maxX, b.x + b.w);
+        maxY = Math.max(maxY, b.y + b.h);
+    }
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+function connectorHit(el, x, y, margin) {
+    const route = getConnectorRoute(el);
+    if (el.content) {
+        const b = getLabelBox(el, route);
+        if (x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) return true;
+    }
+    const points = flattenRoute(route);
+    return points.slice(1).some((p, i) => el.distToSegment({ x, y }, points[i], p) < el.size / 2 + margin);
+}
+
+// --- 4. DRAWING ---
+// Path tracers for anything with the canvas path API (a 2D context or SvgPathBuilder)
+function traceConnector(route, path) {
+    const [first, ...rest] = route.points;
+    path.moveTo(first.x, first.y);
+    if (route.curve) path.bezierCurveTo(rest[0].x, rest[0].y, rest[1].x, rest[1].y, rest[2].x, rest[2].y);
+    else rest.forEach(p => path.lineTo(p.x, p.y));
+}
+
+// Returns how to paint the head: 'stroke', 'fill', or null for none
+function traceArrowhead(el, route, which, path) {
+    const style = which === 'start' ? el.arrowStart : el.arrowEnd;
+    if (!style || style === 'none') return null;
+
+    const points = route.points;
+    const tip = which === 'start' ? points[0] : points[points.length - 1];
+    const from = which === 'start' ? points[1] : points[points.length - 2]; // Curves: the control point
+    const len = Math.hypot(tip.x - from.x, tip.y - from.y);
+    if (len < 1e-6) return null;
+    const dx = (tip.x - from.x) / len;
+    const dy = (tip.y - from.y) / len;
+
+    const size = arrowheadLength(el);
+    const barb = angle => ({
+        x: tip.x - size * (dx * Math.cos(angle) - dy * Math.sin(angle)),
+        y: tip.y - size * (dx * Math.sin(angle) + dy * Math.cos(angle))
+    });
+    const left = barb(CONNECTORS.HEAD_ANGLE);
+    const right = barb(-CONNECTORS.HEAD_ANGLE);
+
+    switch (style) {
+        case 'arrow':
+            path.moveTo(left.x, left.y);
+            path.lineTo(tip.x, tip.y);
+            path.lineTo(right.x, right.y);
+            return 'stroke';
+        case 'triangle':
+            path.moveTo(tip.x, tip.y);
+            path.lineTo(left.x, left.y);
+            path.lineTo(right.x, right.y);
+            path.closePath();
+            return 'fill';
+        case 'dot': {
+            const r = size / 3;
+            path.moveTo(tip.x + r, tip.y);
+            path.arc(tip.x, tip.y, r, 0, Math.PI * 2);
+            path.closePath();
+            return 'fill';
+        }
+    }
+    return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONNECTORS,
+        isBindable,
+        getShapeFrame,
+        findBindTarget,
+        computeRoute,
+        routeConnector,
+        getConnectorRoute,
+        isBoundTo,
+        routeMidpoint,
+        getConnectorBounds,
+        connectorHit,
+        traceConnector,
+        traceArrowhead
+    };
+}
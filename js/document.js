@@ -0,0 +1,312 @@
+/**
+ * Project Files - Versioned Document Format
+ * Architecture: createDocument / readDocument (+ migrations & validator)
+ *
+ * A saved project is an envelope around the board:
+ *   { format, version, meta, viewport, settings, layers, elements, assets }
+ * Images are written once into `assets` and referenced by `assetId`. The board
+ * background (see js/themes.js) is kept in `settings.background`.
+ * Older files are upgraded one version at a time by MIGRATIONS before validation,
+ * and every problem is reported with the path of the offending field.
+ *
+ * No DOM access, so the same code can check files outside the browser.
+ */
+
+// --- 1. FORMAT ---
+const DOCUMENT_FORMAT = 'ariba-whiteboard';
+const DOCUMENT_VERSION = 2;
+
+const ELEMENT_TYPES = ['brush', 'eraser', 'highlighter', 'line', 'rect', 'circle', 'text', 'sticky', 'image', 'arrow', 'ellipse', 'polygon',
+    'triangle', 'diamond', 'star', 'callout', 'polyline', 'frame'];
+const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+const ARROWHEADS = ['none', 'arrow', 'triangle', 'dot'];
+const ROUTINGS = ['straight', 'elbow', 'curved'];
+const TEXT_ALIGNS = ['left', 'center', 'right'];
+const BACKGROUND_THEMES = ['dark', 'light', 'blueprint', 'custom'];
+const BACKGROUND_PATTERNS = ['none', 'grid', 'dots', 'ruled', 'isometric'];
+
+class ProjectFormatError extends Error {
+    // errors: [{ path, message }] for validation failures
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'ProjectFormatError';
+        this.errors = errors;
+    }
+}
+
+// --- 2. MIGRATIONS ---
+// MIGRATIONS[n] turns a version n document into version n + 1
+const MIGRATIONS = {
+    // v0: a bare array of elements (the original Save Project)
+    0: raw => ({ layers: [], elements: raw }),
+    // v1: { layers, elements } without an envelope
+    1: raw => ({
+        format: DOCUMENT_FORMAT,
+        version: 2,
+        meta: {},
+        viewport: null,
+        settings: {},
+        layers: raw.layers || [],
+        elements: raw.elements,
+        assets: {}
+    }),
+};
+
+function detectVersion(raw) {
+    if (Array.isArray(raw)) return 0;
+    if (!raw || typeof raw !== 'object') return null;
+    if (raw.format === DOCUMENT_FORMAT) return raw.version;
+    if (raw.format === undefined && raw.type === undefined && Array.isArray(raw.elements)) return 1;
+    return null;
+}
+
+function migrateDocument(raw) {
+    let version = detectVersion(raw);
+    if (version === null) {
+        const hint = raw && raw.type === 'excalidraw' ? ' (this looks like an Excalidraw file)' : '';
+        throw new ProjectFormatError(`Not a whiteboard project${hint}.`);
+    }
+    if (!Number.isInteger(version) || version < 0) {
+        throw new ProjectFormatError(`Unknown project version "${version}".`);
+    }
+    if (version > DOCUMENT_VERSION) {
+        throw new ProjectFormatError(`This project was saved by a newer version of the app (format ${version}).`);
+    }
+
+    let doc = raw;
+    while (version < DOCUMENT_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version++;
+    }
+    return doc;
+}
+
+// --- 3. VALIDATION ---
+// Returns [{ path, message }]; empty when the document can be loaded
+function validateDocument(doc) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    // Optional fields: only checked when present
+    const check = (obj, path, key, test, message) => {
+        if (obj[key] !== undefined && !test(obj[key])) fail(`${path}.${key}`, message);
+    };
+
+    if (!isObject(doc)) {
+        fail('', 'expected an object');
+        return errors;
+    }
+    if (doc.meta !== undefined && !isObject(doc.meta)) fail('meta', 'expected an object');
+    if (doc.settings !== undefined && !isObject(doc.settings)) fail('settings', 'expected an object');
+    else if (doc.settings) {
+        check(doc.settings, 'settings', 'grid', v => typeof v === 'boolean', 'expected true or false');
+        const bg = doc.settings.background;
+        if (bg !== undefined && !isObject(bg)) {
+            fail('settings.background', 'expected an object');
+        } else if (bg) {
+            const path = 'settings.background';
+            check(bg, path, 'theme', v => BACKGROUND_THEMES.includes(v), `expected one of ${BACKGROUND_THEMES.join(', ')}`);
+            check(bg, path, 'color', v => typeof v === 'string', 'expected a color string');
+            check(bg, path, 'pattern', v => BACKGROUND_PATTERNS.includes(v), `expected one of ${BACKGROUND_PATTERNS.join(', ')}`);
+            check(bg, path, 'gridSize', v => isNumber(v) && v > 0, 'expected a positive number');
+        }
+    }
+
+    if (doc.viewport !== undefined && doc.viewport !== null) {
+        if (!isObject(doc.viewport)) {
+            fail('viewport', 'expected an object');
+        } else {
+            ['panX', 'panY'].forEach(key => check(doc.viewport, 'viewport', key, isNumber, 'expected a number'));
+            check(doc.viewport, 'viewport', 'scale', v => isNumber(v) && v > 0, 'expected a positive number');
+        }
+    }
+
+    const assets = doc.assets === undefined ? {} : doc.assets;
+    if (!isObject(assets)) {
+        fail('assets', 'expected an object');
+    } else {
+        Object.entries(assets).forEach(([id, asset]) => {
+            if (!isObject(asset) || typeof asset.dataURL !== 'string' || !asset.dataURL.startsWith('data:')) {
+                fail(`assets.${id}`, 'expected { dataURL: "data:..." }');
+            }
+        });
+    }
+
+    if (!Array.isArray(doc.layers)) {
+        fail('layers', 'expected an array');
+    } else {
+        const seen = new Set();
+        doc.layers.forEach((layer, i) => {
+            const path = `layers[${i}]`;
+            if (!isObject(layer)) {
+                fail(path, 'expected an object');
+                return;
+            }
+            if (typeof layer.id !== 'string' || !layer.id) fail(`${path}.id`, 'expected a non-empty string');
+            else if (seen.has(layer.id)) fail(`${path}.id`, `duplicate layer id "${layer.id}"`);
+            seen.add(layer.id);
+            check(layer, path, 'name', v => typeof v === 'string', 'expected a string');
+            check(layer, path, 'visible', v => typeof v === 'boolean', 'expected true or false');
+            check(layer, path, 'locked', v => typeof v === 'boolean', 'expected true or false');
+            check(layer, path, 'opacity', v => isNumber(v) && v >= 0 && v <= 1, 'expected a number from 0 to 1');
+        });
+    }
+
+    if (!Array.isArray(doc.elements)) {
+        fail('elements', 'expected an array');
+        return errors;
+    }
+
+    const ids = new Set();
+    doc.elements.forEach((el, i) => {
+        const path = `elements[${i}]`;
+        if (!isObject(el)) {
+            fail(path, 'expected an object');
+            return;
+        }
+        if (!ELEMENT_TYPES.includes(el.type)) {
+            fail(`${path}.type`, `unknown element type ${JSON.stringify(el.type)}`);
+            return;
+        }
+        if (el.id !== undefined) {
+            if (!isNumber(el.id) && typeof el.id !== 'string') fail(`${path}.id`, 'expected a number or a string');
+            else if (ids.has(el.id)) fail(`${path}.id`, `duplicate element id ${JSON.stringify(el.id)}`);
+            ids.add(el.id);
+        }
+
+        ['x', 'y', 'endX', 'endY', 'w', 'h', 'rotation'].forEach(key => check(el, path, key, isNumber, 'expected a number'));
+        check(el, path, 'z', v => v === null || isNumber(v), 'expected a number');
+        check(el, path, 'size', v => isNumber(v) && v >= 0, 'expected a number >= 0');
+        check(el, path, 'alpha', v => isNumber(v) && v >= 0 && v <= 1, 'expected a number from 0 to 1');
+        check(el, path, 'color', v => typeof v === 'string', 'expected a string');
+        check(el, path, 'fill', v => v === null || typeof v === 'string', 'expected null or a color');
+        check(el, path, 'fillAlpha', v => isNumber(v) && v >= 0 && v <= 1, 'expected a number from 0 to 1');
+        check(el, path, 'dash', v => DASH_STYLES.includes(v), `expected one of ${DASH_STYLES.join(', ')}`);
+        check(el, path, 'radius', v => isNumber(v) && v >= 0, 'expected a number >= 0');
+        check(el, path, 'content', v => typeof v === 'string', 'expected a string');
+        check(el, path, 'layer', v => v === null || typeof v === 'string', 'expected a layer id');
+        check(el, path, 'dataURL', v => v === null || typeof v === 'string', 'expected a string');
+        ['startBinding', 'endBinding'].forEach(key => check(el, path, key, v => v === null || (isObject(v) && (isNumber(v.id) || typeof v.id === 'string')), 'expected null or { id }'));
+        check(el, path, 'frameId', v => v === null || isNumber(v) || typeof v === 'string', 'expected null or a frame id');
+        ['arrowStart', 'arrowEnd'].forEach(key => check(el, path, key, v => ARROWHEADS.includes(v), `expected one of ${ARROWHEADS.join(', ')}`));
+        check(el, path, 'routing', v => ROUTINGS.includes(v), `expected one of ${ROUTINGS.join(', ')}`);
+        check(el, path, 'fontFamily', v => typeof v === 'string', 'expected a string'); // Unknown families fall back to sans
+        check(el, path, 'fontWeight', v => v === 'normal' || v === 'bold', 'expected "normal" or "bold"');
+        check(el, path, 'fontStyle', v => v === 'normal' || v === 'italic', 'expected "normal" or "italic"');
+        check(el, path, 'textAlign', v => TEXT_ALIGNS.includes(v), `expected one of ${TEXT_ALIGNS.join(', ')}`);
+
+        if (el.points !== undefined) {
+            if (!Array.isArray(el.points)) {
+                fail(`${path}.points`, 'expected an array');
+            } else {
+                const bad = el.points.findIndex(p => !isObject(p) || !isNumber(p.x) || !isNumber(p.y));
+                if (bad !== -1) fail(`${path}.points[${bad}]`, 'expected { x, y } numbers');
+                const badPressure = el.points.findIndex(p => isObject(p) && p.pressure !== undefined && !(isNumber(p.pressure) && p.pressure >= 0 && p.pressure <= 1));
+                if (badPressure !== -1) fail(`${path}.points[${badPressure}].pressure`, 'expected a number from 0 to 1');
+            }
+        }
+        if (el.assetId !== undefined && (!isObject(assets) || !assets[el.assetId])) {
+            fail(`${path}.assetId`, `no asset "${el.assetId}" in the file`);
+        }
+    });
+
+    return errors;
+}
+
+// --- 4. READ / WRITE ---
+// options: { meta, viewport, settings }. Elements may be Element instances or plain data;
+// the board's background, if it has one, goes into the settings.
+function createDocument(board, options = {}) {
+    const assets = {};
+    const ids = new Map(); // dataURL -> asset id
+    const elements = board.elements.map(el => {
+        const data = typeof el.toJSON === 'function' ? el.toJSON() : { ...el };
+        if (data.type !== 'image' || !data.dataURL) return data;
+
+        const { dataURL, ...rest } = data;
+        if (!ids.has(dataURL)) {
+            const id = `asset-${ids.size + 1}`;
+            ids.set(dataURL, id);
+            assets[id] = { dataURL };
+        }
+        return { ...rest, assetId: ids.get(dataURL) };
+    });
+
+    return {
+        format: DOCUMENT_FORMAT,
+        version: DOCUMENT_VERSION,
+        meta: { ...options.meta, savedAt: new Date().toISOString() },
+        viewport: options.viewport || null,
+        settings: board.background ? { ...options.settings, background: board.background } : options.settings || {},
+        layers: board.layers,
+        elements,
+        assets
+    };
+}
+
+// Parse, upgrade and check a project file. Returns the document with image data
+// put back on the elements; throws ProjectFormatError describing what is wrong.
+function readDocument(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new ProjectFormatError(`The file is not valid JSON (${err.message}).`);
+    }
+
+    const doc = migrateDocument(raw);
+    const errors = validateDocument(doc);
+    if (errors.length > 0) {
+        throw new ProjectFormatError(`The project has ${errors.length} invalid field(s).`, errors);
+    }
+
+    const assets = doc.assets || {};
+    return {
+        ...doc,
+        background: documentBackground(doc.settings || {}),
+        layers: doc.layers.map(layer => createLayer(layer.name || 'Layer', layer)), // Missing visible/locked/opacity: the defaults (js/layers.js)
+        elements: doc.elements.map(el => {
+            if (!el.assetId) return el;
+            const { assetId, ...rest } = el;
+            return { ...rest, dataURL: assets[assetId].dataURL };
+        })
+    };
+}
+
+// The board background a document describes; files from before themes only had a grid toggle
+function documentBackground(settings) {
+    if (settings.background) return settings.background;
+    return settings.grid ? { pattern: 'grid' } : null;
+}
+
+// Human-readable summary for alerts: the message plus the first few field errors
+function describeFormatError(err, limit = 8) {
+    if (!(err instanceof ProjectFormatError)) return `Failed to load project (${err.message}).`;
+    const lines = err.errors.slice(0, limit).map(e => `• ${e.path || '(file)'}: ${e.message}`);
+    if (err.errors.length > limit) lines.push(`…and ${err.errors.length - limit} more`);
+    return [err.message, ...lines].join('\n');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DOCUMENT_FORMAT,
+        DOCUMENT_VERSION,
+        ELEMENT_TYPES,
+        ARROWHEADS,
+        ROUTINGS,
+        TEXT_ALIGNS,
+        DASH_STYLES,
+        BACKGROUND_THEMES,
+        BACKGROUND_PATTERNS,
+        ProjectFormatError,
+        MIGRATIONS,
+        migrateDocument,
+        validateDocument,
+        createDocument,
+        readDocument,
+        documentBackground,
+        describeFormatError
+    };
+}
@@ -0,0 +1,153 @@
+/**
+ * Eraser Tool - Vector Erasing
+ * Architecture: EraserTool (pointer handling) driving StateManager ops
+ *
+ * - object: deletes every element the eraser path touches
+ * - precision: cuts brush/highlighter strokes where the eraser crosses them
+ * One erase gesture is one undo step.
+ */
+
+const ERASER_MODES = {
+    object: { icon: 'bx-eraser', title: 'Eraser Mode: Whole Object' },
+    precision: { icon: 'bx-cut', title: 'Eraser Mode: Precision (Split Strokes)' },
+};
+
+const SPLITTABLE_TYPES = ['brush', 'highlighter'];
+const BOX_HIT_TYPES = ['rect', 'sticky', 'image', 'text']; // Hit anywhere inside (see Element.isHit)
+
+// Split a stroke's points into the runs that survive an eraser circle at (x, y)
+function splitPoints(points, x, y, radius) {
+    const runs = [];
+    let run = [];
+
+    points.forEach((p, i) => {
+        const inside = Math.hypot(p.x - x, p.y - y) <= radius;
+        const prev = points[i - 1];
+        // A long segment can cross the circle even when both ends are outside it
+        const crossed = prev && !inside && run.length > 0 &&
+            Element.prototype.distToSegment({ x, y }, prev, p) <= radius;
+
+        if (inside || crossed) {
+            if (run.length > 1) runs.push(run);
+            run = inside ? [] : [p];
+        } else {
+            run.push(p);
+        }
+    });
+    if (run.length > 1) runs.push(run);
+    return runs;
+}
+
+class EraserTool {
+    constructor(app) {
+        this.app = app;
+        this.mode = 'object';
+        this.isErasing = false;
+        this.lastPos = null;
+        this.cursor = null; // World position for the on-screen ring
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    // Eraser reach in world units
+    get radius() {
+        return this.app.size / 2 + 4 / this.app.renderer.scale;
+    }
+
+    toggleMode() {
+        this.mode = this.mode === 'object' ? 'precision' : 'object';
+        return ERASER_MODES[this.mode];
+    }
+
+    onPointerDown(x, y) {
+        this.isErasing = true;
+        this.lastPos = { x, y };
+        this.state.beginBatch();
+        this.eraseAt(x, y);
+    }
+
+    onPointerMove(x, y) {
+        this.cursor = { x, y };
+        if (!this.isErasing) {
+            this.app.requestRender();
+            return;
+        }
+
+        // Sample along the path so fast swipes don't skip thin strokes
+        const dist = Math.hypot(x - this.lastPos.x, y - this.lastPos.y);
+        const steps = Math.max(1, Math.ceil(dist / Math.max(this.radius, 2)));
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            this.eraseAt(this.lastPos.x + (x - this.lastPos.x) * t, this.lastPos.y + (y - this.lastPos.y) * t);
+        }
+        this.lastPos = { x, y };
+    }
+
+    onPointerUp() {
+        if (!this.isErasing) return;
+        this.isErasing = false;
+        this.state.endBatch();
+    }
+
+    // Bring back what this stroke erased
+    cancel() {
+        if (!this.isErasing) return;
+        this.isErasing = false;
+        this.state.cancelBatch();
+    }
+
+    eraseAt(x, y) {
+        const r = this.radius;
+        this.state.getElementsInRect({ x: x - r, y: y - r, w: r * 2, h: r * 2 }).forEach(el => {
+            if (!this.state.isEditable(el)) return; // Locked layer
+            if (this.mode === 'precision') {
+                if (SPLITTABLE_TYPES.includes(el.type)) this.cutStroke(el, x, y);
+            } else if (this.touches(el, x, y, r)) {
+                this.state.deleteElement(el);
+            }
+        });
+    }
+
+    // Whether the eraser circle reaches the element
+    touches(el, x, y, r) {
+        if (!BOX_HIT_TYPES.includes(el.type)) return el.isHit(x, y, r);
+        if (el.rotation) {
+            const c = el.getCenter();
+            ({ x, y } = rotatePoint(x, y, c.x, c.y, -el.rotation));
+        }
+        const b = el.getBounds();
+        const dx = Math.max(b.x - x, 0, x - b.x - b.w);
+        const dy = Math.max(b.y - y, 0, y - b.y - b.h);
+        return Math.hypot(dx, dy) <= r;
+    }
+
+    cutStroke(el, x, y) {
+        // Work in world space; rotation is baked into the pieces
+        let points = el.points;
+        if (el.rotation) {
+            const c = el.getCenter();
+            points = points.map(p => ({ ...p, ...rotatePoint(p.x, p.y, c.x, c.y, el.rotation) }));
+        }
+
+        const radius = this.radius + el.size / 2;
+        const touched = points.some((p, i) => Math.hypot(p.x - x, p.y - y) <= radius ||
+            (i > 0 && Element.prototype.distToSegment({ x, y }, points[i - 1], p) <= radius));
+        if (!touched) return; // A dot has no runs to keep, so this can't be told from the runs
+        const runs = splitPoints(points, x, y, radius);
+
+        this.state.deleteElement(el);
+        runs.forEach(run => {
+            const piece = new Element(el.type, {
+                ...el.toJSON(),
+                id: null,
+                x: run[0].x,
+                y: run[0].y,
+                points: run.map(p => ({ ...p })),
+                rotation: 0
+            });
+            this.state.addElement(piece);
+        });
+    }
+}
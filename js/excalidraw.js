@@ -0,0 +1,586 @@
+/**
+ * Excalidraw - Import & Export of .excalidraw Files
+ * Architecture: createExcalidraw / readExcalidraw (pure: board in, file out and back, like js/document.js)
+ *
+ * Mapping, ours <-> Excalidraw:
+ *   brush, highlighter <-> freedraw          rect, sticky <-> rectangle
+ *   ellipse, circle    <-> ellipse           diamond      <-> diamond
+ *   line, polyline, polygon <-> line         triangle, star, callout -> line (closed outline)
+ *   arrow <-> arrow    text <-> text         image <-> image (+ files)     frame <-> frame
+ *   arrow <- arrow with bends: curved when rounded, else elbowed (ours only route between
+ *   their ends, so the bends are redrawn and counted in `skipped` as "arrow bends")
+ * Sticky notes and arrow labels become text bound to their container. What Excalidraw
+ * can't express (a sticky note, a circle, a highlighter, the font weight, an arrow's
+ * routing) rides along in the element's `customData`, so our own files come back as
+ * they were; drawings made in Excalidraw come in as the closest thing we have.
+ * Elements with no counterpart are counted in `skipped` ({ type: count }) for the
+ * caller to report. No DOM access.
+ */
+
+// --- 1. FORMAT ---
+const EXCALIDRAW = {
+    TYPE: 'excalidraw',
+    VERSION: 2,
+    CUSTOM_KEY: 'whiteboard', // customData.whiteboard: what only this app knows about an element
+    FONTS: { 1: 'hand', 2: 'sans', 3: 'mono', 5: 'hand', 6: 'sans', 7: 'sans', 8: 'mono', 9: 'sans' }, // Their fontFamily -> ours
+    FONT_IDS: { sans: 2, serif: 2, mono: 3, hand: 1 }, // Ours -> theirs (Virgil, Helvetica, Cascadia)
+    ARROWHEADS: { // Theirs -> ours
+        arrow: 'arrow', bar: 'arrow', triangle: 'triangle', triangle_outline: 'triangle', diamond: 'triangle',
+        diamond_outline: 'triangle', dot: 'dot', circle: 'dot', circle_outline: 'dot'
+    },
+    ROUND_RADIUS: 32, // Their adaptive corner radius, when a rounded rectangle gives no value
+    HIGHLIGHTER_OPACITY: 40, // Percent: their freedraw has no highlighter, only opacity
+    CLOSE_DISTANCE: 1, // World units: a line ending this close to its start is a closed polygon
+    OUTLINE_TYPES: ['triangle', 'star', 'callout'], // Written as closed lines
+};
+
+// --- 2. EXPORT ---
+// board: { elements, background }. Elements may be Element instances or plain data.
+// Returns { file, skipped }: the .excalidraw contents and the types left out.
+function createExcalidraw(board, options = {}) {
+    const now = options.now || Date.now();
+    const skipped = {};
+    const files = {};
+    const fileIds = new Map(); // dataURL -> file id
+    const skip = type => { skipped[type] = (skipped[type] || 0) + 1; };
+    const exported = new Set(board.elements.filter(el => el.type !== 'eraser' && (el.type !== 'image' || el.dataURL)).map(el => el.id));
+    const elements = [];
+    const byId = new Map();
+
+    const add = item => {
+        elements.push({ ...excalidrawDefaults(elements.length, now), ...item });
+        byId.set(item.id, elements[elements.length - 1]);
+        return elements[elements.length - 1];
+    };
+    const bind = (target, item) => {
+        const owner = byId.get(target);
+        if (owner) owner.boundElements = [...(owner.boundElements || []), { id: item.id, type: item.type }];
+    };
+
+    board.elements.forEach(source => {
+        const el = typeof source.toJSON === 'function' ? source.toJSON() : source;
+        const item = exported.has(el.id) ? toExcalidraw(el) : null; // Erasers paint in the board color: nothing to carry over
+        if (!item) {
+            skip(el.type);
+            return;
+        }
+        item.frameId = el.frameId !== null && el.frameId !== undefined && exported.has(el.frameId) ? String(el.frameId) : null;
+
+        if (el.type === 'image') {
+            if (!fileIds.has(el.dataURL)) {
+                const id = `file-${fileIds.size + 1}`;
+                fileIds.set(el.dataURL, id);
+                files[id] = { id, mimeType: dataURLMimeType(el.dataURL), dataURL: el.dataURL, created: now };
+            }
+            item.fileId = fileIds.get(el.dataURL);
+        }
+        if (el.type === 'arrow') {
+            ['startBinding', 'endBinding'].forEach(key => {
+                const binding = el[key];
+                item[key] = binding && exported.has(binding.id) ? { elementId: String(binding.id), focus: 0, gap: 0 } : null;
+            });
+        }
+        add(item);
+
+        // Sticky note text and arrow labels: a text element bound to its container
+        const label = boundText(el, item);
+        if (label) {
+            add(label);
+            bind(item.id, label);
+        }
+    });
+
+    // Shapes list the arrows bound to them
+    elements.filter(item => item.type === 'arrow').forEach(item => {
+        [item.startBinding, item.endBinding].forEach(binding => {
+            if (binding) bind(binding.elementId, item);
+        });
+    });
+
+    const background = normalizeBackground(board.background);
+    return {
+        file: {
+            type: EXCALIDRAW.TYPE,
+            version: EXCALIDRAW.VERSION,
+            source: DOCUMENT_FORMAT,
+            elements,
+            appState: {
+                viewBackgroundColor: backgroundColor(background),
+                gridSize: background.gridSize,
+                gridModeEnabled: background.pattern !== 'none'
+            },
+            files
+        },
+        skipped
+    };
+}
+
+// Fields every Excalidraw element has; `seed` only has to differ between elements
+function excalidrawDefaults(i, now) {
+    return {
+        angle: 0,
+        strokeColor: '#1e1e1e',
+        backgroundColor: 'transparent',
+        fillStyle: 'solid',
+        strokeWidth: 2,
+        strokeStyle: 'solid',
+        roughness: 0, // Architect: clean lines, like ours
+        opacity: 100,
+        groupIds: [],
+        frameId: null,
+        roundness: null,
+        seed: i + 1,
+        version: 1,
+        versionNonce: 0,
+        isDeleted: false,
+        boundElements: null,
+        updated: now,
+        link: null,
+        locked: false
+    };
+}
+
+// One of our elements as an Excalidraw element (without bindings, files and labels), or null
+function toExcalidraw(el) {
+    const base = {
+        id: String(el.id),
+        angle: el.rotation || 0,
+        strokeColor: el.color || '#1e1e1e',
+        backgroundColor: excalidrawFill(el),
+        strokeWidth: el.size || 1,
+        strokeStyle: el.dash || 'solid',
+        opacity: Math.round((el.alpha === undefined ? 1 : el.alpha) * 100)
+    };
+    const custom = extra => ({ customData: { [EXCALIDRAW.CUSTOM_KEY]: extra } });
+    const box = normalizedBox(el);
+
+    switch (el.type) {
+        case 'brush':
+        case 'highlighter': {
+            const line = relativePoints(el.points);
+            const pressures = el.points.some(p => p.pressure !== undefined) ? el.points.map(p => (p.pressure === undefined ? 0.5 : p.pressure)) : [];
+            return {
+                ...base,
+                ...line,
+                type: 'freedraw',
+                pressures,
+                simulatePressure: pressures.length === 0,
+                lastCommittedPoint: null,
+                ...(el.type === 'highlighter' ? { opacity: EXCALIDRAW.HIGHLIGHTER_OPACITY, ...custom({ type: 'highlighter' }) } : {})
+            };
+        }
+
+        case 'line':
+            return { ...base, ...relativePoints([{ x: el.x, y: el.y }, { x: el.endX, y: el.endY }]), type: 'line', ...lineDefaults() };
+
+        case 'polyline':
+        case 'polygon':
+        case 'triangle':
+        case 'star':
+        case 'callout': {
+            const outline = EXCALIDRAW.OUTLINE_TYPES.includes(el.type)
+                ? UNIT_OUTLINES[el.type].map(([u, v]) => ({ x: box.x + u * box.width, y: box.y + v * box.height }))
+                : el.points;
+            const closed = el.type !== 'polyline';
+            return {
+                ...base,
+                ...relativePoints(closed ? [...outline, outline[0]] : outline),
+                type: 'line',
+                ...lineDefaults(),
+                ...(el.type === 'polygon' || el.type === 'polyline' ? {} : custom({ type: el.type }))
+            };
+        }
+
+        case 'rect':
+            return { ...base, ...box, type: 'rectangle', roundness: el.radius ? { type: 3, value: el.radius } : null };
+
+        case 'sticky':
+            return {
+                ...base,
+                ...box,
+                height: fitStickyHeight(el),
+                type: 'rectangle',
+                strokeColor: 'transparent',
+                backgroundColor: el.color || '#ffea00',
+                ...custom({ type: 'sticky' })
+            };
+
+        case 'ellipse':
+        case 'diamond':
+            return { ...base, ...box, type: el.type };
+
+        case 'circle': {
+            const r = Math.hypot(el.endX - el.x, el.endY - el.y);
+            return { ...base, x: el.x - r, y: el.y - r, width: r * 2, height: r * 2, type: 'ellipse', ...custom({ type: 'circle' }) };
+        }
+
+        case 'arrow': {
+            const route = flattenRoute(getConnectorRoute(el));
+            return {
+                ...base,
+                ...relativePoints(route),
+                type: 'arrow',
+                ...lineDefaults(),
+                roundness: el.routing === 'curved' ? { type: 2 } : null,
+                startArrowhead: el.arrowStart && el.arrowStart !== 'none' ? el.arrowStart : null,
+                endArrowhead: el.arrowEnd && el.arrowEnd !== 'none' ? el.arrowEnd : null,
+                ...(el.routing && el.routing !== 'straight' ? custom({ routing: el.routing }) : {})
+            };
+        }
+
+        case 'text': {
+            const layout = layoutText(el);
+            return {
+                ...base,
+                ...textFields(el, el.content, layout.fontSize, TEXT.LINE_HEIGHT),
+                x: el.x,
+                y: el.y,
+                width: layout.width,
+                height: layout.height,
+                ...fontCustomData(el, custom)
+            };
+        }
+
+        case 'image':
+            return { ...base, ...box, type: 'image', status: 'saved', scale: [1, 1] };
+
+        case 'frame':
+            return { ...base, ...box, type: 'frame', name: el.content || null };
+
+        default:
+            return null;
+    }
+}
+
+// Sticky note text or an arrow label as a bound Excalidraw text element, or null
+function boundText(el, container) {
+    if (!el.content || (el.type !== 'sticky' && el.type !== 'arrow')) return null;
+    const custom = extra => ({ customData: { [EXCALIDRAW.CUSTOM_KEY]: extra } });
+    const base = { id: `${container.id}-text`, frameId: container.frameId };
+
+    if (el.type === 'sticky') {
+        const { FONT_SIZE, PADDING, LINE_HEIGHT, TEXT_COLOR } = CONFIG.STICKY;
+        const layout = layoutText(el);
+        return {
+            ...base,
+            ...textFields(el, layout.lines.join('\n'), FONT_SIZE, LINE_HEIGHT / FONT_SIZE),
+            containerId: container.id,
+            originalText: el.content,
+            strokeColor: TEXT_COLOR,
+            x: container.x + PADDING,
+            y: container.y + PADDING,
+            width: container.width - PADDING * 2,
+            height: layout.height,
+            ...fontCustomData(el, custom)
+        };
+    }
+
+    const route = getConnectorRoute(el);
+    const box = getLabelBox(el, route);
+    return {
+        ...base,
+        ...textFields({ ...el, textAlign: 'center' }, el.content, labelFontSize(el), TEXT.LINE_HEIGHT),
+        containerId: container.id,
+        strokeColor: el.color || '#1e1e1e',
+        verticalAlign: 'middle',
+        x: box.x,
+        y: box.y,
+        width: box.w,
+        height: box.h
+    };
+}
+
+function textFields(el, text, fontSize, lineHeight) {
+    return {
+        type: 'text',
+        text,
+        originalText: text,
+        fontSize,
+        fontFamily: EXCALIDRAW.FONT_IDS[el.fontFamily] || EXCALIDRAW.FONT_IDS.sans,
+        textAlign: el.textAlign || 'left',
+        verticalAlign: 'top',
+        containerId: null,
+        lineHeight,
+        autoResize: true,
+        backgroundColor: 'transparent'
+    };
+}
+
+// Font choices Excalidraw has no field for
+function fontCustomData(el, custom) {
+    const extra = {};
+    if (el.fontFamily === 'serif') extra.fontFamily = 'serif';
+    if (el.fontWeight === 'bold') extra.fontWeight = 'bold';
+    if (el.fontStyle === 'italic') extra.fontStyle = 'italic';
+    return Object.keys(extra).length > 0 ? custom(extra) : {};
+}
+
+function lineDefaults() {
+    return { startBinding: null, endBinding: null, startArrowhead: null, endArrowhead: null, lastCommittedPoint: null };
+}
+
+// Excalidraw keeps line points relative to the element's x, y; width/height are their extent
+function relativePoints(points) {
+    const origin = points[0] || { x: 0, y: 0 };
+    const xs = points.map(p => p.x - origin.x);
+    const ys = points.map(p => p.y - origin.y);
+    return {
+        x: origin.x,
+        y: origin.y,
+        width: Math.max(0, ...xs) - Math.min(0, ...xs),
+        height: Math.max(0, ...ys) - Math.min(0, ...ys),
+        points: points.map((p, i) => [xs[i], ys[i]])
+    };
+}
+
+// x, y, w, h of a box element drawn in any direction, as Excalidraw wants it
+function normalizedBox(el) {
+    const w = el.w || 0, h = el.h || 0;
+    return { x: Math.min(el.x, el.x + w), y: Math.min(el.y, el.y + h), width: Math.abs(w), height: Math.abs(h) };
+}
+
+// Fill color with its opacity folded in (#rrggbbaa): Excalidraw has one opacity per element
+function excalidrawFill(el) {
+    if (!el.fill) return 'transparent';
+    const alpha = el.fillAlpha === undefined ? 1 : el.fillAlpha;
+    if (alpha >= 1 || !/^#[0-9a-f]{6}$/i.test(el.fill)) return el.fill;
+    return el.fill + Math.round(alpha * 255).toString(16).padStart(2, '0');
+}
+
+function dataURLMimeType(dataURL) {
+    const match = /^data:([^;,]+)/.exec(dataURL);
+    return match ? match[1] : 'image/png';
+}
+
+// --- 3. IMPORT ---
+// By extension, or by the start of the file: Excalidraw writes "type" first
+function isExcalidrawFile(name, text) {
+    return /\.excalidraw$/i.test(name) || /^\s*\{\s*"type"\s*:\s*"excalidraw"/.test(text.slice(0, 100));
+}
+
+// Parse an .excalidraw file into a document for openProject (see script.js), plus
+// `skipped`. Throws ProjectFormatError when it is not one.
+function readExcalidraw(text) {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        throw new ProjectFormatError(`The file is not valid JSON (${err.message}).`);
+    }
+    if (!raw || raw.type !== EXCALIDRAW.TYPE || !Array.isArray(raw.elements)) {
+        throw new ProjectFormatError('Not an Excalidraw file.');
+    }
+
+    const files = raw.files && typeof raw.files === 'object' ? raw.files : {};
+    const live = raw.elements.filter(item => item && typeof item === 'object' && !item.isDeleted);
+    const ids = new Set(live.map(item => item.id));
+    const isLabel = item => item.type === 'text' && item.containerId && ids.has(item.containerId);
+    const skipped = {};
+    const skip = type => { skipped[type] = (skipped[type] || 0) + 1; };
+    const elements = [];
+    const converted = new Map(); // Id -> our element data
+
+    live.filter(item => !isLabel(item)).forEach(item => {
+        const el = fromExcalidraw(item, files, skip);
+        if (!el) {
+            skip(typeof item.type === 'string' ? item.type : 'unknown');
+            return;
+        }
+        elements.push(el);
+        converted.set(el.id, el);
+    });
+
+    // Bound text: the note's text or the arrow's label; any other container gets a text element on top
+    live.filter(isLabel).forEach(item => {
+        const owner = converted.get(item.containerId);
+        const content = typeof item.originalText === 'string' ? item.originalText : String(item.text || '');
+        if (owner && owner.type === 'sticky') Object.assign(owner, textStyleFrom(item), { content });
+        else if (owner && owner.type === 'arrow') owner.content = content;
+        else elements.push(fromExcalidraw({ ...item, containerId: null }, files));
+    });
+
+    // Bindings and frames only point at what came in
+    elements.forEach(el => {
+        ['startBinding', 'endBinding'].forEach(key => {
+            if (el[key] && !converted.has(el[key].id)) el[key] = null;
+        });
+        const frame = converted.get(el.frameId);
+        if (el.frameId && !(frame && frame.type === 'frame')) el.frameId = null;
+    });
+
+    const errors = validateDocument({ layers: [], elements });
+    if (errors.length > 0) {
+        throw new ProjectFormatError(`The Excalidraw file has ${errors.length} invalid field(s).`, errors);
+    }
+    const appState = raw.appState && typeof raw.appState === 'object' ? raw.appState : {};
+    return {
+        meta: { name: typeof appState.name === 'string' && appState.name ? appState.name : 'Excalidraw drawing' },
+        viewport: null,
+        settings: {},
+        layers: [],
+        elements,
+        background: backgroundFromAppState(appState),
+        skipped
+    };
+}
+
+// One Excalidraw element as our element data, or null when we have nothing like it.
+// What comes in only approximately is passed to `skip` (see readExcalidraw).
+function fromExcalidraw(item, files, skip = () => {}) {
+    const custom = (item.customData && item.customData[EXCALIDRAW.CUSTOM_KEY]) || {};
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const num = (value, fallback = 0) => (isNumber(value) ? value : fallback);
+    const color = value => (typeof value === 'string' && value !== 'transparent' ? value : null);
+    const x = num(item.x), y = num(item.y), w = num(item.width), h = num(item.height);
+    const base = {
+        id: typeof item.id === 'string' || isNumber(item.id) ? item.id : createElementId(),
+        x,
+        y,
+        color: color(item.strokeColor) || '#1e1e1e',
+        size: Math.max(0, num(item.strokeWidth, 1)),
+        alpha: Math.min(1, Math.max(0, num(item.opacity, 100) / 100)),
+        rotation: num(item.angle),
+        dash: DASH_STYLES.includes(item.strokeStyle) ? item.strokeStyle : 'solid',
+        frameId: typeof item.frameId === 'string' ? item.frameId : null,
+        ...fillFrom(item.backgroundColor)
+    };
+    const points = Array.isArray(item.points)
+        ? item.points.filter(p => Array.isArray(p) && isNumber(p[0]) && isNumber(p[1])).map(([px, py]) => ({ x: x + px, y: y + py }))
+        : [];
+
+    switch (item.type) {
+        case 'rectangle':
+            if (custom.type === 'sticky') {
+                return { ...base, type: 'sticky', w, h, color: color(item.backgroundColor) || '#ffea00', fill: null, content: '' };
+            }
+            return {
+                ...base,
+                type: 'rect',
+                w,
+                h,
+                radius: item.roundness ? num(item.roundness.value, Math.min(EXCALIDRAW.ROUND_RADIUS, Math.min(w, h) / 4)) : 0
+            };
+
+        case 'ellipse':
+            if (custom.type === 'circle') {
+                const r = Math.min(w, h) / 2;
+                return { ...base, type: 'circle', x: x + w / 2, y: y + h / 2, endX: x + w / 2 + r, endY: y + h / 2 };
+            }
+            return { ...base, type: 'ellipse', w, h };
+
+        case 'diamond':
+            return { ...base, type: 'diamond', w, h };
+
+        case 'freedraw': {
+            if (points.length === 0) return null;
+            const pressures = !item.simulatePressure && Array.isArray(item.pressures) ? item.pressures : [];
+            if (pressures.length === points.length) {
+                points.forEach((p, i) => { p.pressure = Math.min(1, Math.max(0, num(pressures[i], 0.5))); });
+            }
+            const highlighter = custom.type === 'highlighter';
+            return { ...base, type: highlighter ? 'highlighter' : 'brush', points, alpha: highlighter ? 1 : base.alpha, fill: null };
+        }
+
+        case 'line': {
+            if (points.length < 2) return null;
+            const first = points[0], last = points[points.length - 1];
+            const closed = item.polygon === true || (points.length > 3 && Math.hypot(last.x - first.x, last.y - first.y) <= EXCALIDRAW.CLOSE_DISTANCE);
+            const outline = closed && points.length > 3 ? points.slice(0, -1) : points;
+            if (EXCALIDRAW.OUTLINE_TYPES.includes(custom.type)) {
+                const xs = outline.map(p => p.x), ys = outline.map(p => p.y);
+                const minX = Math.min(...xs), minY = Math.min(...ys);
+                return { ...base, type: custom.type, x: minX, y: minY, w: Math.max(...xs) - minX, h: Math.max(...ys) - minY };
+            }
+            if (closed) return { ...base, type: 'polygon', points: outline };
+            if (points.length === 2) return { ...base, type: 'line', endX: last.x, endY: last.y, fill: null };
+            return { ...base, type: 'polyline', points, fill: null };
+        }
+
+        case 'arrow': {
+            if (points.length < 2) return null;
+            const end = points[points.length - 1];
+            const binding = b => (b && (typeof b.elementId === 'string' || isNumber(b.elementId)) ? { id: b.elementId } : null);
+            let routing = ROUTINGS.includes(custom.routing) ? custom.routing : item.elbowed ? 'elbow' : 'straight';
+            // Bends drawn by hand: the closest route that keeps the heads and bindings
+            if (routing === 'straight' && points.length > 2) {
+                routing = item.roundness ? 'curved' : 'elbow';
+                skip('arrow bends');
+            }
+            return {
+                ...base,
+                type: 'arrow',
+                endX: end.x,
+                endY: end.y,
+                fill: null,
+                routing,
+                arrowStart: EXCALIDRAW.ARROWHEADS[item.startArrowhead] || 'none',
+                arrowEnd: EXCALIDRAW.ARROWHEADS[item.endArrowhead] || 'none',
+                startBinding: binding(item.startBinding),
+                endBinding: binding(item.endBinding)
+            };
+        }
+
+        case 'text':
+            return {
+                ...base,
+                ...textStyleFrom(item),
+                type: 'text',
+                fill: null,
+                size: Math.max(1, num(item.fontSize, 20) / 2), // Our text is drawn at twice its size
+                content: typeof item.originalText === 'string' ? item.originalText : String(item.text || '')
+            };
+
+        case 'image': {
+            const file = files[item.fileId];
+            if (!file || typeof file.dataURL !== 'string' || !file.dataURL.startsWith('data:')) return null;
+            return { ...base, type: 'image', w, h, dataURL: file.dataURL, fill: null };
+        }
+
+        case 'frame':
+        case 'magicframe':
+            return { ...base, type: 'frame', w, h, fill: null, content: typeof item.name === 'string' ? item.name : '' };
+
+        default:
+            return null;
+    }
+}
+
+function textStyleFrom(item) {
+    const custom = (item.customData && item.customData[EXCALIDRAW.CUSTOM_KEY]) || {};
+    return {
+        fontFamily: custom.fontFamily || EXCALIDRAW.FONTS[item.fontFamily] || 'sans',
+        fontWeight: custom.fontWeight === 'bold' ? 'bold' : 'normal',
+        fontStyle: custom.fontStyle === 'italic' ? 'italic' : 'normal',
+        textAlign: TEXT_ALIGNS.includes(item.textAlign) ? item.textAlign : 'left'
+    };
+}
+
+// Their fill (maybe #rrggbbaa) as our fill color and fill opacity
+function fillFrom(value) {
+    if (typeof value !== 'string' || value === 'transparent') return { fill: null };
+    const hex = /^(#[0-9a-f]{6})([0-9a-f]{2})$/i.exec(value);
+    if (hex) return { fill: hex[1], fillAlpha: parseInt(hex[2], 16) / 255 };
+    return { fill: value };
+}
+
+// Their canvas color becomes a theme when it is one of ours; a grid size turns the grid on
+function backgroundFromAppState(appState) {
+    const color = typeof appState.viewBackgroundColor === 'string' ? appState.viewBackgroundColor : '#ffffff';
+    const theme = Object.keys(THEMES).find(id => THEMES[id].color && THEMES[id].color.toLowerCase() === color.toLowerCase());
+    const grid = appState.gridModeEnabled !== undefined ? appState.gridModeEnabled === true : typeof appState.gridSize === 'number';
+    return {
+        theme: theme || 'custom',
+        color,
+        pattern: grid ? 'grid' : 'none',
+        ...(typeof appState.gridSize === 'number' && appState.gridSize > 0 ? { gridSize: appState.gridSize } : {})
+    };
+}
+
+// "2 × embeddable, 1 × iframe" for alerts
+function describeSkipped(skipped) {
+    return Object.entries(skipped).map(([type, count]) => `${count} × ${type}`).join(', ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EXCALIDRAW, createExcalidraw, isExcalidrawFile, readExcalidraw, describeSkipped };
+}
@@ -0,0 +1,382 @@
+/**
+ * Frames - Named Regions, Outline Panel & Presentation Mode
+ * Architecture: frame helpers over Element.frameId + FramesPanel (DOM list) + Presenter (fullscreen walk-through)
+ *
+ * A frame is an element ({ type: 'frame', x, y, w, h, content: name }) that other
+ * elements belong to through their `frameId`: they are drawn clipped to it, and move,
+ * copy and delete together with it. An element belongs to the topmost frame its
+ * center lies in, worked out when it is added or dropped and when a frame is drawn
+ * or resized. Frames are presented and exported in the panel's order: layer order,
+ * then z (frames are always painted under everything else, so z only sets the order).
+ */
+
+// --- 1. CONFIGURATION ---
+const FRAMES = {
+    MIN_SIZE: 20, // World units: a smaller drag makes no frame
+    LABEL_SIZE: 14, // World units, like the text in it
+    LABEL_PADDING: 6,
+    PRESENT_PADDING: 40, // Screen px around the presented frame
+    ANIMATION_MS: 600,
+    EXPORT_SCALE: 2,
+    JPEG_QUALITY: 0.92, // PDF pages
+};
+
+// --- 2. MODEL HELPERS ---
+function frameName(frame) {
+    return frame.content || 'Frame';
+}
+
+// Name tag in the frame's top-left corner (world units)
+function frameLabelBox(frame) {
+    const b = frame.getBounds();
+    const pad = FRAMES.LABEL_PADDING;
+    const width = measureText(frameName(frame), fontString(frame, FRAMES.LABEL_SIZE), FRAMES.LABEL_SIZE);
+    return { x: b.x, y: b.y, w: Math.min(b.w, width + pad * 2), h: Math.min(b.h, FRAMES.LABEL_SIZE + pad * 2) };
+}
+
+// A frame is grabbed by its border or its name tag, so clicks inside reach its contents
+function frameHit(frame, x, y, margin) {
+    const b = frame.getBounds();
+    if (x < b.x - margin || x > b.x + b.w + margin || y < b.y - margin || y > b.y + b.h + margin) return false;
+    if (Math.min(x - b.x, b.x + b.w - x, y - b.y, b.y + b.h - y) <= margin) return true;
+    const tag = frameLabelBox(frame);
+    return x <= tag.x + tag.w && y <= tag.y + tag.h;
+}
+
+// Border and name tag: faint ink of the board
+function frameColors(background) {
+    return isDarkColor(background)
+        ? { border: 'rgba(255, 255, 255, 0.4)', tag: 'rgba(255, 255, 255, 0.12)', text: 'rgba(255, 255, 255, 0.85)' }
+        : { border: 'rgba(0, 0, 0, 0.35)', tag: 'rgba(0, 0, 0, 0.08)', text: 'rgba(0, 0, 0, 0.75)' };
+}
+
+function frameContains(frame, el) {
+    const b = frame.getBounds();
+    const c = el.getCenter(); // Rotation turns around the center, so it never moves it
+    return c.x >= b.x && c.x <= b.x + b.w && c.y >= b.y && c.y <= b.y + b.h;
+}
+
+// Topmost shown frame holding the element's center, or null
+function findFrame(state, el) {
+    const frames = state.getFrames();
+    for (let i = frames.length - 1; i >= 0; i--) {
+        if (frames[i] !== el && state.isVisible(frames[i]) && frameContains(frames[i], el)) return frames[i];
+    }
+    return null;
+}
+
+// Put elements in the frame they now lie in (or in none), as 'update' ops
+function assignFrames(state, elements) {
+    elements.forEach(el => {
+        if (el.type === 'frame') return; // Frames don't nest
+        const frame = findFrame(state, el);
+        const frameId = frame ? frame.id : null;
+        if (el.frameId !== frameId) state.updateElement(el, { frameId });
+    });
+}
+
+// After frames were resized: their old contents and whatever they cover now are sorted out again
+function refitFrames(state, frames) {
+    const ids = new Set(frames.map(frame => frame.id));
+    const candidates = new Set(state.elements.filter(el => ids.has(el.frameId)));
+    frames.forEach(frame => state.getElementsInRect(frame.getBounds()).forEach(el => candidates.add(el)));
+    assignFrames(state, Array.from(candidates).filter(el => state.isEditable(el)));
+}
+
+// Moving, copying or deleting a frame takes its contents along
+function withFrameContents(state, elements) {
+    const ids = new Set(elements.filter(el => el.type === 'frame').map(el => el.id));
+    if (ids.size === 0) return elements;
+    const all = new Set(elements);
+    state.elements.forEach(el => {
+        if (ids.has(el.frameId) && state.isEditable(el)) all.add(el);
+    });
+    return Array.from(all);
+}
+
+// A drawn frame: made positive, named, and holding what is already inside it (one undo step)
+function addFrame(state, frame) {
+    if (frame.w < 0) { frame.x += frame.w; frame.w = -frame.w; }
+    if (frame.h < 0) { frame.y += frame.h; frame.h = -frame.h; }
+    if (frame.w < FRAMES.MIN_SIZE || frame.h < FRAMES.MIN_SIZE) return null;
+    if (!frame.content) frame.content = `Frame ${state.getFrames().length + 1}`;
+    state.beginBatch();
+    state.addElement(frame);
+    assignFrames(state, state.getElementsInRect(frame.getBounds()).filter(el => state.isEditable(el)));
+    state.endBatch();
+    return frame;
+}
+
+function renameFrame(state, frame) {
+    const name = prompt("Frame name:", frameName(frame));
+    if (name && name.trim() && name.trim() !== frame.content) state.updateElement(frame, { content: name.trim() });
+}
+
+// e.g. "frame-03-user-journey.png"
+function frameFileName(frame, i, extension) {
+    const slug = frameName(frame).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'frame';
+    return `frame-${String(i + 1).padStart(2, '0')}-${slug}.${extension}`;
+}
+
+// Resolves null when the browser can't encode the canvas (e.g. too large)
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+// --- 3. PANEL ---
+class FramesPanel {
+    constructor(app) {
+        this.app = app;
+        this.root = document.querySelector("#frames-panel");
+        this.list = this.root.querySelector("#frames-list");
+        this.empty = this.root.querySelector("#frames-empty");
+        this.shown = null; // What the list was built from, so unrelated changes don't rebuild it
+
+        this.root.querySelector("#frames-present-btn").addEventListener("click", () => this.app.presenter.start());
+        this.root.querySelector("#frames-pdf-btn").addEventListener("click", () => this.export('pdf'));
+        this.root.querySelector("#frames-png-btn").addEventListener("click", () => this.export('png'));
+        this.app.state.onChange(() => this.render());
+        this.app.state.onLayersChange(() => this.render());
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    toggle() {
+        this.root.hidden = !this.root.hidden;
+        this.render();
+        return !this.root.hidden;
+    }
+
+    // Frames the presentation and the export go through
+    getShownFrames() {
+        return this.state.getFrames().filter(frame => this.state.isVisible(frame));
+    }
+
+    // Swap places with the neighbouring frame in the list (only within a layer, where z decides)
+    shift(frame, dir) {
+        const frames = this.state.getFrames();
+        const other = frames[frames.indexOf(frame) + dir];
+        if (!other || other.layer !== frame.layer) return;
+        const z = frame.z, otherZ = other.z;
+        this.state.beginBatch();
+        if (z === otherZ) {
+            this.state.updateElement(frame, { z: otherZ + dir / 2 });
+        } else {
+            this.state.updateElement(frame, { z: otherZ });
+            this.state.updateElement(other, { z });
+        }
+        this.state.endBatch();
+    }
+
+    render() {
+        if (this.root.hidden) return;
+        const frames = this.state.getFrames();
+        const key = frames.map(frame => `${frame.id}:${frame.content}:${this.state.isVisible(frame)}`).join('\n');
+        if (key === this.shown) return;
+        this.shown = key;
+
+        this.list.innerHTML = '';
+        this.empty.hidden = frames.length > 0;
+        frames.forEach((frame, i) => {
+            const row = document.createElement('li');
+            row.className = 'layer-row';
+            row.classList.toggle('hidden-layer', !this.state.isVisible(frame));
+            row.title = 'Click to go to the frame';
+            row.addEventListener('click', () => this.app.animateView(this.app.renderer.fitRect(frame.getBounds(), FRAMES.PRESENT_PADDING)));
+
+            const button = (icon, title, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'layer-btn';
+                btn.title = title;
+                btn.innerHTML = `<i class='bx ${icon}'></i>`;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    onClick();
+                });
+                return btn;
+            };
+
+            const index = document.createElement('span');
+            index.className = 'frame-index';
+            index.textContent = i + 1;
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = frameName(frame);
+            name.title = 'Double-click to rename';
+            name.addEventListener('dblclick', () => renameFrame(this.state, frame));
+
+            row.append(
+                index,
+                name,
+                button('bx-play', 'Present from Here', () => this.app.presenter.start(this.getShownFrames().indexOf(frame))),
+                button('bx-chevron-up', 'Earlier', () => this.shift(frame, -1)),
+                button('bx-chevron-down', 'Later', () => this.shift(frame, 1))
+            );
+            this.list.appendChild(row);
+        });
+    }
+
+    // --- EXPORT ---
+    // Every shown frame as it is presented: a page of a PDF (see js/pdf.js), or a PNG each
+    async export(format) {
+        const frames = this.getShownFrames();
+        if (frames.length === 0) {
+            alert("No frames to export. Draw one with the Frame tool (F).");
+            return;
+        }
+        const exporter = new PngExporter({
+            scale: FRAMES.EXPORT_SCALE,
+            padding: 0,
+            grid: true,
+            board: this.state.background,
+            layers: this.state.layers,
+            frames: this.state.getFrameMap(),
+            frameChrome: false
+        });
+
+        const pages = [];
+        for (const [i, frame] of frames.entries()) {
+            const bounds = frame.getBounds();
+            const canvas = await exporter.render(this.state.getElementsInRect(bounds), bounds);
+            const blob = format === 'png' ? await canvasToBlob(canvas, 'image/png') : await canvasToBlob(canvas, 'image/jpeg', FRAMES.JPEG_QUALITY);
+            if (!blob) {
+                alert(`The browser couldn't create an image of "${frameName(frame)}"; try a smaller frame.`);
+                return;
+            }
+            if (format === 'png') {
+                this.app.download(blob, frameFileName(frame, i, 'png'));
+                continue;
+            }
+            pages.push({
+                width: bounds.w,
+                height: bounds.h,
+                image: { data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height }
+            });
+        }
+        if (format === 'pdf') this.app.download(new Blob([createPdf(pages)], { type: 'application/pdf' }), `frames-${Date.now()}.pdf`);
+    }
+}
+
+// --- 4. PRESENTATION ---
+// Fullscreen, one frame at a time: the view glides from frame to frame and the
+// board outside the current one is covered. Arrow keys, Space, Page Up/Down or a
+// click step through; Esc (or leaving fullscreen) ends it where it started.
+class Presenter {
+    constructor(app) {
+        this.app = app;
+        this.root = document.querySelector("#presenter");
+        this.status = this.root.querySelector("#present-status");
+        this.active = false;
+        this.frames = [];
+        this.index = 0;
+        this.savedView = null; // Where the board was when the presentation started
+        this.fullscreen = false; // Whether we entered fullscreen (and so leave it at the end)
+        this.bindEvents();
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    bindEvents() {
+        // The cover keeps pointer input away from the tools while presenting
+        this.root.addEventListener("click", (e) => {
+            if (!e.target.closest("button")) this.go(this.index + 1);
+        });
+        this.root.addEventListener("wheel", (e) => e.preventDefault(), { passive: false });
+        this.root.querySelector("#present-prev").addEventListener("click", () => this.go(this.index - 1));
+        this.root.querySelector("#present-next").addEventListener("click", () => this.go(this.index + 1));
+        this.root.querySelector("#present-exit").addEventListener("click", () => this.stop());
+
+        // Capture phase: ahead of the command shortcuts, which stay off while presenting
+        window.addEventListener("keydown", (e) => this.onKey(e), true);
+        window.addEventListener("resize", () => {
+            if (this.active) this.show(false);
+        });
+        document.addEventListener("fullscreenchange", () => {
+            if (this.active && this.fullscreen && !document.fullscreenElement) this.stop();
+        });
+    }
+
+    start(from = 0) {
+        const frames = this.app.framesPanel.getShownFrames();
+        if (frames.length === 0) {
+            alert("Nothing to present. Draw a frame with the Frame tool (F) first.");
+            return;
+        }
+        const r = this.app.renderer;
+        this.app.cancelPointerAction();
+        this.app.selectionTool.clear();
+        this.savedView = { panX: r.panX, panY: r.panY, scale: r.scale };
+        this.frames = frames;
+        this.index = Math.max(0, Math.min(from, frames.length - 1));
+        this.active = true;
+        this.fullscreen = false;
+        r.frameChrome = false;
+        document.body.classList.add("presenting");
+        this.root.hidden = false;
+
+        const page = document.documentElement;
+        if (!document.fullscreenElement && page.requestFullscreen) {
+            page.requestFullscreen()
+                .then(() => { this.fullscreen = true; })
+                .catch(err => console.warn('Presenter: staying in the window', err));
+        }
+        this.show(true);
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        this.app.renderer.frameChrome = true;
+        document.body.classList.remove("presenting");
+        this.root.hidden = true;
+        if (this.fullscreen && document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        this.fullscreen = false;
+        this.app.animateView(this.savedView);
+    }
+
+    go(index) {
+        if (!this.active || index < 0 || index >= this.frames.length) return;
+        this.index = index;
+        this.show(true);
+    }
+
+    // Fit the current frame to the screen
+    show(animate) {
+        this.frames = this.frames.filter(frame => this.state.getElement(frame.id)); // Deleted by a peer meanwhile
+        if (this.frames.length === 0) {
+            this.stop();
+            return;
+        }
+        this.index = Math.min(this.index, this.frames.length - 1);
+        const frame = this.frames[this.index];
+        const view = this.app.renderer.fitRect(frame.getBounds(), FRAMES.PRESENT_PADDING);
+        if (animate) this.app.animateView(view);
+        else this.app.setView(view);
+        this.status.textContent = `${this.index + 1} / ${this.frames.length}  ${frameName(frame)}`;
+    }
+
+    // The presented frame (world units), for the renderer's spotlight
+    getSpotlight() {
+        return this.active && this.frames[this.index] ? this.frames[this.index].getBounds() : null;
+    }
+
+    onKey(e) {
+        if (!this.active) return;
+        e.stopPropagation();
+        const steps = { ArrowRight: 1, ArrowDown: 1, PageDown: 1, ' ': 1, Enter: 1, ArrowLeft: -1, ArrowUp: -1, PageUp: -1 };
+        if (e.key in steps) this.go(this.index + steps[e.key]);
+        else if (e.key === 'Home') this.go(0);
+        else if (e.key === 'End') this.go(this.frames.length - 1);
+        else if (e.key === 'Escape') this.stop();
+        else return;
+        e.preventDefault();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FRAMES, frameLabelBox, frameHit, frameContains, frameFileName };
+}
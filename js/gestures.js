@@ -0,0 +1,138 @@
+/**
+ * Gestures - Pinch Zoom, Two-Finger Pan & Palm Rejection
+ * Architecture: GestureController (in front of WhiteboardApp's pointer handlers)
+ *
+ * Every pointer event passes through here first; touches that belong to a
+ * gesture are consumed and never reach the tools. A second finger turns what the
+ * first one started (a stroke, a drag, an erase) into a gesture: that action is
+ * cancelled and the view follows the fingers until they all lift.
+ * In pen mode fingers never draw (one finger pans), and touches made while the
+ * pen is down are taken for a resting palm and ignored.
+ */
+
+const GESTURES = {
+    PEN_MODE_KEY: 'whiteboard:pen-mode', // 'on' | 'off'; unset until chosen or a pen is first used
+};
+
+class GestureController {
+    constructor(app) {
+        this.app = app;
+        this.touches = new Map(); // pointerId -> { x, y } canvas px, for fingers in the gesture
+        this.ignored = new Set(); // Palm touches, swallowed until they lift
+        this.drawingTouch = null; // { id, pos } of a lone finger using the active tool
+        this.gesture = null; // { spread, scale, anchor } when the current fingers went down
+        this.penDown = false;
+        this.penMode = localStorage.getItem(GESTURES.PEN_MODE_KEY) === 'on';
+        this.button = document.querySelector("#pen-mode-btn");
+        this.renderButton();
+    }
+
+    setPenMode(on) {
+        this.penMode = on;
+        localStorage.setItem(GESTURES.PEN_MODE_KEY, on ? 'on' : 'off');
+        this.renderButton();
+    }
+
+    renderButton() {
+        this.button.classList.toggle("active", this.penMode);
+    }
+
+    localPos(e) {
+        const rect = this.app.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    // --- POINTER EVENTS (each returns true when it consumed the event) ---
+    onPointerDown(e) {
+        if (e.pointerType === 'pen') {
+            this.penDown = true;
+            // The first pen contact turns pen mode on, unless the user already chose
+            if (localStorage.getItem(GESTURES.PEN_MODE_KEY) === null) this.setPenMode(true);
+            if (this.drawingTouch) { // The palm landed first and started drawing
+                this.app.cancelPointerAction();
+                this.ignored.add(this.drawingTouch.id);
+                this.drawingTouch = null;
+            }
+            return false;
+        }
+        if (e.pointerType !== 'touch') return false;
+
+        if (this.penDown) {
+            this.ignored.add(e.pointerId);
+            return true;
+        }
+        if (!this.penMode && this.touches.size === 0 && !this.drawingTouch) {
+            this.drawingTouch = { id: e.pointerId, pos: this.localPos(e) };
+            return false; // A lone finger draws like a mouse
+        }
+
+        if (this.drawingTouch) { // It was the start of a gesture after all
+            this.app.cancelPointerAction();
+            this.touches.set(this.drawingTouch.id, this.drawingTouch.pos);
+            this.drawingTouch = null;
+        }
+        this.app.canvas.setPointerCapture(e.pointerId);
+        this.touches.set(e.pointerId, this.localPos(e));
+        this.startGesture();
+        return true;
+    }
+
+    onPointerMove(e) {
+        if (this.ignored.has(e.pointerId)) return true;
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, this.localPos(e));
+            this.applyGesture();
+            return true;
+        }
+        if (this.drawingTouch && this.drawingTouch.id === e.pointerId) this.drawingTouch.pos = this.localPos(e);
+        return false;
+    }
+
+    // Also used for pointercancel
+    onPointerUp(e) {
+        if (e.pointerType === 'pen') {
+            this.penDown = false;
+            return false;
+        }
+        if (this.ignored.delete(e.pointerId)) return true;
+        if (this.touches.delete(e.pointerId)) {
+            // Re-anchor on the fingers left, so the view doesn't jump
+            if (this.touches.size > 0) this.startGesture();
+            else this.gesture = null;
+            return true;
+        }
+        if (this.drawingTouch && this.drawingTouch.id === e.pointerId) this.drawingTouch = null;
+        return false;
+    }
+
+    // --- VIEW ---
+    // Centre of the fingers, and their average distance from it (0 for one finger)
+    measure() {
+        const points = Array.from(this.touches.values());
+        const mid = {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        };
+        const spread = points.reduce((sum, p) => sum + Math.hypot(p.x - mid.x, p.y - mid.y), 0) / points.length;
+        return { mid, spread };
+    }
+
+    startGesture() {
+        const { mid, spread } = this.measure();
+        const r = this.app.renderer;
+        // The world point under the fingers stays under them, like handleWheel's zoom
+        this.gesture = { spread, scale: r.scale, anchor: r.screenToWorld(mid.x, mid.y) };
+        this.app.stopFollowing();
+    }
+
+    applyGesture() {
+        const { mid, spread } = this.measure();
+        const r = this.app.renderer;
+        const g = this.gesture;
+        const factor = g.spread > 0 && spread > 0 ? spread / g.spread : 1;
+        r.scale = Math.max(CONFIG.MIN_ZOOM, Math.min(g.scale * factor, CONFIG.MAX_ZOOM));
+        r.panX = mid.x - g.anchor.x * r.scale;
+        r.panY = mid.y - g.anchor.y * r.scale;
+        this.app.requestRender();
+    }
+}
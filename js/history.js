@@ -0,0 +1,166 @@
+/**
+ * Command History - Operation-based Undo/Redo
+ * Architecture: CommandHistory (undo/redo stacks of invertible operations)
+ *
+ * Operations are plain objects, filled in by StateManager.apply() with whatever
+ * they need to be inverted:
+ *   { type: 'add', element, index }
+ *   { type: 'delete', id, element, index }
+ *   { type: 'move', id, dx, dy }
+ *   { type: 'update', id, props, prev }
+ *   { type: 'clear', elements }
+ *   { type: 'layers', layers, prev }
+ *   { type: 'background', background, prev }
+ *   { type: 'batch', ops }
+ * Undo applies the inverse, so cost is proportional to the change, not the board.
+ */
+
+function invertOperation(op) {
+    switch (op.type) {
+        case 'add':
+            return { type: 'delete', id: op.element.id };
+        case 'delete':
+            return { type: 'add', element: op.element, index: op.index };
+        case 'move':
+            return { type: 'move', id: op.id, dx: -op.dx, dy: -op.dy };
+        case 'update':
+            return { type: 'update', id: op.id, props: op.prev };
+        case 'clear':
+            return {
+                type: 'batch',
+                ops: op.elements.map((element, index) => ({ type: 'add', element, index }))
+            };
+        case 'layers':
+            return { type: 'layers', layers: op.prev };
+        case 'background':
+            return { type: 'background', background: op.prev };
+        case 'batch':
+            return { type: 'batch', ops: op.ops.slice().reverse().map(invertOperation) };
+    }
+    throw new Error(`Cannot invert operation "${op.type}"`);
+}
+
+// Merge what one gesture produced (e.g. every mousemove of a drag) into as few ops as possible.
+// Moves and updates merge per element across the whole batch, so a group drag that
+// alternates between elements still ends up with one op each.
+function compactOperations(ops) {
+    const result = [];
+    const latest = new Map(); // Element id -> the last op in result that touched it
+    ops.forEach(op => {
+        const last = result[result.length - 1];
+        const id = op.type === 'add' ? op.element.id : op.id;
+        const prior = id === undefined ? null : latest.get(id);
+
+        // Created and removed within the same gesture (e.g. an erased stroke piece): drop both
+        if (op.type === 'delete' && prior && prior.type === 'add') {
+            result.splice(result.indexOf(prior), 1);
+            latest.delete(id);
+            return;
+        }
+
+        if (prior && prior.type === 'move' && op.type === 'move') {
+            prior.dx += op.dx;
+            prior.dy += op.dy;
+        } else if (prior && prior.type === 'update' && op.type === 'update') {
+            prior.props = { ...prior.props, ...op.props };
+            prior.prev = { ...op.prev, ...prior.prev }; // Keep the oldest previous value
+        } else if (last && last.type === 'layers' && op.type === 'layers') {
+            last.layers = op.layers; // e.g. an opacity slider drag
+        } else if (last && last.type === 'background' && op.type === 'background') {
+            last.background = op.background; // e.g. a custom color drag
+        } else {
+            const copy = { ...op };
+            result.push(copy);
+            if (id !== undefined) latest.set(id, copy);
+            else if (op.type === 'clear' || op.type === 'batch') latest.clear(); // Touches elements it doesn't name
+        }
+    });
+    return result;
+}
+
+class CommandHistory {
+    constructor(limit = 1000) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null; // Open batch (see begin/end)
+        this.depth = 0;
+    }
+
+    // Group everything recorded until the matching end() into one undo step
+    begin() {
+        if (this.depth === 0) this.pending = [];
+        this.depth++;
+    }
+
+    end() {
+        if (this.depth === 0) return;
+        this.depth--;
+        if (this.depth > 0) return;
+
+        const ops = compactOperations(this.pending);
+        this.pending = null;
+        if (ops.length === 0) return;
+        this.push(ops.length === 1 ? ops[0] : { type: 'batch', ops });
+    }
+
+    record(op) {
+        if (this.pending) this.pending.push(op);
+        else this.push(op);
+    }
+
+    push(op) {
+        this.undoStack.push(op);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Returns the operation to apply, or null
+    undo() {
+        this.flush();
+        const op = this.undoStack.pop();
+        if (!op) return null;
+        this.redoStack.push(op);
+        return invertOperation(op);
+    }
+
+    redo() {
+        this.flush();
+        const op = this.redoStack.pop();
+        if (!op) return null;
+        this.undoStack.push(op);
+        return op;
+    }
+
+    // Drop the open batch without recording it; returns its ops so the caller can revert them
+    discard() {
+        const ops = this.pending || [];
+        this.pending = null;
+        this.depth = 0;
+        return ops;
+    }
+
+    // Close any batch left open (e.g. undo pressed mid-drag)
+    flush() {
+        while (this.depth > 0) this.end();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+        this.depth = 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandHistory, invertOperation, compactOperations };
+}
@@ -0,0 +1,165 @@
+/**
+ * Ink - Pressure, Smoothing & Variable-Width Strokes
+ * Architecture: pure helpers shared by the input path, Renderer and SvgExporter
+ *
+ * Freehand points are { x, y, pressure, t }: pressure from 0 to 1 (0.5 when the
+ * device has none, e.g. a mouse) and t in ms since the stroke started. Strokes
+ * whose pressure never varies keep the constant-width look, drawn as one smoothed
+ * line; the others are filled as a chain of tapered capsules, one per segment.
+ * Older points without pressure or t are treated as constant width.
+ */
+
+const INK = {
+    STREAMLINE: 0.35,       // 0 = raw input; closer to 1 = smoother but laggier
+    MIN_DISTANCE: 1.5,      // Screen px between kept points
+    THINNING: 0.6,          // Width runs from size * (1 - THINNING) to size * (1 + THINNING)
+    DEFAULT_PRESSURE: 0.5,
+};
+
+// --- 1. INPUT ---
+// Only pens report real pressure: mice say 0.5 while pressed, touch mostly 0 or 1
+function pointerPressure(e) {
+    return e.pointerType === 'pen' ? e.pressure : INK.DEFAULT_PRESSURE;
+}
+
+// Pull a raw sample part of the way from the previous point, to remove hand jitter
+function streamlinePoint(prev, raw, amount = INK.STREAMLINE) {
+    const k = 1 - amount;
+    return {
+        x: prev.x + (raw.x - prev.x) * k,
+        y: prev.y + (raw.y - prev.y) * k,
+        pressure: prev.pressure + (raw.pressure - prev.pressure) * k,
+        t: raw.t
+    };
+}
+
+// --- 2. WIDTH ---
+function inkWidth(size, pressure = INK.DEFAULT_PRESSURE) {
+    return size * (1 + INK.THINNING * (pressure - INK.DEFAULT_PRESSURE) * 2);
+}
+
+function hasVariableWidth(points) {
+    return points.some(p => p.pressure !== undefined && Math.abs(p.pressure - INK.DEFAULT_PRESSURE) > 0.01);
+}
+
+// Widest point of a stroke, for bounds and hit testing
+function maxInkWidth(el) {
+    if (!hasVariableWidth(el.points)) return el.size;
+    return el.points.reduce((max, p) => Math.max(max, inkWidth(el.size, p.pressure)), 0);
+}
+
+// --- 3. PATHS ---
+// Both tracers write to anything with the canvas path API: a 2D context or SvgPathBuilder.
+
+// Constant width: the centre line, curved through the midpoints between samples
+function traceInkLine(points, path) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    path.moveTo(first.x, first.y);
+    for (let i = 1; i < points.length - 1; i++) {
+        const p = points[i];
+        const next = points[i + 1];
+        path.quadraticCurveTo(p.x, p.y, (p.x + next.x) / 2, (p.y + next.y) / 2);
+    }
+    path.lineTo(last.x, last.y); // A lone point still leaves a round dot
+}
+
+// Variable width: the outline to fill. Every capsule (and dot) is wound the same
+// way, so under the nonzero rule overlaps are filled once and alpha doesn't stack.
+function traceInkOutline(points, size, path) {
+    const radius = p => inkWidth(size, p.pressure) / 2;
+    const dot = (p, r) => {
+        path.moveTo(p.x + r, p.y);
+        path.arc(p.x, p.y, r, 0, Math.PI * 2);
+        path.closePath();
+    };
+
+    if (points.length === 1) dot(points[0], radius(points[0]));
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const ra = radius(a);
+        const rb = radius(b);
+        const d = Math.hypot(b.x - a.x, b.y - a.y);
+        if (d <= Math.abs(ra - rb)) { // One end's circle swallows the other
+            dot(ra > rb ? a : b, Math.max(ra, rb));
+            continue;
+        }
+
+        // Outer tangents of the two circles: back of a, then front of b
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        const spread = Math.acos((ra - rb) / d);
+        path.moveTo(a.x + ra * Math.cos(angle + spread), a.y + ra * Math.sin(angle + spread));
+        path.arc(a.x, a.y, ra, angle + spread, angle - spread + Math.PI * 2);
+        path.arc(b.x, b.y, rb, angle - spread, angle + spread);
+        path.closePath();
+    }
+}
+
+// Collects path calls as SVG path data. Arcs are clockwise only, as the tracers use them.
+class SvgPathBuilder {
+    constructor(format = n => String(n)) {
+        this.format = format;
+        this.parts = [];
+        this.current = null;
+    }
+
+    point(x, y) {
+        this.current = { x, y };
+        return `${this.format(x)} ${this.format(y)}`;
+    }
+
+    moveTo(x, y) {
+        this.parts.push(`M${this.point(x, y)}`);
+    }
+
+    lineTo(x, y) {
+        this.parts.push(`L${this.point(x, y)}`);
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        this.parts.push(`Q${this.format(cx)} ${this.format(cy)} ${this.point(x, y)}`);
+    }
+
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+        this.parts.push(`C${this.format(c1x)} ${this.format(c1y)} ${this.format(c2x)} ${this.format(c2y)} ${this.point(x, y)}`);
+    }
+
+    arc(x, y, r, start, end) {
+        const span = end - start;
+        if (span >= Math.PI * 2 - 1e-9) { // SVG can't draw a full circle in one arc
+            this.arc(x, y, r, start, start + Math.PI);
+            this.arc(x, y, r, start + Math.PI, end);
+            return;
+        }
+        const sx = x + r * Math.cos(start);
+        const sy = y + r * Math.sin(start);
+        if (!this.current) this.moveTo(sx, sy);
+        else if (Math.hypot(this.current.x - sx, this.current.y - sy) > 1e-6) this.lineTo(sx, sy);
+        const ex = x + r * Math.cos(end);
+        const ey = y + r * Math.sin(end);
+        this.parts.push(`A${this.format(r)} ${this.format(r)} 0 ${span > Math.PI ? 1 : 0} 1 ${this.point(ex, ey)}`);
+    }
+
+    closePath() {
+        this.parts.push('Z');
+    }
+
+    toString() {
+        return this.parts.join(' ');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INK,
+        pointerPressure,
+        streamlinePoint,
+        inkWidth,
+        hasVariableWidth,
+        maxInkWidth,
+        traceInkLine,
+        traceInkOutline,
+        SvgPathBuilder
+    };
+}
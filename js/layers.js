@@ -0,0 +1,148 @@
+/**
+ * Layers - Z-order, Visibility & Locking
+ * Architecture: LayersPanel (DOM list) over StateManager layer ops
+ *
+ * Layers are plain objects { id, name, visible, locked, opacity }, bottom first.
+ * Any change to them replaces the whole list with one 'layers' op, so it undoes
+ * and syncs like every other edit. Elements point at their layer by id and are
+ * ordered inside it by their `z` value (an ordinary property, changed with 'update').
+ */
+
+// --- 1. MODEL HELPERS ---
+function createLayer(name, props = {}) {
+    return {
+        id: `layer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        visible: true,
+        locked: false,
+        opacity: 1,
+        ...props
+    };
+}
+
+// A z value strictly between two neighbours (either may be missing), or null if they tie
+function zBetween(below, above) {
+    if (below === undefined && above === undefined) return 0;
+    if (below === undefined) return above - 1;
+    if (above === undefined) return below + 1;
+    const z = (below + above) / 2;
+    return z > below && z < above ? z : null;
+}
+
+// --- 2. PANEL ---
+class LayersPanel {
+    constructor(app) {
+        this.app = app;
+        this.root = document.querySelector("#layers-panel");
+        this.list = this.root.querySelector("#layers-list");
+        this.opacity = this.root.querySelector("#layer-opacity");
+
+        this.bindEvents();
+        this.app.state.onLayersChange(() => this.render());
+        this.render();
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    toggle() {
+        this.root.hidden = !this.root.hidden;
+        return !this.root.hidden;
+    }
+
+    bindEvents() {
+        this.root.querySelector("#layer-add-btn").addEventListener("click", () => {
+            const layer = createLayer(`Layer ${this.state.layers.length + 1}`);
+            this.state.setLayers([...this.state.layers, layer]);
+            this.state.activeLayer = layer.id;
+            this.render();
+        });
+
+        this.root.querySelector("#layer-forward-btn").addEventListener("click", () => this.shiftSelection(1));
+        this.root.querySelector("#layer-backward-btn").addEventListener("click", () => this.shiftSelection(-1));
+        this.root.querySelector("#layer-move-here-btn").addEventListener("click", () => {
+            const selected = this.app.selectionTool.getSelected();
+            this.state.moveToLayer(selected, this.state.activeLayer);
+        });
+
+        // Live while dragging, one undo step per drag
+        this.opacity.addEventListener("input", () => {
+            if (!this.isSliding) {
+                this.isSliding = true;
+                this.state.beginBatch();
+            }
+            this.state.updateLayer(this.state.activeLayer, { opacity: this.opacity.value / 100 });
+        });
+        this.opacity.addEventListener("change", () => {
+            if (!this.isSliding) return;
+            this.isSliding = false;
+            this.state.endBatch();
+        });
+    }
+
+    shiftSelection(dir) {
+        const selected = this.app.selectionTool.getSelected();
+        if (selected.length > 0) this.state.shiftElements(selected, dir);
+    }
+
+    // Top layer first, like most drawing apps
+    render() {
+        const active = this.state.getLayer(this.state.activeLayer);
+        this.list.innerHTML = '';
+
+        this.state.layers.slice().reverse().forEach(layer => {
+            const row = document.createElement('li');
+            row.className = 'layer-row';
+            row.classList.toggle('active', layer === active);
+            row.addEventListener('click', () => {
+                this.state.activeLayer = layer.id;
+                this.render();
+            });
+
+            const button = (icon, title, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = 'layer-btn';
+                btn.title = title;
+                btn.innerHTML = `<i class='bx ${icon}'></i>`;
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    onClick();
+                });
+                return btn;
+            };
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            name.title = 'Double-click to rename';
+            name.addEventListener('dblclick', () => {
+                const value = prompt("Layer name:", layer.name);
+                if (value && value.trim()) this.state.updateLayer(layer.id, { name: value.trim() });
+            });
+
+            row.append(
+                button(layer.visible ? 'bx-show' : 'bx-hide', layer.visible ? 'Hide' : 'Show',
+                    () => this.state.updateLayer(layer.id, { visible: !layer.visible })),
+                button(layer.locked ? 'bx-lock-alt' : 'bx-lock-open-alt', layer.locked ? 'Unlock' : 'Lock',
+                    () => this.state.updateLayer(layer.id, { locked: !layer.locked })),
+                name,
+                button('bx-chevron-up', 'Move Layer Up', () => this.state.moveLayer(layer.id, 1)),
+                button('bx-chevron-down', 'Move Layer Down', () => this.state.moveLayer(layer.id, -1)),
+                button('bx-trash', 'Delete Layer', () => {
+                    if (this.state.layers.length === 1) return;
+                    const count = this.state.elements.filter(el => el.layer === layer.id).length;
+                    if (count === 0 || confirm(`Delete "${layer.name}" and its ${count} element(s)?`)) {
+                        this.state.deleteLayer(layer.id);
+                    }
+                })
+            );
+            if (layer.locked) row.classList.add('locked');
+            if (!layer.visible) row.classList.add('hidden-layer');
+            this.list.appendChild(row);
+        });
+
+        this.opacity.value = Math.round((active ? active.opacity : 1) * 100);
+        this.app.requestRender();
+    }
+}
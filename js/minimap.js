@@ -0,0 +1,283 @@
+/**
+ * Minimap - Board Overview & Navigation
+ * Architecture: Minimap (small canvas over the app: cached overview of the board + the viewport)
+ *
+ * The minimap shows every visible element of the board, scaled down to a mark the
+ * size of its bounds (ink and lines as thin strokes), with the part of the board
+ * in view as a rectangle. Clicking it moves the view there; dragging the rectangle
+ * (or anywhere) pans along. The overview is drawn into a cached canvas and redrawn
+ * at most every REDRAW_MS while the board changes, so a drag on a big board does
+ * not draw everything twice per frame. Collapsed or not is kept in localStorage.
+ */
+
+// --- 1. CONFIGURATION ---
+const MINIMAP = {
+    STORAGE_KEY: 'whiteboard:minimap', // { collapsed }
+    WIDTH: 200, // CSS px
+    HEIGHT: 140,
+    MARGIN: 0.08, // Room around the board, as a share of its larger side
+    MIN_MARK: 1.5, // Minimap px: the smallest an element is drawn, so dots still show
+    INK_STEP: 1, // Minimap px between the ink points that are drawn
+    REDRAW_MS: 250, // Board changes redraw the overview at most this often
+    IMAGE_COLOR: 'rgba(141, 153, 174, 0.8)',
+    VIEW_COLOR: '#6366f1',
+    VIEW_FILL: 'rgba(99, 102, 241, 0.15)',
+};
+
+// --- 2. MINIMAP ---
+class Minimap {
+    constructor(app) {
+        this.app = app;
+        this.root = document.querySelector("#minimap");
+        this.canvas = document.querySelector("#minimap-canvas");
+        this.toggleBtn = document.querySelector("#minimap-toggle");
+        this.ctx = this.canvas.getContext('2d');
+        this.collapsed = this.load().collapsed === true;
+
+        // The overview, drawn for `content.rect` (world units) and reused until the board changes
+        this.content = { canvas: document.createElement('canvas'), rect: null, bounds: null, drawn: -Infinity };
+        this.dirty = true;
+        this.timer = null; // A redraw postponed by REDRAW_MS
+        this.drag = null; // { transform, dx, dy } while the pointer moves the view
+
+        this.resize();
+        this.bindEvents();
+        this.app.state.onChange(() => { this.dirty = true; });
+        this.renderControls();
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(MINIMAP.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Minimap: ignoring unreadable settings', err);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(MINIMAP.STORAGE_KEY, JSON.stringify({ collapsed: this.collapsed }));
+    }
+
+    bindEvents() {
+        this.toggleBtn.addEventListener("click", () => this.toggle());
+        window.addEventListener("resize", () => this.resize());
+
+        this.canvas.addEventListener("pointerdown", (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            const transform = this.getTransform();
+            const at = this.toWorld(e, transform);
+            const view = this.app.renderer.getViewRect();
+            const inView = at.x >= view.x && at.x <= view.x + view.w && at.y >= view.y && at.y <= view.y + view.h;
+            // Grabbing the viewport keeps the grab point under the pointer; elsewhere the view centers on it
+            this.drag = {
+                transform,
+                dx: inView ? view.x + view.w / 2 - at.x : 0,
+                dy: inView ? view.y + view.h / 2 - at.y : 0
+            };
+            this.moveTo(at);
+        });
+        this.canvas.addEventListener("pointermove", (e) => {
+            if (this.drag) this.moveTo(this.toWorld(e, this.drag.transform));
+        });
+        const end = () => {
+            if (!this.drag) return;
+            this.drag = null;
+            this.render();
+        };
+        this.canvas.addEventListener("pointerup", end);
+        this.canvas.addEventListener("pointercancel", end);
+    }
+
+    toggle() {
+        this.collapsed = !this.collapsed;
+        this.save();
+        this.renderControls();
+        this.dirty = true;
+        this.render();
+    }
+
+    renderControls() {
+        this.root.classList.toggle("collapsed", this.collapsed);
+        this.canvas.hidden = this.collapsed;
+        this.toggleBtn.title = this.collapsed ? 'Show Minimap' : 'Hide Minimap';
+        this.toggleBtn.innerHTML = `<i class='bx ${this.collapsed ? 'bx-map-alt' : 'bx-chevron-down'}'></i>`;
+    }
+
+    resize() {
+        const dpr = window.devicePixelRatio || 1;
+        [this.canvas, this.content.canvas].forEach(canvas => {
+            canvas.width = Math.round(MINIMAP.WIDTH * dpr);
+            canvas.height = Math.round(MINIMAP.HEIGHT * dpr);
+        });
+        this.canvas.style.width = `${MINIMAP.WIDTH}px`;
+        this.canvas.style.height = `${MINIMAP.HEIGHT}px`;
+        this.dpr = dpr;
+        this.dirty = true;
+    }
+
+    // --- COORDINATES ---
+    // World -> minimap px: x * scale + offsetX. Fits the board and the view, with a margin.
+    getTransform() {
+        const view = this.app.renderer.getViewRect();
+        const bounds = this.content.bounds;
+        const box = bounds ? unionRect(bounds, view) : view;
+        const margin = Math.max(box.w, box.h) * MINIMAP.MARGIN;
+        const w = box.w + margin * 2, h = box.h + margin * 2;
+        const scale = Math.min(MINIMAP.WIDTH / w, MINIMAP.HEIGHT / h);
+        return {
+            scale,
+            offsetX: MINIMAP.WIDTH / 2 - (box.x + box.w / 2) * scale,
+            offsetY: MINIMAP.HEIGHT / 2 - (box.y + box.h / 2) * scale
+        };
+    }
+
+    // The world rect the whole minimap shows under a transform
+    getRect(t) {
+        return { x: -t.offsetX / t.scale, y: -t.offsetY / t.scale, w: MINIMAP.WIDTH / t.scale, h: MINIMAP.HEIGHT / t.scale };
+    }
+
+    toWorld(e, t) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: (e.clientX - rect.left - t.offsetX) / t.scale, y: (e.clientY - rect.top - t.offsetY) / t.scale };
+    }
+
+    getBoardBounds() {
+        const elements = this.state.getDrawOrder();
+        if (elements.length === 0) return null;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        elements.forEach(el => {
+            const b = this.state.index.getBounds(el);
+            minX = Math.min(minX, b.x);
+            minY = Math.min(minY, b.y);
+            maxX = Math.max(maxX, b.x + b.w);
+            maxY = Math.max(maxY, b.y + b.h);
+        });
+        return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+    }
+
+    // Center the view on a world point (plus the grab offset), keeping the zoom
+    moveTo(at) {
+        const r = this.app.renderer;
+        const x = at.x + this.drag.dx, y = at.y + this.drag.dy;
+        this.app.setView({ scale: r.scale, panX: r.width / 2 - x * r.scale, panY: r.height / 2 - y * r.scale });
+    }
+
+    // --- DRAWING ---
+    // Called with every frame the app draws (see WhiteboardApp.requestRender)
+    render() {
+        if (this.collapsed) return;
+        const c = this.content;
+        const wait = c.drawn + MINIMAP.REDRAW_MS - performance.now();
+        if (this.dirty && wait <= 0) c.bounds = this.getBoardBounds();
+        const t = this.drag ? this.drag.transform : this.getTransform();
+        const rect = this.getRect(t);
+        if (this.dirty || !c.rect || !sameRect(c.rect, rect)) {
+            if (wait <= 0) this.drawContent(t, rect);
+            else if (!this.timer) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.render();
+                }, wait);
+            }
+        }
+
+        const ctx = this.ctx;
+        ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        ctx.clearRect(0, 0, MINIMAP.WIDTH, MINIMAP.HEIGHT);
+        ctx.fillStyle = this.app.renderer.boardColor;
+        ctx.fillRect(0, 0, MINIMAP.WIDTH, MINIMAP.HEIGHT);
+        // A stale overview is placed where its rect now is, until it is redrawn
+        ctx.drawImage(c.canvas,
+            c.rect.x * t.scale + t.offsetX, c.rect.y * t.scale + t.offsetY,
+            c.rect.w * t.scale, c.rect.h * t.scale);
+
+        const view = this.app.renderer.getViewRect();
+        const x = view.x * t.scale + t.offsetX, y = view.y * t.scale + t.offsetY;
+        ctx.fillStyle = MINIMAP.VIEW_FILL;
+        ctx.fillRect(x, y, view.w * t.scale, view.h * t.scale);
+        ctx.strokeStyle = MINIMAP.VIEW_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(x, y, view.w * t.scale, view.h * t.scale);
+    }
+
+    // Every visible element as a mark of its bounds; ink, lines and arrows as thin strokes
+    drawContent(t, rect) {
+        const c = this.content;
+        const ctx = c.canvas.getContext('2d');
+        const renderer = this.app.renderer;
+        const frame = frameColors(renderer.boardColor);
+        ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        ctx.clearRect(0, 0, MINIMAP.WIDTH, MINIMAP.HEIGHT);
+        ctx.lineWidth = 1;
+        ctx.lineCap = 'round';
+        const px = (x, y) => [x * t.scale + t.offsetX, y * t.scale + t.offsetY];
+
+        this.state.getDrawOrder().forEach(el => {
+            if (el.type === 'eraser') return; // Legacy painted eraser: board colored anyway
+            const layer = this.state.getLayer(el.layer);
+            ctx.globalAlpha = layer && layer.opacity !== undefined ? layer.opacity : 1;
+            if (el.type === 'highlighter') ctx.globalAlpha *= CONFIG.HIGHLIGHTER_ALPHA;
+
+            if (el.points && el.points.length > 1 && !el.rotation) {
+                ctx.strokeStyle = renderer.inkOf(el);
+                ctx.beginPath();
+                let last = px(el.points[0].x, el.points[0].y);
+                ctx.moveTo(...last);
+                el.points.forEach((p, i) => {
+                    const next = px(p.x, p.y);
+                    if (i < el.points.length - 1 && Math.hypot(next[0] - last[0], next[1] - last[1]) < MINIMAP.INK_STEP) return;
+                    ctx.lineTo(...next);
+                    last = next;
+                });
+                ctx.stroke();
+                return;
+            }
+            if ((el.type === 'line' || el.type === 'arrow') && !el.rotation) {
+                ctx.strokeStyle = renderer.inkOf(el);
+                ctx.beginPath();
+                ctx.moveTo(...px(el.x, el.y));
+                ctx.lineTo(...px(el.endX, el.endY));
+                ctx.stroke();
+                return;
+            }
+
+            const b = this.state.index.getBounds(el);
+            const [x, y] = px(b.x, b.y);
+            const w = Math.max(MINIMAP.MIN_MARK, b.w * t.scale), h = Math.max(MINIMAP.MIN_MARK, b.h * t.scale);
+            if (el.type === 'frame') {
+                ctx.strokeStyle = frame.border;
+                ctx.strokeRect(x, y, w, h);
+                return;
+            }
+            if (el.type === 'sticky') ctx.fillStyle = el.color || "#ffea00";
+            else if (el.type === 'image') ctx.fillStyle = MINIMAP.IMAGE_COLOR;
+            else ctx.fillStyle = el.fill && isClosedShape(el) ? el.fill : renderer.inkOf(el);
+            ctx.fillRect(x, y, w, h);
+        });
+        ctx.globalAlpha = 1;
+
+        c.rect = rect;
+        c.drawn = performance.now();
+        this.dirty = false;
+    }
+}
+
+function unionRect(a, b) {
+    const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+    return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+}
+
+function sameRect(a, b) {
+    return a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MINIMAP, unionRect };
+}
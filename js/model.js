@@ -0,0 +1,808 @@
+/**
+ * Board Model - Elements, Board State & Geometry Helpers
+ * Architecture: Element (one drawn thing) + StateManager (ops, undo, index, layers) + pure helpers
+ *
+ * Everything about a board that doesn't need a screen: what the elements are,
+ * their bounds and hit tests, and how changes are applied, undone and indexed.
+ * The app draws it with the Renderer (script.js); the command line tool
+ * (cli/whiteboard.js) loads it in Node. No DOM access.
+ */
+
+// --- 1. CONFIGURATION ---
+const CONFIG = {
+    DEFAULT_COLOR: '#ffffff',
+    HIGHLIGHTER_ALPHA: 0.4,
+    ZOOM_SENSITIVITY: 0.1,
+    MIN_ZOOM: 0.1,
+    MAX_ZOOM: 10,
+    FIT_PADDING: 60, // Screen px around what Zoom to Fit / Zoom to Selection shows
+    FIT_MAX_ZOOM: 2, // Fitting something small zooms in no further than this
+    HISTORY_LIMIT: 1000, // Undo steps (ops are small, so this can be generous)
+    INDEX_CELL_SIZE: 256, // World units per spatial index bucket
+    RELAY_URL: 'ws://localhost:8080', // Used when the page is opened from file://
+    STICKY: { TEXT_COLOR: '#1e1e24', FONT_SIZE: 14, PADDING: 10, LINE_HEIGHT: 20 },
+};
+
+// --- 2. DATA MODELS ---
+// Element ids: a prefix per page load plus a counter, so ids made in the same
+// millisecond (a paste, a merge) never clash. Older boards keep their numeric ids.
+const ID_PREFIX = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let idCounter = 0;
+
+function createElementId() {
+    idCounter++;
+    return `${ID_PREFIX}-${idCounter.toString(36)}`;
+}
+
+class Element {
+    constructor(type, config) {
+        this.type = type;
+        this.id = config.id || createElementId(); // Stable across undo/sync
+        this.x = config.x || 0;
+        this.y = config.y || 0;
+        this.color = config.color || CONFIG.DEFAULT_COLOR;
+        this.size = config.size || 5;
+        this.alpha = config.alpha === undefined ? 1 : config.alpha;
+        // Specific props
+        this.points = config.points || [];
+        this.endX = config.endX || 0;
+        this.endY = config.endY || 0;
+        this.w = config.w || 0;
+        this.h = config.h || 0;
+        this.content = config.content || '';
+        this.dataURL = config.dataURL || null;
+        this.rotation = config.rotation || 0; // Radians, around getCenter()
+        // Shapes (see js/shapes.js): fill color (null = none), its opacity, outline dash, rect corner radius
+        this.fill = config.fill || null;
+        this.fillAlpha = config.fillAlpha === undefined ? 1 : config.fillAlpha;
+        this.dash = config.dash || 'solid';
+        this.radius = config.radius || 0;
+        // Stacking (see js/layers.js): layer id, and order inside that layer
+        this.layer = config.layer || null;
+        this.z = config.z === undefined ? null : config.z;
+        // Arrows (see js/connectors.js): bound ends ({ id } or null), heads and routing
+        this.startBinding = config.startBinding || null;
+        this.endBinding = config.endBinding || null;
+        this.arrowStart = config.arrowStart || 'none';
+        this.arrowEnd = config.arrowEnd || 'none';
+        this.routing = config.routing || 'straight';
+        // Text, sticky notes and arrow labels (see js/text.js)
+        this.fontFamily = config.fontFamily || 'sans';
+        this.fontWeight = config.fontWeight || 'normal';
+        this.fontStyle = config.fontStyle || 'normal';
+        this.textAlign = config.textAlign || 'left';
+        // Frames (see js/frames.js): the frame this element belongs to
+        this.frameId = config.frameId || null;
+    }
+
+    // Plain data for saving / sending (drops the cached Image object and arrow route)
+    toJSON() {
+        const { imgObj, route, ...data } = this;
+        return data;
+    }
+
+    // --- GEOMETRY ---
+    // Axis-aligned bounds of the unrotated shape, in world units
+    getBounds() {
+        switch (this.type) {
+            case 'brush':
+            case 'eraser':
+            case 'highlighter': {
+                if (this.points.length === 0) return { x: this.x, y: this.y, w: 0, h: 0 };
+                let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+                this.points.forEach(p => {
+                    minX = Math.min(minX, p.x);
+                    minY = Math.min(minY, p.y);
+                    maxX = Math.max(maxX, p.x);
+                    maxY = Math.max(maxY, p.y);
+                });
+                const width = maxInkWidth(this); // Pressure can make a stroke wider than `size`
+                return { x: minX - width / 2, y: minY - width / 2, w: maxX - minX + width, h: maxY - minY + width };
+            }
+
+            case 'line': {
+                const pad = this.size / 2;
+                const minX = Math.min(this.x, this.endX);
+                const minY = Math.min(this.y, this.endY);
+                return {
+                    x: minX - pad,
+                    y: minY - pad,
+                    w: Math.abs(this.endX - this.x) + this.size,
+                    h: Math.abs(this.endY - this.y) + this.size
+                };
+            }
+
+            case 'circle': {
+                const r = Math.hypot(this.endX - this.x, this.endY - this.y) + this.size / 2;
+                return { x: this.x - r, y: this.y - r, w: r * 2, h: r * 2 };
+            }
+
+            case 'arrow':
+                return getConnectorBounds(this); // Route, heads and label
+
+            case 'polygon': // Outline through `points`, closed or open
+            case 'polyline': {
+                if (this.points.length === 0) return { x: this.x, y: this.y, w: 0, h: 0 };
+                const xs = this.points.map(p => p.x);
+                const ys = this.points.map(p => p.y);
+                const minX = Math.min(...xs), minY = Math.min(...ys);
+                return { x: minX - this.size / 2, y: minY - this.size / 2, w: Math.max(...xs) - minX + this.size, h: Math.max(...ys) - minY + this.size };
+            }
+
+            case 'text': {
+                const layout = layoutText(this); // Measured, one line per newline
+                return { x: this.x, y: this.y, w: layout.width, h: layout.height };
+            }
+
+            default: // Box shapes, sticky, image (w/h may be negative when drawn up/left)
+                return {
+                    x: Math.min(this.x, this.x + this.w),
+                    y: Math.min(this.y, this.y + this.h),
+                    w: Math.abs(this.w),
+                    h: Math.abs(this.h)
+                };
+        }
+    }
+
+    getCenter() {
+        const b = this.getBounds();
+        return { x: b.x + b.w / 2, y: b.y + b.h / 2 };
+    }
+
+    // Axis-aligned bounds after rotation
+    getWorldBounds() {
+        const b = this.getBounds();
+        if (!this.rotation) return b;
+
+        const c = this.getCenter();
+        const corners = [[b.x, b.y], [b.x + b.w, b.y], [b.x + b.w, b.y + b.h], [b.x, b.y + b.h]]
+            .map(([px, py]) => rotatePoint(px, py, c.x, c.y, this.rotation));
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return { x: minX, y: minY, w: Math.max(...xs) - minX, h: Math.max(...ys) - minY };
+    }
+
+    // --- HIT TESTING ---
+    // hitMargin: how far from the ink or outline still counts (boxes are hit inside only)
+    isHit(x, y, hitMargin = 10) {
+
+        // Test in the element's own (unrotated) frame
+        if (this.rotation) {
+            const c = this.getCenter();
+            ({ x, y } = rotatePoint(x, y, c.x, c.y, -this.rotation));
+        }
+
+        switch (this.type) {
+            case 'brush':
+            case 'eraser':
+            case 'highlighter': {
+                const reach = maxInkWidth(this) + hitMargin;
+                return this.points.some(p => Math.hypot(p.x - x, p.y - y) < reach);
+            }
+
+            case 'line':
+                // dist from point to segment
+                const d = this.distToSegment({ x, y }, { x: this.x, y: this.y }, { x: this.endX, y: this.endY });
+                return d < (this.size + hitMargin);
+
+            case 'arrow':
+                return connectorHit(this, x, y, hitMargin);
+
+            case 'frame':
+                return frameHit(this, x, y, hitMargin); // Border and name tag only
+
+            case 'circle':
+            case 'ellipse':
+            case 'triangle':
+            case 'diamond':
+            case 'star':
+            case 'callout':
+            case 'polygon':
+            case 'polyline':
+                return shapeHit(this, x, y, hitMargin); // Inside when filled, else the outline
+
+            case 'rect':
+            case 'sticky':
+            case 'image':
+            case 'text': {
+                const b = this.getBounds();
+                return x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h;
+            }
+        }
+        return false;
+    }
+
+    distToSegment(p, v, w) {
+        const l2 = Math.pow(v.x - w.x, 2) + Math.pow(v.y - w.y, 2);
+        if (l2 === 0) return Math.hypot(p.x - v.x, p.y - v.y);
+        let t = ((p.x - v.x) * (w.x - v.x) + (p.y - v.y) * (w.y - v.y)) / l2;
+        t = Math.max(0, Math.min(1, t));
+        return Math.hypot(p.x - (v.x + t * (w.x - v.x)), p.y - (v.y + t * (w.y - v.y)));
+    }
+}
+
+// --- 3. STATE MANAGEMENT ---
+class StateManager {
+    constructor(renderCallback) {
+        this.elements = [];
+        this.history = new CommandHistory(CONFIG.HISTORY_LIMIT);
+        this.renderCallback = renderCallback;
+        this.opListeners = []; // Collaboration hooks (see js/sync.js)
+        this.changeListeners = []; // Any change to the board, local or remote (autosave)
+        this.index = new SpatialIndex(CONFIG.INDEX_CELL_SIZE);
+        this.drawOrder = null; // Visible elements, bottom to top; rebuilt lazily
+        this.zOrder = null; // Element -> position in drawOrder
+        this.connectors = new Map(); // Target id -> ids of arrows bound to it (see js/connectors.js)
+        this.frames = null; // Frames in presentation order, and by id; rebuilt lazily (see js/frames.js)
+        this.frameMap = null;
+
+        // Layers, bottom first (see js/layers.js)
+        this.layers = [createLayer('Layer 1')];
+        this.activeLayer = this.layers[0].id;
+        this.layerListeners = [];
+
+        // Board color and pattern (see js/themes.js)
+        this.background = normalizeBackground();
+        this.backgroundListeners = [];
+    }
+
+    // --- OPERATIONS ---
+    // Every local change goes through apply() as an op (see js/history.js), so the same
+    // stream feeds undo/redo and other peers.
+    onOperation(listener) {
+        this.opListeners.push(listener);
+        return () => {
+            this.opListeners = this.opListeners.filter(fn => fn !== listener);
+        };
+    }
+
+    emit(op) {
+        this.opListeners.forEach(fn => fn(op));
+    }
+
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(fn => fn !== listener);
+        };
+    }
+
+    notifyChange() {
+        this.changeListeners.forEach(fn => fn());
+    }
+
+    getElement(id) {
+        return this.index.get(id);
+    }
+
+    // Top-most element under the point that can be edited (hidden and locked layers are skipped)
+    getHitElement(x, y) {
+        const candidates = this.getElementsInRect({ x, y, w: 0, h: 0 });
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            if (this.isEditable(candidates[i]) && candidates[i].isHit(x, y)) return candidates[i];
+        }
+        return null;
+    }
+
+    // Visible elements whose bounds touch `rect`, in drawing order
+    getElementsInRect(rect) {
+        const order = this.getDrawOrder();
+        const found = this.index.query(rect);
+        // Most of the board in view: filtering keeps order without a sort
+        if (found.size > order.length / 4) return order.filter(el => found.has(el));
+        return this.sortByZ(Array.from(found).filter(el => this.zOrder.has(el)));
+    }
+
+    // Visible elements bottom to top: layer order, then z, then insertion order
+    getDrawOrder() {
+        if (!this.drawOrder) {
+            const rank = new Map(this.layers.map((layer, i) => [layer.id, i]));
+            const position = new Map(this.elements.map((el, i) => [el, i]));
+            const layerOf = el => rank.get(el.layer) || 0; // Unknown layer: bottom
+            this.drawOrder = this.elements
+                .filter(el => this.isVisible(el))
+                .sort((a, b) => layerOf(a) - layerOf(b) || (a.z || 0) - (b.z || 0) || position.get(a) - position.get(b));
+            this.zOrder = new Map(this.drawOrder.map((el, i) => [el, i]));
+        }
+        return this.drawOrder;
+    }
+
+    sortByZ(list) {
+        this.getDrawOrder();
+        return list.sort((a, b) => this.zOrder.get(a) - this.zOrder.get(b));
+    }
+
+    invalidateOrder() {
+        this.drawOrder = null;
+        this.zOrder = null;
+        this.frames = null;
+        this.frameMap = null;
+    }
+
+    // --- FRAMES ---
+    // Every frame, shown or not, in presentation order: layer order, then z
+    getFrames() {
+        if (!this.frames) {
+            const rank = new Map(this.layers.map((layer, i) => [layer.id, i]));
+            const layerOf = el => rank.get(el.layer) || 0;
+            this.frames = this.elements
+                .filter(el => el.type === 'frame')
+                .sort((a, b) => layerOf(a) - layerOf(b) || (a.z || 0) - (b.z || 0));
+            this.frameMap = new Map(this.frames.map(frame => [frame.id, frame]));
+        }
+        return this.frames;
+    }
+
+    getFrameMap() {
+        this.getFrames();
+        return this.frameMap;
+    }
+
+    // --- LAYERS ---
+    onLayersChange(listener) {
+        this.layerListeners.push(listener);
+    }
+
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    isVisible(el) {
+        const layer = this.getLayer(el.layer);
+        return !layer || layer.visible;
+    }
+
+    isEditable(el) {
+        const layer = this.getLayer(el.layer);
+        return !layer || (layer.visible && !layer.locked);
+    }
+
+    // Replace the layer list without recording (remote changes, loading)
+    replaceLayers(layers) {
+        this.layers = cloneValue(layers);
+        if (!this.getLayer(this.activeLayer)) this.activeLayer = this.layers[this.layers.length - 1].id;
+        this.invalidateOrder();
+        this.layerListeners.forEach(fn => fn(this.layers));
+        this.notifyChange();
+        this.renderCallback();
+    }
+
+    setLayers(layers) {
+        this.execute({ type: 'layers', layers });
+    }
+
+    updateLayer(id, props) {
+        this.setLayers(this.layers.map(layer => (layer.id === id ? { ...layer, ...props } : layer)));
+    }
+
+    // dir: 1 = up (drawn later), -1 = down
+    moveLayer(id, dir) {
+        const layers = this.layers.slice();
+        const i = layers.findIndex(layer => layer.id === id);
+        const j = i + dir;
+        if (i === -1 || j < 0 || j >= layers.length) return;
+        [layers[i], layers[j]] = [layers[j], layers[i]];
+        this.setLayers(layers);
+    }
+
+    // Removes the layer together with its elements, as one undo step
+    deleteLayer(id) {
+        if (this.layers.length <= 1) return;
+        this.beginBatch();
+        this.elements.filter(el => el.layer === id).forEach(el => this.deleteElement(el));
+        this.setLayers(this.layers.filter(layer => layer.id !== id));
+        this.endBatch();
+    }
+
+    // --- BACKGROUND ---
+    onBackgroundChange(listener) {
+        this.backgroundListeners.push(listener);
+    }
+
+    // Replace the background without recording (remote changes, loading)
+    replaceBackground(background) {
+        this.background = normalizeBackground(background);
+        this.backgroundListeners.forEach(fn => fn(this.background));
+        this.notifyChange();
+        this.renderCallback();
+    }
+
+    setBackground(background) {
+        this.execute({ type: 'background', background: normalizeBackground(background) });
+    }
+
+    moveToLayer(elements, layerId) {
+        if (!this.getLayer(layerId)) return;
+        this.beginBatch();
+        elements.forEach(el => {
+            if (el.layer !== layerId) this.updateElement(el, { layer: layerId, z: this.getTopZ(layerId) + 1 });
+        });
+        this.endBatch();
+    }
+
+    getTopZ(layerId) {
+        return this.elements.reduce((top, el) => (el.layer === layerId && el.z !== null ? Math.max(top, el.z) : top), -1);
+    }
+
+    // Bring forward (dir 1) / send backward (dir -1) one step within their layer
+    shiftElements(elements, dir) {
+        const moving = new Set(elements);
+        this.getDrawOrder();
+        // Top-most first when going up so the group keeps its own order
+        const ordered = this.sortByZ(elements.filter(el => this.zOrder.has(el)));
+        if (dir > 0) ordered.reverse();
+
+        this.beginBatch();
+        ordered.forEach(el => {
+            const stack = this.getDrawOrder().filter(item => item.layer === el.layer);
+            let i = stack.indexOf(el) + dir;
+            while (stack[i] && moving.has(stack[i])) i += dir; // Hop over the rest of the group
+            const other = stack[i];
+            if (!other) return;
+
+            // Land just past `other`
+            const beyond = stack[i + dir];
+            const zOf = item => (item ? item.z || 0 : undefined);
+            let z = dir > 0 ? zBetween(zOf(other), zOf(beyond)) : zBetween(zOf(beyond), zOf(other));
+            if (z === null) {
+                // Ties (e.g. pieces of an erased stroke): spread the layer out first
+                stack.forEach((item, n) => this.updateElement(item, { z: n }));
+                z = stack.indexOf(other) + dir / 2;
+            }
+            this.updateElement(el, { z });
+        });
+        this.endBatch();
+    }
+
+    // --- CONNECTORS ---
+    // Topmost shape an arrow end dropped at (x, y) would attach to
+    getBindTarget(x, y, ignoreId = null) {
+        const m = CONNECTORS.BIND_MARGIN;
+        return findBindTarget(this.getElementsInRect({ x: x - m, y: y - m, w: m * 2, h: m * 2 }), x, y, ignoreId);
+    }
+
+    // Note an arrow's targets and route it onto them
+    bindConnector(arrow) {
+        [arrow.startBinding, arrow.endBinding].forEach(binding => {
+            if (!binding) return;
+            if (!this.connectors.has(binding.id)) this.connectors.set(binding.id, new Set());
+            this.connectors.get(binding.id).add(arrow.id);
+        });
+        routeConnector(arrow, id => this.getElement(id));
+    }
+
+    // After `el` changed: route it if it is an arrow, and re-route the arrows bound to it.
+    // Routes are derived from the ops, so every peer and every undo ends up with the same ones.
+    routeConnectors(el) {
+        if (el.type === 'arrow') {
+            this.bindConnector(el);
+            this.index.update(el);
+        }
+        const arrows = this.connectors.get(el.id);
+        if (!arrows) return;
+        arrows.forEach(arrowId => {
+            const arrow = this.getElement(arrowId);
+            if (!arrow || !isBoundTo(arrow, el.id)) { // Deleted or re-bound since
+                arrows.delete(arrowId);
+                return;
+            }
+            routeConnector(arrow, id => this.getElement(id));
+            this.index.update(arrow);
+        });
+    }
+
+    // --- SPATIAL INDEX ---
+    // Bring the index up to date with an op that has already changed `elements`
+    // (local ops via apply(), remote ones via the sync layer)
+    reindex(op) {
+        switch (op.type) {
+            case 'add': {
+                const el = op.element instanceof Element ? op.element : this.elements.find(item => item.id === op.element.id);
+                if (el) {
+                    this.index.insert(el);
+                    this.routeConnectors(el);
+                }
+                this.invalidateOrder();
+                break;
+            }
+            case 'delete':
+                this.index.remove({ id: op.id });
+                this.invalidateOrder();
+                break;
+            case 'move':
+            case 'update': {
+                const el = this.getElement(op.id);
+                if (el) {
+                    this.index.update(el);
+                    this.routeConnectors(el);
+                }
+                if (op.props && ('z' in op.props || 'layer' in op.props)) this.invalidateOrder();
+                break;
+            }
+            case 'layers':
+            case 'background':
+                break; // Handled by replaceLayers() / replaceBackground()
+            default:
+                this.rebuildIndex();
+        }
+        this.notifyChange();
+    }
+
+    rebuildIndex() {
+        this.index.rebuild(this.elements);
+        this.connectors = new Map();
+        this.elements.forEach(el => {
+            if (el.type !== 'arrow') return;
+            this.bindConnector(el);
+            this.index.update(el);
+        });
+        this.invalidateOrder();
+    }
+
+    // Mutate the board and notify listeners. Fills in what the op needs to be inverted.
+    // Returns null if the op no longer applies (e.g. its element was deleted by a peer).
+    apply(op) {
+        switch (op.type) {
+            case 'add': {
+                if (this.getElement(op.element.id)) return null;
+                const index = op.index === undefined ? this.elements.length : Math.min(op.index, this.elements.length);
+                this.elements.splice(index, 0, op.element);
+                op.index = index;
+                break;
+            }
+            case 'delete': {
+                const index = this.elements.findIndex(el => el.id === op.id);
+                if (index === -1) return null;
+                op.element = this.elements[index];
+                op.index = index;
+                this.elements.splice(index, 1);
+                break;
+            }
+            case 'move': {
+                const el = this.getElement(op.id);
+                if (!el) return null;
+                translateElement(el, op.dx, op.dy);
+                break;
+            }
+            case 'update': {
+                const el = this.getElement(op.id);
+                if (!el) return null;
+                op.prev = {};
+                Object.keys(op.props).forEach(key => {
+                    op.prev[key] = cloneValue(el[key]);
+                    el[key] = cloneValue(op.props[key]);
+                });
+                break;
+            }
+            case 'clear':
+                op.elements = this.elements;
+                this.elements = [];
+                break;
+            case 'layers':
+                op.prev = this.layers;
+                this.replaceLayers(op.layers);
+                break;
+            case 'background':
+                op.prev = this.background;
+                this.replaceBackground(op.background);
+                break;
+            case 'batch':
+                op.ops = op.ops.filter(child => this.apply(child));
+                return op.ops.length > 0 ? op : null;
+        }
+        this.reindex(op);
+        this.emit(op);
+        return op;
+    }
+
+    // Apply and record as one undo step
+    execute(op) {
+        if (this.apply(op)) this.history.record(op);
+        this.renderCallback();
+        return op;
+    }
+
+    // Group the ops of one gesture (a drag, an erase stroke) into a single undo step
+    beginBatch() {
+        this.history.begin();
+    }
+
+    endBatch() {
+        this.history.end();
+    }
+
+    // Abandon the open batch: its ops are reverted and leave no undo step
+    cancelBatch() {
+        this.history.discard().reverse().forEach(op => this.apply(invertOperation(op)));
+        this.renderCallback();
+    }
+
+    // New elements go on top of the active layer unless they already have a place,
+    // and into the frame they are drawn in
+    addElement(element) {
+        if (!element.layer) element.layer = this.activeLayer;
+        if (element.z === null) element.z = this.getTopZ(element.layer) + 1;
+        if (element.frameId === null && element.type !== 'frame') {
+            const frame = findFrame(this, element);
+            if (frame) element.frameId = frame.id;
+        }
+        this.execute({ type: 'add', element });
+    }
+
+    deleteElement(element) {
+        this.execute({ type: 'delete', id: element.id });
+    }
+
+    // Translate an element in world units. Wrap a drag in beginBatch/endBatch to record one move.
+    moveElement(el, dx, dy) {
+        this.execute({ type: 'move', id: el.id, dx, dy });
+    }
+
+    updateElement(el, props) {
+        this.execute({ type: 'update', id: el.id, props });
+    }
+
+    setElements(elements) {
+        this.elements = elements;
+        this.rebuildIndex();
+        this.notifyChange();
+        this.renderCallback();
+    }
+
+    undo() {
+        const op = this.history.undo();
+        if (!op) return;
+        this.apply(op);
+        this.renderCallback();
+    }
+
+    redo() {
+        const op = this.history.redo();
+        if (!op) return;
+        this.apply(op);
+        this.renderCallback();
+    }
+
+    // Project file contents: layers, background plus elements
+    toJSON() {
+        return { layers: this.layers, background: this.background, elements: this.elements };
+    }
+
+    // Replace the board with a project file (see js/document.js). Starts a fresh history.
+    // Returns the document, for its viewport/settings; throws ProjectFormatError.
+    restoreFromJSON(jsonStr) {
+        const doc = readDocument(jsonStr);
+        this.restore(doc);
+        return doc;
+    }
+
+    // data: { layers, background, elements } (a read project file, a stored board)
+    restore(data) {
+        const layers = !data.layers || data.layers.length === 0 ? [createLayer('Layer 1')] : data.layers;
+
+        // Hydrate back to Element instances to keep .isHit() method working!
+        const elements = data.elements.map((item, i) => new Element(item.type, {
+            ...item,
+            layer: layers.some(layer => layer.id === item.layer) ? item.layer : layers[0].id,
+            z: item.z === undefined || item.z === null ? i : item.z
+        }));
+
+        this.apply({
+            type: 'batch',
+            ops: [
+                { type: 'clear' },
+                { type: 'layers', layers },
+                { type: 'background', background: normalizeBackground(data.background) },
+                ...elements.map(element => ({ type: 'add', element }))
+            ]
+        });
+        this.history.clear();
+        this.renderCallback();
+    }
+
+    // Add another board's contents on top of this one, as one undo step. Its layers
+    // are appended (a layer with the same id is the same layer); clashing element ids are renewed,
+    // and arrows and frame contents that point at them follow.
+    merge(data) {
+        const known = new Set(this.layers.map(layer => layer.id));
+        const layers = [...this.layers, ...(data.layers || []).filter(layer => !known.has(layer.id))];
+        const renewed = new Map();
+        data.elements.forEach(item => {
+            if (item.id !== undefined && this.getElement(item.id)) renewed.set(item.id, createElementId());
+        });
+        const rebind = binding => (binding && renewed.has(binding.id) ? { id: renewed.get(binding.id) } : binding);
+
+        this.beginBatch();
+        if (layers.length !== this.layers.length) this.setLayers(layers);
+        // In stacking order, so each lands on top of its layer in the same relative order
+        data.elements.slice().sort((a, b) => (a.z || 0) - (b.z || 0)).forEach(item => {
+            this.addElement(new Element(item.type, {
+                ...item,
+                id: renewed.has(item.id) ? renewed.get(item.id) : item.id,
+                startBinding: rebind(item.startBinding),
+                endBinding: rebind(item.endBinding),
+                frameId: renewed.has(item.frameId) ? renewed.get(item.frameId) : item.frameId,
+                layer: layers.some(layer => layer.id === item.layer) ? item.layer : this.activeLayer,
+                z: null
+            }));
+        });
+        this.endBatch();
+        this.renderCallback();
+    }
+
+    clear() {
+        this.execute({ type: 'clear' });
+    }
+}
+
+// --- 4. GEOMETRY HELPERS ---
+// Shift every coordinate an element has
+function translateElement(el, dx, dy) {
+    el.x += dx;
+    el.y += dy;
+
+    // For complex shapes (Rect/Circ/Line) that use endX/Y
+    if (el.endX !== undefined) el.endX += dx;
+    if (el.endY !== undefined) el.endY += dy;
+
+    // For Brush/Eraser (Points)
+    if (el.points) {
+        el.points.forEach(p => {
+            p.x += dx;
+            p.y += dy;
+        });
+    }
+}
+
+function rotatePoint(px, py, cx, cy, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = px - cx;
+    const dy = py - cy;
+    return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+}
+
+// Union of the (rotated) bounds of some elements, or null if there are none
+function getContentBounds(elements) {
+    if (elements.length === 0) return null;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    elements.forEach(el => {
+        const b = el.getWorldBounds();
+        minX = Math.min(minX, b.x);
+        minY = Math.min(minY, b.y);
+        maxX = Math.max(maxX, b.x + b.w);
+        maxY = Math.max(maxY, b.y + b.h);
+    });
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+}
+
+// Element alpha combined with its layer's opacity
+function getElementOpacity(el, layers) {
+    const layer = layers.find(item => item.id === el.layer);
+    return el.alpha * (layer ? layer.opacity : 1);
+}
+
+function rectsIntersect(a, b) {
+    return a.x <= b.x + b.w && a.x + a.w >= b.x && a.y <= b.y + b.h && a.y + a.h >= b.y;
+}
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONFIG,
+        createElementId,
+        Element,
+        StateManager,
+        translateElement,
+        rotatePoint,
+        getContentBounds,
+        getElementOpacity,
+        rectsIntersect,
+        cloneValue
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * PDF - Minimal Writer for Image Pages
+ * Architecture: createPdf (pure: JPEG pages in, PDF file bytes out)
+ *
+ * Each page shows one JPEG image filling it. The JPEG data goes into the file as
+ * it is (DCTDecode), so no compression code is needed. Used for the frames export
+ * (see js/frames.js). No DOM access.
+ */
+
+const PDF = {
+    POINTS_PER_PX: 0.75, // CSS px are 1/96 in, PDF points 1/72 in
+    MAX_PAGE_SIZE: 14400, // Points: the largest page readers accept (200 in)
+};
+
+// pages: [{ width, height, image: { data: Uint8Array (JPEG), width, height } }],
+// page sizes in CSS px, image sizes in pixels. Returns the file as a Uint8Array.
+function createPdf(pages) {
+    const chunks = [];
+    const offsets = []; // Object number -> byte offset, for the cross-reference table
+    let length = 0;
+    const write = part => {
+        const bytes = typeof part === 'string' ? asciiBytes(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (n, dict, stream) => {
+        offsets[n] = length;
+        write(`${n} 0 obj\n${dict}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'); // Binary marker comment
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    const kids = pages.map((page, i) => `${3 + i * 3} 0 R`).join(' ');
+    object(2, `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+
+    // Per page: the page, its content stream and its image
+    pages.forEach((page, i) => {
+        const n = 3 + i * 3;
+        const fit = Math.min(PDF.POINTS_PER_PX, PDF.MAX_PAGE_SIZE / page.width, PDF.MAX_PAGE_SIZE / page.height);
+        const w = pdfNum(Math.max(1, page.width * fit));
+        const h = pdfNum(Math.max(1, page.height * fit));
+        const content = asciiBytes(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`);
+        object(n, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] ` +
+            `/Resources << /XObject << /Im0 ${n + 2} 0 R >> >> /Contents ${n + 1} 0 R >>`);
+        object(n + 1, `<< /Length ${content.length} >>`, content);
+        object(n + 2, `<< /Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.image.data.length} >>`, page.image.data);
+    });
+
+    const count = 3 + pages.length * 3;
+    const xref = length;
+    write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let n = 1; n < count; n++) write(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    const file = new Uint8Array(length);
+    let at = 0;
+    chunks.forEach(bytes => {
+        file.set(bytes, at);
+        at += bytes.length;
+    });
+    return file;
+}
+
+function pdfNum(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+// One byte per character (the writer only emits ASCII, plus the marker comment)
+function asciiBytes(str) {
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xff;
+    return bytes;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PDF, createPdf };
+}
@@ -0,0 +1,79 @@
+/**
+ * PNG Export - High-resolution Raster Output
+ * Architecture: PngExporter (offscreen Renderer sized to the content bounds)
+ *
+ * Drawing goes through Renderer.drawElement, so the image matches the screen;
+ * only the area and the resolution differ.
+ */
+
+// Browsers refuse (or silently blank) canvases beyond roughly these limits
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384 / 4;
+
+class PngExporter {
+    constructor(options = {}) {
+        this.scale = options.scale || 1;
+        this.padding = options.padding === undefined ? 20 : options.padding;
+        this.board = normalizeBackground(options.board); // Board color and pattern (see js/themes.js)
+        this.background = options.background === undefined ? backgroundColor(this.board) : options.background; // null = transparent
+        this.grid = options.grid || false; // Include the board's pattern
+        this.layers = options.layers || []; // Layer opacity/visibility, as on screen
+        this.frames = options.frames || null; // Frame id -> frame for clipping (default: the frames exported)
+        this.frameChrome = options.frameChrome !== false; // Frame borders and names (see js/frames.js)
+    }
+
+    // Renders `elements` (clipped to `bounds`, defaulting to their content bounds) into a new canvas
+    async render(elements, bounds = getContentBounds(elements)) {
+        bounds = bounds || { x: 0, y: 0, w: 0, h: 0 };
+        await loadImages(elements);
+
+        const x = bounds.x - this.padding;
+        const y = bounds.y - this.padding;
+        const w = bounds.w + this.padding * 2;
+        const h = bounds.h + this.padding * 2;
+
+        // Huge boards at 4x can exceed what a canvas can hold: fall back to the largest scale that fits
+        let scale = this.scale;
+        scale = Math.min(scale, MAX_CANVAS_SIDE / w, MAX_CANVAS_SIDE / h, Math.sqrt(MAX_CANVAS_AREA / (w * h)));
+        this.appliedScale = scale;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(w * scale));
+        canvas.height = Math.max(1, Math.ceil(h * scale));
+
+        const renderer = new Renderer(canvas, { offscreen: true });
+        renderer.scale = scale;
+        renderer.panX = -x * scale;
+        renderer.panY = -y * scale;
+        renderer.setBoardBackground(this.board);
+        renderer.background = this.background;
+        if (!this.grid) renderer.pattern = 'none';
+        renderer.layers = this.layers;
+        renderer.frames = this.frames || new Map(elements.filter(el => el.type === 'frame').map(el => [el.id, el]));
+        renderer.frameChrome = this.frameChrome;
+        renderer.draw(elements);
+        return canvas;
+    }
+
+    // Resolves null when the browser can't encode the canvas (e.g. too large)
+    async toBlob(elements, bounds) {
+        const canvas = await this.render(elements, bounds);
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+}
+
+// Make sure every image element has a decoded Image before drawing synchronously
+function loadImages(elements) {
+    return Promise.all(elements.filter(el => el.type === 'image' && el.dataURL).map(el => {
+        if (el.imgObj && el.imgObj.complete) return Promise.resolve();
+        return new Promise(resolve => {
+            const img = el.imgObj || new Image();
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+            if (!el.imgObj) {
+                img.src = el.dataURL;
+                el.imgObj = img;
+            }
+        });
+    }));
+}
@@ -0,0 +1,238 @@
+/**
+ * Real-time Collaboration - Live Presence
+ * Architecture: PresenceManager over a pluggable Transport
+ *
+ * A transport is anything with `send(msg)`, `onMessage(handler)` and `close()`.
+ * - RelayTransport: piggybacks on a SyncClient's WebSocket (server/relay.js)
+ * - BroadcastChannelTransport: tabs on the same machine, no server needed
+ * - InMemoryTransport: peers inside one page (tests / demos)
+ */
+
+// --- 1. CONFIGURATION ---
+const PRESENCE = {
+    THROTTLE_MS: 40,      // Max one state update per frame-ish
+    HEARTBEAT_MS: 5000,
+    TIMEOUT_MS: 15000,    // Drop peers we haven't heard from
+    COLORS: ['#f97316', '#22c55e', '#3b82f6', '#ec4899', '#a855f7', '#14b8a6', '#eab308', '#ef4444'],
+};
+
+// --- 2. TRANSPORTS ---
+class RelayTransport {
+    constructor(syncClient) {
+        this.sync = syncClient;
+        this.handler = () => { };
+        this.sync.on('presence', msg => this.handler(msg.data));
+        // The relay tells us when a socket goes away; forward it as a presence leave
+        this.sync.on('peer-leave', msg => this.handler({ type: 'leave', id: msg.clientId }));
+        this.sync.on('peer-join', () => this.handler({ type: 'hello' }));
+    }
+
+    send(msg) {
+        this.sync.send({ type: 'presence', data: msg });
+    }
+
+    onMessage(handler) {
+        this.handler = handler;
+    }
+
+    close() {
+        this.handler = () => { };
+    }
+}
+
+class BroadcastChannelTransport {
+    constructor(name) {
+        this.channel = new BroadcastChannel(name);
+    }
+
+    send(msg) {
+        this.channel.postMessage(msg);
+    }
+
+    onMessage(handler) {
+        this.channel.onmessage = (e) => handler(e.data);
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+// Every transport connected to the same hub sees every other transport's messages
+class InMemoryTransport {
+    constructor(hub) {
+        this.hub = hub;
+        this.handler = () => { };
+        hub.push(this);
+    }
+
+    static createHub() {
+        return [];
+    }
+
+    send(msg) {
+        const copy = JSON.parse(JSON.stringify(msg));
+        this.hub.forEach(peer => {
+            if (peer !== this) setTimeout(() => peer.handler(copy), 0);
+        });
+    }
+
+    onMessage(handler) {
+        this.handler = handler;
+    }
+
+    close() {
+        const idx = this.hub.indexOf(this);
+        if (idx !== -1) this.hub.splice(idx, 1);
+    }
+}
+
+// --- 3. PRESENCE MANAGER ---
+class PresenceManager {
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.id = options.id || Math.random().toString(36).slice(2, 10);
+        this.name = options.name || `Guest ${this.id.slice(0, 4)}`;
+        this.color = options.color || PresenceManager.colorFor(this.id);
+        this.onChange = options.onChange || (() => { });
+
+        this.peers = new Map(); // id -> { id, name, color, cursor, viewport, draft, lastSeen }
+        this.local = { cursor: null, viewport: null, draft: null };
+        this.followingId = null;
+
+        this.sendTimer = null;
+        this.lastSent = 0;
+
+        this.transport.onMessage(msg => this.receive(msg));
+        this.heartbeat = setInterval(() => {
+            this.broadcast();
+            this.prune();
+        }, PRESENCE.HEARTBEAT_MS);
+
+        this.transport.send({ type: 'hello' });
+        this.broadcast();
+    }
+
+    static colorFor(id) {
+        let hash = 0;
+        for (let i = 0; i < id.length; i++) hash = (hash * 31 + id.charCodeAt(i)) | 0;
+        return PRESENCE.COLORS[Math.abs(hash) % PRESENCE.COLORS.length];
+    }
+
+    // --- LOCAL STATE ---
+    setName(name) {
+        this.name = name;
+        this.scheduleSend();
+    }
+
+    updateCursor(x, y) {
+        this.local.cursor = { x, y };
+        this.scheduleSend();
+    }
+
+    updateViewport(panX, panY, scale, width, height) {
+        const v = this.local.viewport;
+        if (v && v.panX === panX && v.panY === panY && v.scale === scale && v.width === width && v.height === height) return;
+        this.local.viewport = { panX, panY, scale, width, height };
+        this.scheduleSend();
+    }
+
+    updateDraft(element) {
+        if (!element && !this.local.draft) return;
+        this.local.draft = element ? (typeof element.toJSON === 'function' ? element.toJSON() : element) : null;
+        this.scheduleSend();
+    }
+
+    // Coalesce rapid updates (mouse moves) into one message per THROTTLE_MS
+    scheduleSend() {
+        if (this.sendTimer) return;
+        const wait = Math.max(0, PRESENCE.THROTTLE_MS - (Date.now() - this.lastSent));
+        this.sendTimer = setTimeout(() => {
+            this.sendTimer = null;
+            this.broadcast();
+        }, wait);
+    }
+
+    broadcast() {
+        this.lastSent = Date.now();
+        this.transport.send({
+            type: 'state',
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            ...this.local
+        });
+    }
+
+    // --- REMOTE STATE ---
+    receive(msg) {
+        if (!msg || msg.id === this.id) return;
+
+        switch (msg.type) {
+            case 'hello':
+                this.broadcast();
+                break;
+
+            case 'state': {
+                const isNew = !this.peers.has(msg.id);
+                this.peers.set(msg.id, {
+                    id: msg.id,
+                    name: msg.name,
+                    color: msg.color,
+                    cursor: msg.cursor,
+                    viewport: msg.viewport,
+                    draft: msg.draft ? new Element(msg.draft.type, msg.draft) : null, // Plain data: drawing needs the methods
+                    lastSeen: Date.now()
+                });
+                if (isNew) this.broadcast(); // Let the newcomer see us right away
+                this.onChange({ type: isNew ? 'join' : 'update', id: msg.id });
+                break;
+            }
+
+            case 'leave':
+                if (this.peers.delete(msg.id)) {
+                    if (this.followingId === msg.id) this.followingId = null;
+                    this.onChange({ type: 'leave', id: msg.id });
+                }
+                break;
+        }
+    }
+
+    prune() {
+        const now = Date.now();
+        this.peers.forEach((peer, id) => {
+            if (now - peer.lastSeen > PRESENCE.TIMEOUT_MS) this.receive({ type: 'leave', id });
+        });
+    }
+
+    getPeers() {
+        return Array.from(this.peers.values());
+    }
+
+    // --- FOLLOW MODE ---
+    follow(id) {
+        this.followingId = this.peers.has(id) ? id : null;
+        this.onChange({ type: 'follow', id: this.followingId });
+    }
+
+    unfollow() {
+        if (!this.followingId) return;
+        this.followingId = null;
+        this.onChange({ type: 'follow', id: null });
+    }
+
+    getFollowed() {
+        return this.followingId ? this.peers.get(this.followingId) : null;
+    }
+
+    destroy() {
+        clearInterval(this.heartbeat);
+        clearTimeout(this.sendTimer);
+        this.transport.send({ type: 'leave', id: this.id });
+        this.transport.close();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PresenceManager, InMemoryTransport, PRESENCE };
+}
@@ -0,0 +1,123 @@
+/**
+ * Properties - Style Panel for Shapes, Lines and Arrows
+ * Architecture: PropertiesPanel (DOM form) over StateManager updates
+ *
+ * With shapes selected, the panel edits them: stroke color and width, dash,
+ * fill and fill opacity, corner radius and opacity (only the rows that apply to
+ * the selection are shown). With a shape tool active and nothing selected it sets
+ * the style of the next shapes instead (WhiteboardApp.shapeStyle).
+ */
+
+class PropertiesPanel {
+    constructor(app) {
+        this.app = app;
+        this.root = document.querySelector("#properties-panel");
+        this.fields = {
+            color: this.root.querySelector("#prop-color"),
+            size: this.root.querySelector("#prop-size"),
+            dash: this.root.querySelector("#prop-dash"),
+            fillOn: this.root.querySelector("#prop-fill-on"),
+            fill: this.root.querySelector("#prop-fill"),
+            fillAlpha: this.root.querySelector("#prop-fill-alpha"),
+            radius: this.root.querySelector("#prop-radius"),
+            alpha: this.root.querySelector("#prop-alpha")
+        };
+        this.isSliding = false; // A batch is open while a slider or color picker is live
+
+        this.bindEvents();
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    // Selected elements the panel edits (select tool only)
+    getTargets() {
+        return this.app.getSelectedOfType(SHAPES.STYLED_TYPES);
+    }
+
+    bindEvents() {
+        const f = this.fields;
+        this.bindLive(f.color, () => ({ color: f.color.value }));
+        this.bindLive(f.size, () => ({ size: Number(f.size.value) }));
+        this.bindLive(f.fill, () => ({ fill: f.fill.value })); // Picking a color turns the fill on
+        this.bindLive(f.fillAlpha, () => ({ fillAlpha: f.fillAlpha.value / 100 }));
+        this.bindLive(f.radius, () => ({ radius: Number(f.radius.value) }));
+        this.bindLive(f.alpha, () => ({ alpha: f.alpha.value / 100 }));
+        f.dash.addEventListener("change", () => this.apply({ dash: f.dash.value }));
+        f.fillOn.addEventListener("change", () => this.apply({ fill: f.fillOn.checked ? f.fill.value : null }));
+    }
+
+    // Live while dragging, one undo step per drag (like the layer opacity slider)
+    bindLive(input, read) {
+        input.addEventListener("input", () => {
+            if (!this.isSliding && this.getTargets().length > 0) {
+                this.isSliding = true;
+                this.state.beginBatch();
+            }
+            this.apply(read());
+        });
+        input.addEventListener("change", () => {
+            if (!this.isSliding) return;
+            this.isSliding = false;
+            this.state.endBatch();
+        });
+    }
+
+    // Restyle the selection (each element takes the properties it has), or set the new-shape style
+    apply(props) {
+        const targets = this.getTargets();
+        if (targets.length === 0) {
+            Object.keys(props).forEach(key => {
+                if (key in this.app.shapeStyle) this.app.shapeStyle[key] = props[key];
+            });
+            this.app.requestRender();
+            return;
+        }
+
+        this.state.beginBatch(); // Nests inside a slider's batch
+        targets.forEach(el => {
+            const keys = ['color', 'size', 'alpha', ...shapeStyleKeys(el.type)];
+            const changes = {};
+            Object.keys(props).forEach(key => {
+                if (keys.includes(key)) changes[key] = props[key];
+            });
+            if (Object.keys(changes).length > 0) this.state.updateElement(el, changes);
+        });
+        this.state.endBatch();
+    }
+
+    // Follows the tool and the selection (called every frame, like the arrow options)
+    update() {
+        const targets = this.getTargets();
+        const tool = this.app.activeTool;
+        const toolMode = targets.length === 0 && SHAPES.STYLED_TYPES.includes(tool);
+        this.root.hidden = targets.length === 0 && !toolMode;
+        if (this.root.hidden || this.isSliding) return;
+
+        const types = toolMode ? [tool] : targets.map(el => el.type);
+        const keys = new Set(types.flatMap(type => shapeStyleKeys(type)));
+        if (!toolMode) ['color', 'size', 'alpha'].forEach(key => keys.add(key)); // The toolbar has these for new shapes
+        if (keys.has('fill')) keys.add('fillOn');
+        Object.entries(this.fields).forEach(([key, input]) => {
+            input.closest(".property-row").hidden = !keys.has(key);
+        });
+
+        // Values of the first selected element (or the defaults)
+        const source = toolMode ? this.app.shapeStyle : targets[0];
+        const f = this.fields;
+        const set = (input, value) => {
+            if (document.activeElement !== input) input.value = value;
+        };
+        if (!toolMode) {
+            set(f.color, source.color);
+            set(f.size, source.size);
+            set(f.alpha, Math.round(source.alpha * 100));
+        }
+        set(f.dash, source.dash);
+        f.fillOn.checked = !!source.fill;
+        if (source.fill) set(f.fill, source.fill);
+        set(f.fillAlpha, Math.round(source.fillAlpha * 100));
+        set(f.radius, source.radius);
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * Recognizer - Turns Rough Freehand Strokes into Clean Shapes
+ * Architecture: pure geometry (no DOM), used by SmartInk after a brush stroke ends
+ *
+ * A stroke is resampled to evenly spaced points, then fitted against every shape
+ * that makes sense for it: open strokes as a line or an arrow (shaft plus head,
+ * drawn in one go), closed ones as an ellipse/circle, a triangle or a rectangle.
+ * Each fit gets a confidence from 0 to 1 based on how far the ink strays from the
+ * clean shape; the best one wins if it clears the threshold.
+ *
+ * Shapes: { kind: 'line' | 'arrow', x1, y1, x2, y2 }  (an arrow points at x2, y2)
+ *         { kind: 'circle', cx, cy, r }
+ *         { kind: 'ellipse' | 'rect', cx, cy, w, h, rotation }
+ *         { kind: 'triangle', points: [3 x { x, y }] }
+ *         ...each with a `confidence`.
+ */
+
+const RECOGNIZER = {
+    THRESHOLD: 0.75,             // Default confidence needed to replace a stroke
+    SAMPLES: 64,                 // Points a stroke is resampled to
+    MIN_SIZE: 16,                // World units; smaller strokes (dots, ticks) are left alone
+    CLOSE_GAP: 0.2,              // End-to-end gap, relative to the stroke length, that still closes a shape
+    CORNER_TOLERANCE: 0.08,      // Polygon simplification, relative to the bounding box diagonal
+    CIRCLE_RATIO: 0.85,          // Ellipses rounder than this become circles
+    AXIS_SNAP: Math.PI / 18,     // Rectangles and ellipses within 10deg of level are straightened
+    // Average distance from the ink to each fit, relative to its size, at which confidence hits 0
+    LINE_TOLERANCE: 0.08,
+    ELLIPSE_TOLERANCE: 0.15,
+    POLYGON_TOLERANCE: 0.1,
+};
+
+// --- 1. STROKE HELPERS ---
+function pathLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    return length;
+}
+
+function pointsBounds(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+// `n` points evenly spaced along the stroke
+function resample(points, n) {
+    const step = pathLength(points) / (n - 1);
+    const result = [{ x: points[0].x, y: points[0].y }];
+    let carried = 0;
+    let prev = points[0];
+    for (let i = 1; i < points.length && result.length < n; i++) {
+        let p = points[i];
+        let d = Math.hypot(p.x - prev.x, p.y - prev.y);
+        while (carried + d >= step && d > 0 && result.length < n) {
+            const t = (step - carried) / d;
+            const q = { x: prev.x + (p.x - prev.x) * t, y: prev.y + (p.y - prev.y) * t };
+            result.push(q);
+            prev = q;
+            d = Math.hypot(p.x - prev.x, p.y - prev.y);
+            carried = 0;
+        }
+        carried += d;
+        prev = p;
+    }
+    while (result.length < n) result.push({ x: points[points.length - 1].x, y: points[points.length - 1].y });
+    return result;
+}
+
+function distToSegment(p, a, b) {
+    const l2 = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    if (l2 === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / l2));
+    return Math.hypot(p.x - (a.x + t * (b.x - a.x)), p.y - (a.y + t * (b.y - a.y)));
+}
+
+// Ramer-Douglas-Peucker: the corners that keep the polyline within `epsilon`
+function simplify(points, epsilon) {
+    if (points.length < 3) return points.slice();
+    let farthest = 0;
+    let index = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const d = distToSegment(points[i], points[0], points[points.length - 1]);
+        if (d > farthest) { farthest = d; index = i; }
+    }
+    if (farthest <= epsilon) return [points[0], points[points.length - 1]];
+    return [...simplify(points.slice(0, index + 1), epsilon).slice(0, -1), ...simplify(points.slice(index), epsilon)];
+}
+
+function confidenceOf(error, tolerance) {
+    return Math.max(0, Math.min(1, 1 - error / tolerance));
+}
+
+// Angle at b between ba and bc, 0..PI
+function cornerAngle(a, b, c) {
+    const v1 = Math.atan2(a.y - b.y, a.x - b.x);
+    const v2 = Math.atan2(c.y - b.y, c.x - b.x);
+    const d = Math.abs(v1 - v2) % (Math.PI * 2);
+    return d > Math.PI ? Math.PI * 2 - d : d;
+}
+
+function snapRotation(angle) {
+    // Boxes look the same every quarter turn: use the smallest equivalent angle
+    let a = ((angle % (Math.PI / 2)) + Math.PI / 2) % (Math.PI / 2);
+    if (a > Math.PI / 4) a -= Math.PI / 2;
+    return Math.abs(a) < RECOGNIZER.AXIS_SNAP ? 0 : a;
+}
+
+// Extents of the points along axes turned by `rotation`: { cx, cy, w, h }
+function rotatedExtents(points, rotation) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    points.forEach(p => {
+        const u = p.x * cos + p.y * sin;
+        const v = -p.x * sin + p.y * cos;
+        minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+        minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+    });
+    const cu = (minU + maxU) / 2;
+    const cv = (minV + maxV) / 2;
+    return { cx: cu * cos - cv * sin, cy: cu * sin + cv * cos, w: maxU - minU, h: maxV - minV };
+}
+
+// --- 2. FITS ---
+function fitLine(points) {
+    const a = points[0];
+    const b = points[points.length - 1];
+    const chord = Math.hypot(b.x - a.x, b.y - a.y);
+    if (chord === 0) return null;
+    const error = points.reduce((sum, p) => sum + distToSegment(p, a, b), 0) / points.length / chord;
+    return { kind: 'line', x1: a.x, y1: a.y, x2: b.x, y2: b.y, confidence: confidenceOf(error, RECOGNIZER.LINE_TOLERANCE) };
+}
+
+// A straight shaft, then a head: every later corner near the tip, at least one barb pointing back
+function fitArrow(points, diag) {
+    const corners = simplify(points, diag * RECOGNIZER.CORNER_TOLERANCE);
+    if (corners.length < 3) return null;
+    const [tail, tip, ...head] = corners;
+    const shaft = Math.hypot(tip.x - tail.x, tip.y - tail.y);
+    if (shaft < diag * 0.5) return null;
+
+    const reach = shaft * 0.5;
+    if (head.some(p => Math.hypot(p.x - tip.x, p.y - tip.y) > reach)) return null;
+    const barbs = head.filter(p => Math.hypot(p.x - tip.x, p.y - tip.y) > shaft * 0.08 && cornerAngle(tail, tip, p) < Math.PI / 3);
+    if (barbs.length === 0) return null;
+
+    // How straight the shaft is: the ink up to the tip against the tail-tip segment
+    const tipIndex = points.reduce((best, p, i) => (Math.hypot(p.x - tip.x, p.y - tip.y) < Math.hypot(points[best].x - tip.x, points[best].y - tip.y) ? i : best), 0);
+    const shaftPoints = points.slice(0, tipIndex + 1);
+    const error = shaftPoints.reduce((sum, p) => sum + distToSegment(p, tail, tip), 0) / shaftPoints.length / shaft;
+    const confidence = confidenceOf(error, RECOGNIZER.LINE_TOLERANCE) * (barbs.length >= 2 ? 1 : 0.9);
+    return { kind: 'arrow', x1: tail.x, y1: tail.y, x2: tip.x, y2: tip.y, confidence };
+}
+
+function fitEllipse(points) {
+    const n = points.length;
+    const mx = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const my = points.reduce((sum, p) => sum + p.y, 0) / n;
+    let sxx = 0, syy = 0, sxy = 0;
+    points.forEach(p => {
+        sxx += (p.x - mx) ** 2;
+        syy += (p.y - my) ** 2;
+        sxy += (p.x - mx) * (p.y - my);
+    });
+    const rotation = snapRotation(0.5 * Math.atan2(2 * sxy, sxx - syy)); // Principal axis
+    const { cx, cy, w, h } = rotatedExtents(points, rotation);
+    const rx = w / 2;
+    const ry = h / 2;
+    if (rx === 0 || ry === 0) return null;
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const error = points.reduce((sum, p) => {
+        const u = (p.x - cx) * cos + (p.y - cy) * sin;
+        const v = -(p.x - cx) * sin + (p.y - cy) * cos;
+        return sum + Math.abs(Math.hypot(u / rx, v / ry) - 1);
+    }, 0) / n;
+    const confidence = confidenceOf(error, RECOGNIZER.ELLIPSE_TOLERANCE);
+
+    if (Math.min(rx, ry) / Math.max(rx, ry) >= RECOGNIZER.CIRCLE_RATIO) {
+        return { kind: 'circle', cx, cy, r: (rx + ry) / 2, confidence };
+    }
+    return { kind: 'ellipse', cx, cy, w, h, rotation, confidence };
+}
+
+// Corners of a closed stroke, starting from the point farthest from the middle
+function closedCorners(points, diag) {
+    const b = pointsBounds(points);
+    const mid = { x: b.x + b.w / 2, y: b.y + b.h / 2 };
+    const start = points.reduce((best, p, i) => (Math.hypot(p.x - mid.x, p.y - mid.y) > Math.hypot(points[best].x - mid.x, points[best].y - mid.y) ? i : best), 0);
+    const loop = [...points.slice(start), ...points.slice(0, start), points[start]];
+    let corners = simplify(loop, diag * RECOGNIZER.CORNER_TOLERANCE).slice(0, -1);
+
+    // Drop corners that barely turn (a wobble along a side)
+    let changed = true;
+    while (changed && corners.length > 3) {
+        changed = false;
+        for (let i = 0; i < corners.length; i++) {
+            const prev = corners[(i + corners.length - 1) % corners.length];
+            const next = corners[(i + 1) % corners.length];
+            if (cornerAngle(prev, corners[i], next) > Math.PI * 0.8) {
+                corners.splice(i, 1);
+                changed = true;
+                break;
+            }
+        }
+    }
+    return corners;
+}
+
+function polygonError(points, corners, size) {
+    return points.reduce((sum, p) => {
+        let best = Infinity;
+        corners.forEach((c, i) => { best = Math.min(best, distToSegment(p, c, corners[(i + 1) % corners.length])); });
+        return sum + best;
+    }, 0) / points.length / size;
+}
+
+function fitPolygon(points, diag) {
+    const corners = closedCorners(points, diag);
+    if (corners.length === 3) {
+        const confidence = confidenceOf(polygonError(points, corners, diag), RECOGNIZER.POLYGON_TOLERANCE);
+        return { kind: 'triangle', points: corners.map(p => ({ x: p.x, y: p.y })), confidence };
+    }
+    if (corners.length !== 4) return null;
+
+    // Square-ish corners only; the box is aligned with the longest side
+    const worst = Math.max(...corners.map((c, i) => Math.abs(cornerAngle(corners[(i + 3) % 4], c, corners[(i + 1) % 4]) - Math.PI / 2)));
+    if (worst > Math.PI / 6) return null;
+    let longest = 0;
+    corners.forEach((c, i) => {
+        if (Math.hypot(corners[(i + 1) % 4].x - c.x, corners[(i + 1) % 4].y - c.y) > Math.hypot(corners[(longest + 1) % 4].x - corners[longest].x, corners[(longest + 1) % 4].y - corners[longest].y)) longest = i;
+    });
+    const a = corners[longest];
+    const b = corners[(longest + 1) % 4];
+    const rotation = snapRotation(Math.atan2(b.y - a.y, b.x - a.x));
+    const box = rotatedExtents(points, rotation);
+
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const clean = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => ({
+        x: box.cx + (sx * box.w / 2) * cos - (sy * box.h / 2) * sin,
+        y: box.cy + (sx * box.w / 2) * sin + (sy * box.h / 2) * cos
+    }));
+    const error = polygonError(points, clean, diag);
+    const confidence = confidenceOf(error, RECOGNIZER.POLYGON_TOLERANCE) * (1 - worst / Math.PI);
+    return { kind: 'rect', ...box, rotation, confidence };
+}
+
+// --- 3. CLASSIFICATION ---
+// Every shape the stroke could be, most confident first
+function classifyStroke(rawPoints) {
+    if (rawPoints.length < 2) return [];
+    const bounds = pointsBounds(rawPoints);
+    const diag = Math.hypot(bounds.w, bounds.h);
+    if (diag < RECOGNIZER.MIN_SIZE) return [];
+
+    const points = resample(rawPoints, RECOGNIZER.SAMPLES);
+    const length = pathLength(points);
+    const first = points[0];
+    const last = points[points.length - 1];
+    const closed = Math.hypot(last.x - first.x, last.y - first.y) <= length * RECOGNIZER.CLOSE_GAP;
+
+    const fits = closed
+        ? [fitEllipse(points), fitPolygon(points, diag)]
+        : [fitLine(points), fitArrow(points, diag)];
+    return fits.filter(Boolean).sort((a, b) => b.confidence - a.confidence);
+}
+
+// The best shape for a stroke, or null if nothing is confident enough
+function recognizeStroke(points, threshold = RECOGNIZER.THRESHOLD) {
+    const [best] = classifyStroke(points);
+    return best && best.confidence >= threshold ? best : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RECOGNIZER,
+        resample,
+        simplify,
+        classifyStroke,
+        recognizeStroke
+    };
+}
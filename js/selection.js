@@ -0,0 +1,482 @@
+/**
+ * Selection Tool - Select, Marquee, Move, Scale & Rotate
+ * Architecture: SelectionTool (pointer handling) driving StateManager ops
+ *
+ * A gesture is always recorded as one undo step (beginBatch/endBatch). Scale and
+ * rotate are computed from the element snapshots taken when the gesture started,
+ * so repeated mousemoves never accumulate rounding errors. Moves are snapped to the
+ * grid and to smart guides from the total drag offset (see js/snapping.js). A frame
+ * moves, copies and deletes together with its contents (see js/frames.js).
+ */
+
+// --- 1. CONFIGURATION ---
+const SELECTION = {
+    HANDLE_SIZE: 8,              // Screen px
+    ROTATE_OFFSET: 30,           // Screen px above the box
+    ROTATE_SNAP: Math.PI / 12,   // 15deg steps with Shift
+    COLOR: '#6366f1',
+};
+
+// Everything a scale/rotate gesture may change on an element
+const TRANSFORM_KEYS = ['x', 'y', 'endX', 'endY', 'w', 'h', 'points', 'size', 'rotation'];
+
+// Box-local handle positions (-1..1 on each axis)
+const HANDLES = {
+    nw: [-1, -1], n: [0, -1], ne: [1, -1], e: [1, 0],
+    se: [1, 1], s: [0, 1], sw: [-1, 1], w: [-1, 0],
+};
+
+// --- 2. GEOMETRY HELPERS ---
+function pickProps(el, keys) {
+    const props = {};
+    keys.forEach(key => { props[key] = cloneValue(el[key]); });
+    return props;
+}
+
+// Scale an element's unrotated geometry around (ox, oy)
+function scaleGeometry(el, sx, sy, ox, oy) {
+    const syAbs = Math.abs(sy);
+
+    switch (el.type) {
+        case 'circle': {
+            const r = Math.hypot(el.endX - el.x, el.endY - el.y) * (Math.abs(sx) + syAbs) / 2;
+            el.x = ox + (el.x - ox) * sx;
+            el.y = oy + (el.y - oy) * sy;
+            el.endX = el.x + r;
+            el.endY = el.y;
+            return;
+        }
+        case 'text': {
+            // Text grows from its top-left corner: font size follows the height,
+            // the corner goes where the scaled box starts
+            const b = el.getBounds();
+            el.size = Math.max(1, el.size * syAbs);
+            el.x = Math.min(ox + (b.x - ox) * sx, ox + (b.x + b.w - ox) * sx);
+            el.y = Math.min(oy + (b.y - oy) * sy, oy + (b.y + b.h - oy) * sy);
+            return;
+        }
+    }
+
+    el.x = ox + (el.x - ox) * sx;
+    el.y = oy + (el.y - oy) * sy;
+    el.endX = ox + (el.endX - ox) * sx;
+    el.endY = oy + (el.endY - oy) * sy;
+    el.w *= sx;
+    el.h *= sy;
+    el.points = el.points.map(p => ({ ...p, x: ox + (p.x - ox) * sx, y: oy + (p.y - oy) * sy }));
+
+    // Keep boxes normalized (positive w/h) after a flip
+    if (isBoxShape(el) || ['sticky', 'image', 'frame'].includes(el.type)) {
+        if (el.w < 0) { el.x += el.w; el.w = -el.w; }
+        if (el.h < 0) { el.y += el.h; el.h = -el.h; }
+    }
+}
+
+// Fresh copies of elements (or their plain data) with new ids. Arrows between
+// copied elements are attached to the copies; bindings to anything else are dropped.
+// Contents of a copied frame go in the copy; other elements find their frame when added.
+function cloneElements(items) {
+    const copyIds = new Map(items.map(item => [item.id, createElementId()]));
+    const rebind = binding => (binding && copyIds.has(binding.id) ? { id: copyIds.get(binding.id) } : null);
+    return items.map(item => {
+        const data = typeof item.toJSON === 'function' ? item.toJSON() : item;
+        return new Element(data.type, {
+            ...cloneValue(data),
+            id: copyIds.get(item.id),
+            z: null,
+            startBinding: rebind(data.startBinding),
+            endBinding: rebind(data.endBinding),
+            frameId: copyIds.has(data.frameId) ? copyIds.get(data.frameId) : null
+        });
+    });
+}
+
+// --- 3. TOOL ---
+class SelectionTool {
+    constructor(app) {
+        this.app = app;
+        this.selectedIds = new Set();
+        this.mode = null; // 'move' | 'marquee' | 'scale' | 'rotate' | 'endpoint'
+        this.marquee = null;
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    // Elements on hidden or locked layers drop out of the selection
+    getSelected() {
+        const selected = [];
+        this.selectedIds.forEach(id => {
+            const el = this.state.getElement(id);
+            if (el && this.state.isEditable(el)) selected.push(el);
+        });
+        return selected;
+    }
+
+    isSelected(el) {
+        return this.selectedIds.has(el.id);
+    }
+
+    select(elements) {
+        this.selectedIds = new Set(elements.map(el => el.id));
+        this.app.requestRender();
+    }
+
+    clear() {
+        if (this.selectedIds.size === 0) return;
+        this.selectedIds.clear();
+        this.app.requestRender();
+    }
+
+    deleteSelected() {
+        const selected = withFrameContents(this.state, this.getSelected());
+        if (selected.length === 0) return;
+        this.state.beginBatch();
+        selected.forEach(el => this.state.deleteElement(el));
+        this.state.endBatch();
+        this.clear();
+    }
+
+    // Copies land on top of their own layer, offset so they don't hide the originals.
+    // Copied arrows stay attached to copied shapes and let go of the rest.
+    duplicateSelected(offset = 20) {
+        const picked = new Set(this.selectedIds);
+        const items = this.state.sortByZ(withFrameContents(this.state, this.getSelected()));
+        if (items.length === 0) return;
+        const copies = cloneElements(items);
+        this.state.beginBatch();
+        copies.forEach(copy => {
+            translateElement(copy, offset, offset);
+            this.state.addElement(copy);
+        });
+        this.state.endBatch();
+        this.select(copies.filter((copy, i) => picked.has(items[i].id))); // Not the frames' contents
+    }
+
+    selectAll() {
+        this.select(this.state.getDrawOrder().filter(el => this.state.isEditable(el)));
+    }
+
+    // A lone selected arrow is edited by its ends instead of a frame
+    getSelectedArrow() {
+        const selected = this.getSelected();
+        return selected.length === 1 && selected[0].type === 'arrow' ? selected[0] : null;
+    }
+
+    // Which end of the selected arrow (if any) is under a world point
+    hitEndpoint(x, y) {
+        const arrow = this.getSelectedArrow();
+        if (!arrow) return null;
+        const tolerance = SELECTION.HANDLE_SIZE / this.app.renderer.scale;
+        if (Math.hypot(x - arrow.endX, y - arrow.endY) <= tolerance) return 'end';
+        if (Math.hypot(x - arrow.x, y - arrow.y) <= tolerance) return 'start';
+        return null;
+    }
+
+    // Selection frame: a single element keeps its own rotation, a group gets an axis-aligned box
+    getBox() {
+        const selected = this.getSelected();
+        if (selected.length === 0 || this.getSelectedArrow()) return null;
+
+        if (selected.length === 1) {
+            const b = selected[0].getBounds();
+            return { cx: b.x + b.w / 2, cy: b.y + b.h / 2, w: b.w, h: b.h, rotation: selected[0].rotation };
+        }
+
+        const b = getContentBounds(selected);
+        return { cx: b.x + b.w / 2, cy: b.y + b.h / 2, w: b.w, h: b.h, rotation: 0 };
+    }
+
+    // Which handle (if any) is under a world point
+    hitHandle(box, x, y) {
+        const scale = this.app.renderer.scale;
+        const local = rotatePoint(x, y, box.cx, box.cy, -box.rotation);
+        const lx = local.x - box.cx;
+        const ly = local.y - box.cy;
+        const tolerance = SELECTION.HANDLE_SIZE / scale;
+
+        if (Math.hypot(lx, ly - (-box.h / 2 - SELECTION.ROTATE_OFFSET / scale)) <= tolerance) return 'rotate';
+
+        for (const [name, [hx, hy]] of Object.entries(HANDLES)) {
+            if (Math.hypot(lx - hx * box.w / 2, ly - hy * box.h / 2) <= tolerance) return name;
+        }
+        return null;
+    }
+
+    isInsideBox(box, x, y) {
+        const local = rotatePoint(x, y, box.cx, box.cy, -box.rotation);
+        return Math.abs(local.x - box.cx) <= box.w / 2 && Math.abs(local.y - box.cy) <= box.h / 2;
+    }
+
+    // --- POINTER EVENTS ---
+    onPointerDown(x, y, e) {
+        const endpoint = this.hitEndpoint(x, y);
+        if (endpoint) {
+            this.mode = 'endpoint';
+            this.endpoint = endpoint;
+            this.state.beginBatch();
+            return;
+        }
+
+        const box = this.getBox();
+        const handle = box ? this.hitHandle(box, x, y) : null;
+
+        if (handle) {
+            this.startTransform(handle === 'rotate' ? 'rotate' : 'scale', box, handle, x, y);
+            return;
+        }
+
+        const hitEl = this.state.getHitElement(x, y);
+        if (hitEl) {
+            if (e.shiftKey) {
+                if (this.isSelected(hitEl)) {
+                    this.selectedIds.delete(hitEl.id);
+                    this.app.requestRender();
+                    return;
+                }
+                this.selectedIds.add(hitEl.id);
+            } else if (!this.isSelected(hitEl)) {
+                this.selectedIds = new Set([hitEl.id]);
+            }
+            this.startMove(x, y);
+            return;
+        }
+
+        if (box && !e.shiftKey && this.isInsideBox(box, x, y)) {
+            this.startMove(x, y);
+            return;
+        }
+
+        if (!e.shiftKey) this.selectedIds.clear();
+        this.mode = 'marquee';
+        this.marquee = { x1: x, y1: y, x2: x, y2: y };
+        this.app.requestRender();
+    }
+
+    onPointerMove(x, y, e) {
+        switch (this.mode) {
+            case 'move': {
+                const snapped = this.app.snapper.move(x - this.startPos.x, y - this.startPos.y, e);
+                const dx = snapped.dx - this.offset.x;
+                const dy = snapped.dy - this.offset.y;
+                if (dx === 0 && dy === 0) {
+                    this.app.requestRender(); // Guides may still change
+                    break;
+                }
+                if (!this.moved) this.releaseConnectors();
+                this.moved = true;
+                this.moving.forEach(el => this.state.moveElement(el, dx, dy));
+                this.offset = { x: snapped.dx, y: snapped.dy };
+                break;
+            }
+            case 'marquee':
+                this.marquee.x2 = x;
+                this.marquee.y2 = y;
+                this.app.requestRender();
+                break;
+            case 'scale':
+                this.applyScale(x, y, e.shiftKey);
+                break;
+            case 'rotate':
+                this.applyRotate(x, y, e.shiftKey);
+                break;
+            case 'endpoint':
+                this.moveEndpoint(x, y);
+                break;
+        }
+    }
+
+    onPointerUp() {
+        if (this.mode === 'marquee') {
+            const m = this.marquee;
+            const minX = Math.min(m.x1, m.x2);
+            const minY = Math.min(m.y1, m.y2);
+            const maxX = Math.max(m.x1, m.x2);
+            const maxY = Math.max(m.y1, m.y2);
+
+            // Elements fully inside the marquee
+            this.state.getElementsInRect({ x: minX, y: minY, w: maxX - minX, h: maxY - minY }).forEach(el => {
+                const b = el.getWorldBounds();
+                if (this.state.isEditable(el) && b.x >= minX && b.y >= minY && b.x + b.w <= maxX && b.y + b.h <= maxY) {
+                    this.selectedIds.add(el.id);
+                }
+            });
+            this.marquee = null;
+        } else if (this.mode) {
+            this.updateFrames();
+            this.state.endBatch();
+        }
+
+        this.mode = null;
+        this.originals = null;
+        this.moving = null;
+        this.app.bindTarget = null;
+        this.app.snapper.endMove();
+        this.app.canvas.style.cursor = "default";
+        this.app.requestRender();
+    }
+
+    // Drop a drag in progress, putting everything back where it was
+    cancel() {
+        if (this.mode && this.mode !== 'marquee') this.state.cancelBatch();
+        this.mode = null;
+        this.marquee = null;
+        this.originals = null;
+        this.moving = null;
+        this.app.bindTarget = null;
+        this.app.snapper.endMove();
+        this.app.canvas.style.cursor = "default";
+        this.app.requestRender();
+    }
+
+    // --- GESTURES ---
+    startMove(x, y) {
+        this.mode = 'move';
+        this.startPos = { x, y };
+        this.offset = { x: 0, y: 0 }; // Applied so far (snapped)
+        this.moved = false;
+        this.moving = withFrameContents(this.state, this.getSelected());
+        this.app.snapper.beginMove(this.moving);
+        this.state.beginBatch(); // The whole drag becomes one undo step
+        this.app.canvas.style.cursor = "move";
+        this.app.requestRender();
+    }
+
+    // Arrows dragged without the shapes they are attached to let go of them
+    releaseConnectors() {
+        const moving = new Set(this.moving.map(el => el.id));
+        this.moving.forEach(el => {
+            if (el.type !== 'arrow') return;
+            const props = {};
+            if (el.startBinding && !moving.has(el.startBinding.id)) props.startBinding = null;
+            if (el.endBinding && !moving.has(el.endBinding.id)) props.endBinding = null;
+            if (Object.keys(props).length > 0) this.state.updateElement(el, props);
+        });
+    }
+
+    // At the end of a gesture, in the same undo step: dropped elements join the frame they
+    // landed in (contents moved with their frame stay in it), and resized frames take in
+    // what they cover now
+    updateFrames() {
+        if (this.mode === 'move' && this.moved) {
+            const frames = new Set(this.moving.filter(el => el.type === 'frame').map(el => el.id));
+            assignFrames(this.state, this.moving.filter(el => !frames.has(el.frameId)));
+        } else if (this.mode === 'scale' || this.mode === 'rotate') {
+            const selected = this.getSelected();
+            const frames = selected.filter(el => el.type === 'frame');
+            assignFrames(this.state, selected);
+            if (frames.length > 0) refitFrames(this.state, frames);
+        }
+    }
+
+    // Drag one end of the selected arrow; it attaches to the shape it is dropped on
+    moveEndpoint(x, y) {
+        const arrow = this.getSelectedArrow();
+        if (!arrow) return;
+        const other = this.endpoint === 'start' ? arrow.endBinding : arrow.startBinding;
+        const target = this.state.getBindTarget(x, y, other ? other.id : null);
+        const binding = target ? { id: target.id } : null;
+        this.state.updateElement(arrow, this.endpoint === 'start'
+            ? { x, y, startBinding: binding }
+            : { endX: x, endY: y, endBinding: binding });
+        this.app.bindTarget = target;
+    }
+
+    startTransform(mode, box, handle, x, y) {
+        this.mode = mode;
+        this.handle = handle;
+        this.startBox = box;
+        this.startAngle = Math.atan2(y - box.cy, x - box.cx);
+        // Work from snapshots so every frame is computed from the original geometry
+        this.originals = this.getSelected().map(el => new Element(el.type, { ...el, ...pickProps(el, TRANSFORM_KEYS) }));
+        this.state.beginBatch();
+    }
+
+    applyScale(x, y, lockAspect) {
+        const box = this.startBox;
+        const [hx, hy] = HANDLES[this.handle];
+        const local = rotatePoint(x, y, box.cx, box.cy, -box.rotation);
+        const lx = local.x - box.cx;
+        const ly = local.y - box.cy;
+
+        // Opposite handle stays put
+        const ax = -hx * box.w / 2;
+        const ay = -hy * box.h / 2;
+        let sx = hx !== 0 && box.w > 0 ? (lx - ax) / (hx * box.w) : 1;
+        let sy = hy !== 0 && box.h > 0 ? (ly - ay) / (hy * box.h) : 1;
+
+        if (lockAspect) {
+            const s = hx === 0 ? Math.abs(sy) : hy === 0 ? Math.abs(sx) : Math.max(Math.abs(sx), Math.abs(sy));
+            sx = (hx === 0 ? 1 : Math.sign(sx) || 1) * s;
+            sy = (hy === 0 ? 1 : Math.sign(sy) || 1) * s;
+        }
+
+        this.transformEach((target, c) => {
+            // Where the element's center lands, in box space
+            const cl = rotatePoint(c.x, c.y, box.cx, box.cy, -box.rotation);
+            const nlx = ax + (cl.x - box.cx - ax) * sx;
+            const nly = ay + (cl.y - box.cy - ay) * sy;
+            const nc = rotatePoint(box.cx + nlx, box.cy + nly, box.cx, box.cy, box.rotation);
+
+            // Scale factors along the element's own axes (exact when aligned with the box)
+            const a = target.rotation - box.rotation;
+            let lsx = sx, lsy = sy;
+            if (Math.abs(Math.sin(a)) > 1e-6) {
+                lsx = Math.hypot(sx * Math.cos(a), sy * Math.sin(a));
+                lsy = Math.hypot(sx * Math.sin(a), sy * Math.cos(a));
+            }
+
+            scaleGeometry(target, lsx, lsy, c.x, c.y);
+            return nc;
+        });
+    }
+
+    applyRotate(x, y, snap) {
+        const box = this.startBox;
+        let angle = Math.atan2(y - box.cy, x - box.cx) - this.startAngle;
+        if (snap) {
+            const total = box.rotation + angle;
+            angle = Math.round(total / SELECTION.ROTATE_SNAP) * SELECTION.ROTATE_SNAP - box.rotation;
+        }
+
+        this.transformEach((target, c) => {
+            if (target.type === 'frame') return c; // Frames stay upright, where they are
+            if (target.type === 'arrow') { // Arrows turn their ends instead of carrying a rotation
+                const start = rotatePoint(target.x, target.y, c.x, c.y, angle);
+                const end = rotatePoint(target.endX, target.endY, c.x, c.y, angle);
+                Object.assign(target, { x: start.x, y: start.y, endX: end.x, endY: end.y });
+            } else {
+                target.rotation = target.rotation + angle;
+            }
+            return rotatePoint(c.x, c.y, box.cx, box.cy, angle);
+        });
+    }
+
+    // fn(workingCopy, originalCenter) reshapes the copy and returns where its center should end up
+    transformEach(fn) {
+        this.originals.forEach(orig => {
+            const el = this.state.getElement(orig.id);
+            if (!el) return;
+
+            const target = new Element(orig.type, { ...orig, ...pickProps(orig, TRANSFORM_KEYS) });
+            const nc = fn(target, orig.getCenter());
+            const c = target.getCenter();
+            translateElement(target, nc.x - c.x, nc.y - c.y);
+
+            this.state.updateElement(el, pickProps(target, TRANSFORM_KEYS));
+        });
+    }
+
+    // --- RENDERING (screen space) ---
+    getOverlay() {
+        const box = this.getBox();
+        const arrow = this.getSelectedArrow();
+        return {
+            box,
+            items: this.selectedIds.size > 1 ? this.getSelected().map(el => el.getWorldBounds()) : [],
+            marquee: this.marquee,
+            endpoints: arrow ? [{ x: arrow.x, y: arrow.y }, { x: arrow.endX, y: arrow.endY }] : []
+        };
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Shapes - Outlines, Fill & Stroke Styles for the Shape Tools
+ * Architecture: pure geometry helpers shared by Element hit tests, Renderer, SvgExporter and connectors
+ *
+ * Box shapes are drawn corner to corner and stored as x, y, w, h (like 'rect');
+ * a triangle, diamond, star or callout is a unit outline stretched over that box.
+ * Polygons and polylines are placed click by click and keep their own `points`.
+ * Every shape can be filled (`fill` color, `fillAlpha`) except the open polyline,
+ * and its outline can be solid, dashed or dotted (`dash`).
+ */
+
+const SHAPES = {
+    BOX_TYPES: ['rect', 'ellipse', 'triangle', 'diamond', 'star', 'callout'], // x, y, w, h
+    PATH_TYPES: ['polygon', 'polyline'], // points
+    STYLED_TYPES: ['rect', 'ellipse', 'triangle', 'diamond', 'star', 'callout', 'circle', 'polygon', 'polyline', 'line', 'arrow'],
+    FILLED_TYPES: ['rect', 'ellipse', 'triangle', 'diamond', 'star', 'callout', 'circle', 'polygon'],
+    DASHES: { solid: [], dashed: [3, 2.5], dotted: [0, 2] }, // Times the stroke width
+    STAR: { POINTS: 5, INNER: 0.45 }, // Inner radius, relative to the tips
+    CLOSE_DISTANCE: 10, // Screen pixels: clicking this close to the first point closes a polygon
+};
+
+// Outlines in a unit box, bottom-right at (1, 1)
+const UNIT_OUTLINES = {
+    triangle: [[0.5, 0], [1, 1], [0, 1]],
+    diamond: [[0.5, 0], [1, 0.5], [0.5, 1], [0, 0.5]],
+    callout: [[0, 0], [1, 0], [1, 0.75], [0.45, 0.75], [0.2, 1], [0.25, 0.75], [0, 0.75]], // Speech bubble, tail bottom-left
+    star: unitStar(SHAPES.STAR.POINTS, SHAPES.STAR.INNER),
+};
+
+// A star with its first tip at the top, scaled to fill the unit box
+function unitStar(tips, inner) {
+    const points = [];
+    for (let i = 0; i < tips * 2; i++) {
+        const angle = -Math.PI / 2 + i * Math.PI / tips;
+        const r = i % 2 ? inner : 1;
+        points.push([Math.cos(angle) * r, Math.sin(angle) * r]);
+    }
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const minX = Math.min(...xs), minY = Math.min(...ys);
+    const w = Math.max(...xs) - minX, h = Math.max(...ys) - minY;
+    return points.map(([x, y]) => [(x - minX) / w, (y - minY) / h]);
+}
+
+// --- 1. GEOMETRY ---
+function isClosedShape(el) {
+    return el.type !== 'polyline' && el.type !== 'line';
+}
+
+function isBoxShape(el) {
+    return SHAPES.BOX_TYPES.includes(el.type);
+}
+
+// Corner points of an outline shape (unrotated, world units), or null for rect/ellipse/circle
+function shapeOutline(el) {
+    if (SHAPES.PATH_TYPES.includes(el.type)) return el.points;
+    const unit = UNIT_OUTLINES[el.type];
+    if (!unit) return null;
+    const b = el.getBounds();
+    return unit.map(([u, v]) => ({ x: b.x + u * b.w, y: b.y + v * b.h }));
+}
+
+// Canvas path of the shape's outline; the caller fills and strokes it
+function traceShape(el, ctx) {
+    switch (el.type) {
+        case 'rect':
+            traceRoundedRect(el.getBounds(), el.radius, ctx);
+            return;
+        case 'ellipse': {
+            const b = el.getBounds();
+            ctx.ellipse(b.x + b.w / 2, b.y + b.h / 2, b.w / 2, b.h / 2, 0, 0, Math.PI * 2);
+            return;
+        }
+        case 'circle':
+            ctx.arc(el.x, el.y, Math.hypot(el.endX - el.x, el.endY - el.y), 0, Math.PI * 2);
+            return;
+    }
+    const outline = shapeOutline(el) || [];
+    outline.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    if (outline.length > 0 && isClosedShape(el)) ctx.closePath();
+}
+
+function traceRoundedRect(b, radius, ctx) {
+    const r = Math.min(radius || 0, b.w / 2, b.h / 2);
+    if (r <= 0) {
+        ctx.moveTo(b.x, b.y);
+        ctx.lineTo(b.x + b.w, b.y);
+        ctx.lineTo(b.x + b.w, b.y + b.h);
+        ctx.lineTo(b.x, b.y + b.h);
+        ctx.closePath();
+        return;
+    }
+    ctx.moveTo(b.x + r, b.y);
+    ctx.arc(b.x + b.w - r, b.y + r, r, -Math.PI / 2, 0);
+    ctx.arc(b.x + b.w - r, b.y + b.h - r, r, 0, Math.PI / 2);
+    ctx.arc(b.x + r, b.y + b.h - r, r, Math.PI / 2, Math.PI);
+    ctx.arc(b.x + r, b.y + r, r, Math.PI, Math.PI * 1.5);
+    ctx.closePath();
+}
+
+// Shape style properties a type uses: any outline can be dashed, closed shapes
+// filled, and rects have rounded corners
+function shapeStyleKeys(type) {
+    if (!SHAPES.STYLED_TYPES.includes(type)) return [];
+    const keys = ['dash'];
+    if (SHAPES.FILLED_TYPES.includes(type)) keys.push('fill', 'fillAlpha');
+    if (type === 'rect') keys.push('radius');
+    return keys;
+}
+
+// Dash lengths for ctx.setLineDash / stroke-dasharray ([] when solid)
+function dashPattern(el) {
+    return (SHAPES.DASHES[el.dash] || []).map(n => n * el.size);
+}
+
+// --- 2. HIT TESTING ---
+// (x, y) in the element's unrotated frame. Filled shapes are hit anywhere inside,
+// others only near the outline.
+function shapeHit(el, x, y, margin) {
+    const reach = el.size + margin;
+    if (el.fill && isClosedShape(el) && insideShape(el, x, y)) return true;
+
+    switch (el.type) {
+        case 'circle': {
+            const r = Math.hypot(el.endX - el.x, el.endY - el.y);
+            return Math.abs(Math.hypot(x - el.x, y - el.y) - r) < reach;
+        }
+        case 'ellipse': {
+            const b = el.getBounds();
+            const rx = b.w / 2, ry = b.h / 2;
+            if (rx === 0 || ry === 0) return false;
+            const k = Math.hypot((x - b.x - rx) / rx, (y - b.y - ry) / ry); // 1 on the outline
+            return Math.abs(k - 1) * Math.min(rx, ry) < reach;
+        }
+    }
+
+    const outline = shapeOutline(el) || [];
+    const edges = isClosedShape(el) ? outline.length : outline.length - 1;
+    for (let i = 0; i < edges; i++) {
+        if (el.distToSegment({ x, y }, outline[i], outline[(i + 1) % outline.length]) < reach) return true;
+    }
+    return false;
+}
+
+function insideShape(el, x, y) {
+    switch (el.type) {
+        case 'circle':
+            return Math.hypot(x - el.x, y - el.y) <= Math.hypot(el.endX - el.x, el.endY - el.y);
+        case 'ellipse': {
+            const b = el.getBounds();
+            return b.w > 0 && b.h > 0 && Math.hypot((x - b.x - b.w / 2) / (b.w / 2), (y - b.y - b.h / 2) / (b.h / 2)) <= 1;
+        }
+        case 'rect': {
+            const b = el.getBounds();
+            return x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h;
+        }
+    }
+    return pointInOutline(shapeOutline(el) || [], x, y);
+}
+
+// Even-odd rule, so a self-crossing polygon has holes like it does on screen
+function pointInOutline(outline, x, y) {
+    let inside = false;
+    for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+        const a = outline[i], b = outline[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHAPES,
+        isClosedShape,
+        isBoxShape,
+        shapeOutline,
+        traceShape,
+        shapeStyleKeys,
+        dashPattern,
+        shapeHit,
+        insideShape,
+        pointInOutline
+    };
+}
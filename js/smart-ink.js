@@ -0,0 +1,147 @@
+/**
+ * Smart Ink - Rough Brush Strokes Become Clean Shapes
+ * Architecture: SmartInk (between WhiteboardApp.handleEnd and StateManager), using js/recognizer.js
+ *
+ * While it is on, every finished brush stroke is classified. A confident match is
+ * added as the clean element instead of the ink, and a notice offers to keep the
+ * original stroke. The on/off setting and the confidence threshold are kept in
+ * localStorage.
+ */
+
+const SMART_INK = {
+    STORAGE_KEY: 'whiteboard:smart-ink', // { enabled, threshold }
+    NOTICE_MS: 6000,
+    NAMES: { line: 'line', arrow: 'arrow', circle: 'circle', ellipse: 'ellipse', rect: 'rectangle', triangle: 'triangle' },
+};
+
+class SmartInk {
+    constructor(app) {
+        this.app = app;
+        const saved = this.load();
+        this.enabled = saved.enabled === true;
+        this.threshold = typeof saved.threshold === 'number' ? saved.threshold : RECOGNIZER.THRESHOLD;
+        this.last = null; // { shapeId, stroke } of the conversion the notice is about
+        this.noticeTimer = null;
+
+        this.ui = {
+            toggle: document.querySelector("#smart-ink-btn"),
+            threshold: document.querySelector("#smart-ink-threshold"),
+            notice: document.querySelector("#ink-notice"),
+            noticeText: document.querySelector("#ink-notice-text"),
+            keep: document.querySelector("#ink-keep-btn")
+        };
+        this.ui.toggle.addEventListener("click", () => this.setEnabled(!this.enabled));
+        this.ui.threshold.value = Math.round(this.threshold * 100);
+        this.ui.threshold.addEventListener("input", () => {
+            this.threshold = this.ui.threshold.value / 100;
+            this.save();
+            this.renderControls();
+        });
+        this.ui.keep.addEventListener("click", () => this.keepOriginal());
+        this.renderControls();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(SMART_INK.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Smart Ink: ignoring unreadable settings', err);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(SMART_INK.STORAGE_KEY, JSON.stringify({ enabled: this.enabled, threshold: this.threshold }));
+    }
+
+    setEnabled(on) {
+        this.enabled = on;
+        this.save();
+        this.renderControls();
+    }
+
+    // The toggle shows with the brush; the threshold too while smart ink is on
+    renderControls() {
+        const { toggle, threshold } = this.ui;
+        const brush = this.app.activeTool === 'brush';
+        toggle.style.display = brush ? '' : 'none';
+        toggle.classList.toggle("active", this.enabled);
+        toggle.title = `Smart Ink: ${this.enabled ? 'on' : 'off'} (turns rough shapes into clean ones)`;
+        threshold.style.display = brush && this.enabled ? '' : 'none';
+        threshold.title = `Smart Ink confidence: ${Math.round(this.threshold * 100)}%`;
+    }
+
+    // --- CONVERSION ---
+    // Add a finished stroke to the board: a brush stroke that looks like a shape becomes that shape
+    commit(stroke) {
+        const shape = this.enabled && stroke.type === 'brush' ? recognizeStroke(stroke.points, this.threshold) : null;
+        if (!shape) {
+            this.app.state.addElement(stroke);
+            return;
+        }
+        const el = this.toElement(shape, stroke);
+        this.app.state.addElement(el);
+        this.showNotice(shape, el, stroke);
+    }
+
+    toElement(shape, stroke) {
+        const style = { color: stroke.color, size: stroke.size, alpha: stroke.alpha };
+        switch (shape.kind) {
+            case 'line':
+                return new Element('line', { ...style, x: shape.x1, y: shape.y1, endX: shape.x2, endY: shape.y2 });
+            case 'arrow': { // Attaches to the shapes it was drawn between (see js/connectors.js)
+                const start = this.app.state.getBindTarget(shape.x1, shape.y1);
+                const end = this.app.state.getBindTarget(shape.x2, shape.y2, start ? start.id : null);
+                return new Element('arrow', {
+                    ...style,
+                    x: shape.x1, y: shape.y1, endX: shape.x2, endY: shape.y2,
+                    arrowEnd: 'arrow',
+                    startBinding: start ? { id: start.id } : null,
+                    endBinding: end ? { id: end.id } : null
+                });
+            }
+            case 'circle':
+                return new Element('circle', { ...style, x: shape.cx, y: shape.cy, endX: shape.cx + shape.r, endY: shape.cy });
+            case 'ellipse':
+            case 'rect':
+                return new Element(shape.kind, {
+                    ...style,
+                    x: shape.cx - shape.w / 2, y: shape.cy - shape.h / 2, w: shape.w, h: shape.h,
+                    rotation: shape.rotation
+                });
+            case 'triangle':
+                return new Element('polygon', { ...style, points: shape.points });
+        }
+        return stroke;
+    }
+
+    // --- KEEP ORIGINAL ---
+    showNotice(shape, el, stroke) {
+        this.last = { shapeId: el.id, stroke };
+        this.ui.noticeText.textContent = `Smart Ink: ${SMART_INK.NAMES[shape.kind]} (${Math.round(shape.confidence * 100)}% sure)`;
+        this.ui.notice.hidden = false;
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => this.hideNotice(), SMART_INK.NOTICE_MS);
+    }
+
+    hideNotice() {
+        clearTimeout(this.noticeTimer);
+        this.ui.notice.hidden = true;
+        this.last = null;
+    }
+
+    // Swap the clean shape back for the ink it came from, as one undo step
+    keepOriginal() {
+        const last = this.last;
+        this.hideNotice();
+        const state = this.app.state;
+        const shape = last && state.getElement(last.shapeId);
+        if (!shape) return; // Undone or deleted since
+        state.beginBatch();
+        state.deleteElement(shape);
+        last.stroke.layer = shape.layer; // Same place in the stack
+        last.stroke.z = shape.z;
+        state.addElement(last.stroke);
+        state.endBatch();
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * Snapping - Snap to Grid & Smart Alignment Guides
+ * Architecture: pure box helpers (snapBox) + Snapper (settings, drag state, guides for the overlay)
+ *
+ * With grid snapping on, shape points, new sticky notes and images land on the
+ * board's grid (its gridSize, see js/themes.js), and a dragged selection moves its
+ * top-left corner from grid point to grid point. Smart guides line the dragged
+ * selection up with the edges and centers of the elements in view, or space it
+ * evenly between them, and show the lines and gaps they snapped to. Holding Alt
+ * turns all snapping off for the moment. Both settings are kept in localStorage.
+ */
+
+// --- 1. CONFIGURATION ---
+const SNAP = {
+    STORAGE_KEY: 'whiteboard:snapping', // { grid, guides }
+    DISTANCE: 6, // Screen px: how close an edge must come to be pulled in
+    COLOR: '#ff4f9a',
+    TICK: 4, // Screen px: end marks of the equal spacing markers
+    EPSILON: 0.01, // World units: stops this close are the same line
+};
+
+// --- 2. GEOMETRY HELPERS ---
+// Boxes are { x, y, w, h } in world units; `axis` is 'x' or 'y'
+const AXES = { x: { start: 'x', size: 'w', cross: 'y' }, y: { start: 'y', size: 'h', cross: 'x' } };
+
+function boxStart(b, axis) {
+    return b[AXES[axis].start];
+}
+
+function boxEnd(b, axis) {
+    return b[AXES[axis].start] + b[AXES[axis].size];
+}
+
+// Where a box can line up: start edge, center, end edge
+function boxStops(b, axis) {
+    const start = boxStart(b, axis), size = b[AXES[axis].size];
+    return [start, start + size / 2, start + size];
+}
+
+function shiftBox(b, dx, dy) {
+    return { x: b.x + dx, y: b.y + dy, w: b.w, h: b.h };
+}
+
+function overlapsOn(a, b, axis) {
+    return boxStart(a, axis) < boxEnd(b, axis) && boxStart(b, axis) < boxEnd(a, axis);
+}
+
+// Smallest shift (within reach) that puts a stop of `box` on a stop of another box
+function findAlignment(box, others, axis, reach) {
+    const own = boxStops(box, axis);
+    let best = null;
+    others.forEach(other => boxStops(other, axis).forEach(stop => own.forEach(value => {
+        const shift = stop - value;
+        if (Math.abs(shift) <= reach && (!best || Math.abs(shift) < Math.abs(best.shift))) best = { shift };
+    })));
+    return best;
+}
+
+// Smallest shift (within reach) that makes the gap to a neighbour in the same row
+// (or column) equal another gap: between two neighbours, or next to a pair.
+// Returns { shift, gaps: [[from, to], ...] } with the gaps along `axis`.
+function findSpacing(box, others, axis, reach) {
+    const cross = AXES[axis].cross;
+    const size = box[AXES[axis].size];
+    const lane = others.filter(other => overlapsOn(other, box, cross)).sort((a, b) => boxStart(a, axis) - boxStart(b, axis));
+    const candidates = [];
+
+    for (let i = 0; i < lane.length - 1; i++) {
+        const a = lane[i], b = lane[i + 1];
+        const gap = boxStart(b, axis) - boxEnd(a, axis);
+        if (gap <= 0) continue;
+        const after = boxEnd(b, axis) + gap; // a, b, box
+        candidates.push({ start: after, gaps: [[boxEnd(a, axis), boxStart(b, axis)], [boxEnd(b, axis), after]] });
+        const before = boxStart(a, axis) - gap - size; // box, a, b
+        candidates.push({ start: before, gaps: [[before + size, boxStart(a, axis)], [boxEnd(a, axis), boxStart(b, axis)]] });
+    }
+
+    // Centered between the nearest neighbours on either side
+    const center = boxStart(box, axis) + size / 2;
+    const left = lane.filter(o => boxEnd(o, axis) <= center).sort((a, b) => boxEnd(b, axis) - boxEnd(a, axis))[0];
+    const right = lane.filter(o => boxStart(o, axis) >= center).sort((a, b) => boxStart(a, axis) - boxStart(b, axis))[0];
+    if (left && right && boxStart(right, axis) - boxEnd(left, axis) > size) {
+        const start = (boxEnd(left, axis) + boxStart(right, axis) - size) / 2;
+        candidates.push({ start, gaps: [[boxEnd(left, axis), start], [start + size, boxStart(right, axis)]] });
+    }
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const shift = candidate.start - boxStart(box, axis);
+        if (Math.abs(shift) <= reach && (!best || Math.abs(shift) < Math.abs(best.shift))) best = { shift, gaps: candidate.gaps };
+    });
+    return best;
+}
+
+// Alignment lines through the edges/centers the box now shares with others
+function alignmentGuides(box, others, axis) {
+    const cross = AXES[axis].cross;
+    const guides = [];
+    boxStops(box, axis).forEach(value => {
+        const matches = others.filter(other => boxStops(other, axis).some(stop => Math.abs(stop - value) < SNAP.EPSILON));
+        if (matches.length === 0) return;
+        const all = [box, ...matches];
+        const from = Math.min(...all.map(b => boxStart(b, cross)));
+        const to = Math.max(...all.map(b => boxEnd(b, cross)));
+        guides.push(axis === 'x'
+            ? { type: 'line', x1: value, y1: from, x2: value, y2: to }
+            : { type: 'line', x1: from, y1: value, x2: to, y2: value });
+    });
+    return guides;
+}
+
+// Snap a box moved by (dx, dy). options: { others, reach, guides, gridSize }
+// (gridSize null = no grid). Returns the snapped { dx, dy } and the guides to show.
+function snapBox(box, dx, dy, options) {
+    const moved = { x: dx, y: dy };
+    const gaps = {};
+
+    ['x', 'y'].forEach(axis => {
+        const current = shiftBox(box, moved.x, moved.y);
+        let best = null;
+        if (options.guides) {
+            const align = findAlignment(current, options.others, axis, options.reach);
+            const spacing = findSpacing(current, options.others, axis, options.reach);
+            best = [align, spacing].filter(Boolean).sort((a, b) => Math.abs(a.shift) - Math.abs(b.shift))[0] || null;
+        }
+        if (best) {
+            moved[axis] += best.shift;
+            if (best.gaps) gaps[axis] = best.gaps;
+        } else if (options.gridSize) {
+            const start = boxStart(current, axis);
+            moved[axis] += Math.round(start / options.gridSize) * options.gridSize - start;
+        }
+    });
+
+    const result = shiftBox(box, moved.x, moved.y);
+    const guides = [];
+    if (options.guides) {
+        ['x', 'y'].forEach(axis => {
+            guides.push(...alignmentGuides(result, options.others, axis));
+            const cross = AXES[axis].cross;
+            const at = boxStart(result, cross) + result[AXES[cross].size] / 2; // Markers run through the middle of the box
+            (gaps[axis] || []).forEach(([from, to]) => guides.push(axis === 'x'
+                ? { type: 'gap', x1: from, y1: at, x2: to, y2: at }
+                : { type: 'gap', x1: at, y1: from, x2: at, y2: to }));
+        });
+    }
+    return { dx: moved.x, dy: moved.y, guides };
+}
+
+// --- 3. SNAPPER ---
+class Snapper {
+    constructor(app) {
+        this.app = app;
+        const saved = this.load();
+        this.grid = saved.grid === true;
+        this.guidesEnabled = saved.guides !== false;
+        this.drag = null; // { box, others } while a selection is dragged
+        this.guides = []; // What the last snap lined up with (world units)
+
+        this.ui = {
+            grid: document.querySelector("#snap-grid-btn"),
+            guides: document.querySelector("#snap-guides-btn")
+        };
+        this.ui.grid.addEventListener("click", () => this.toggleGrid());
+        this.ui.guides.addEventListener("click", () => this.toggleGuides());
+        this.renderControls();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(SNAP.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Snapping: ignoring unreadable settings', err);
+            return {};
+        }
+    }
+
+    save() {
+        localStorage.setItem(SNAP.STORAGE_KEY, JSON.stringify({ grid: this.grid, guides: this.guidesEnabled }));
+    }
+
+    toggleGrid() {
+        this.grid = !this.grid;
+        this.save();
+        this.renderControls();
+    }
+
+    toggleGuides() {
+        this.guidesEnabled = !this.guidesEnabled;
+        this.save();
+        this.renderControls();
+    }
+
+    renderControls() {
+        this.ui.grid.classList.toggle("active", this.grid);
+        this.ui.guides.classList.toggle("active", this.guidesEnabled);
+    }
+
+    // Alt held: no snapping for this pointer event
+    isSuspended(e) {
+        return !!(e && e.altKey);
+    }
+
+    // A point placed on the board (shape corners, new notes and images)
+    point(x, y, e) {
+        if (!this.grid || this.isSuspended(e)) return { x, y };
+        const size = this.app.state.background.gridSize;
+        return { x: Math.round(x / size) * size, y: Math.round(y / size) * size };
+    }
+
+    // --- DRAGGING ---
+    // The elements in view are the guide targets for the whole drag
+    beginMove(elements) {
+        const moving = new Set(elements.map(el => el.id));
+        const others = this.guidesEnabled
+            ? this.app.state.getElementsInRect(this.app.renderer.getViewRect())
+                .filter(el => !moving.has(el.id) && el.type !== 'arrow') // Arrows follow their shapes
+                .map(el => el.getWorldBounds())
+            : [];
+        this.drag = { box: getContentBounds(elements), others };
+        this.guides = [];
+    }
+
+    // Total drag offset -> snapped offset
+    move(dx, dy, e) {
+        this.guides = [];
+        if (!this.drag || !this.drag.box || this.isSuspended(e) || !(this.grid || this.guidesEnabled)) return { dx, dy };
+        const result = snapBox(this.drag.box, dx, dy, {
+            others: this.drag.others,
+            reach: SNAP.DISTANCE / this.app.renderer.scale,
+            guides: this.guidesEnabled,
+            gridSize: this.grid ? this.app.state.background.gridSize : null
+        });
+        this.guides = result.guides;
+        return { dx: result.dx, dy: result.dy };
+    }
+
+    endMove() {
+        this.drag = null;
+        this.guides = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SNAP, snapBox, findAlignment, findSpacing, alignmentGuides };
+}
@@ -0,0 +1,128 @@
+/**
+ * Spatial Index - Grid Buckets for Culling & Hit Testing
+ * Architecture: SpatialIndex (uniform grid of world-space cells -> element sets)
+ *
+ * Each entry caches the element's bounds (padded by its hit margin), so
+ * queries never recompute geometry. Callers must call update() after
+ * changing an element's geometry; StateManager does this for every op.
+ */
+
+class SpatialIndex {
+    constructor(cellSize = 256) {
+        this.cellSize = cellSize;
+        this.cells = new Map();   // "cx,cy" -> Set<Element>
+        this.entries = new Map(); // id -> { el, bounds, keys }
+        this.large = new Set();   // Elements too big to bucket; always candidates
+        this.maxCells = 1024;
+    }
+
+    // Padded world bounds: anything isHit() can return true for lies inside
+    static boundsOf(el) {
+        const b = el.getWorldBounds();
+        const pad = el.size + 10;
+        return { x: b.x - pad, y: b.y - pad, w: b.w + pad * 2, h: b.h + pad * 2 };
+    }
+
+    cellRange(b) {
+        const s = this.cellSize;
+        return {
+            x0: Math.floor(b.x / s),
+            y0: Math.floor(b.y / s),
+            x1: Math.floor((b.x + b.w) / s),
+            y1: Math.floor((b.y + b.h) / s)
+        };
+    }
+
+    insert(el) {
+        if (this.entries.has(el.id)) this.remove(el);
+
+        const bounds = SpatialIndex.boundsOf(el);
+        const r = this.cellRange(bounds);
+        const entry = { el, bounds, keys: [] };
+        this.entries.set(el.id, entry);
+
+        if ((r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1) > this.maxCells) {
+            this.large.add(el);
+            return;
+        }
+
+        for (let cx = r.x0; cx <= r.x1; cx++) {
+            for (let cy = r.y0; cy <= r.y1; cy++) {
+                const key = `${cx},${cy}`;
+                if (!this.cells.has(key)) this.cells.set(key, new Set());
+                this.cells.get(key).add(el);
+                entry.keys.push(key);
+            }
+        }
+    }
+
+    // Accepts the element or anything with its id
+    remove(el) {
+        const entry = this.entries.get(el.id);
+        if (!entry) return;
+
+        entry.keys.forEach(key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.delete(entry.el);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        this.large.delete(entry.el);
+        this.entries.delete(el.id);
+    }
+
+    update(el) {
+        this.insert(el);
+    }
+
+    rebuild(elements) {
+        this.clear();
+        elements.forEach(el => this.insert(el));
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.large.clear();
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.el : null;
+    }
+
+    getBounds(el) {
+        const entry = this.entries.get(el.id);
+        return entry ? entry.bounds : SpatialIndex.boundsOf(el);
+    }
+
+    // Elements whose cached bounds intersect `rect` (unordered)
+    query(rect) {
+        const found = new Set();
+        const consider = (el) => {
+            if (found.has(el)) return;
+            if (rectsIntersect(this.entries.get(el.id).bounds, rect)) found.add(el);
+        };
+
+        const r = this.cellRange(rect);
+        const cellCount = (r.x1 - r.x0 + 1) * (r.y1 - r.y0 + 1);
+        if (cellCount > this.cells.size) {
+            // Query covers more cells than exist: walking the occupied ones is cheaper
+            this.entries.forEach(entry => consider(entry.el));
+            return found;
+        }
+
+        for (let cx = r.x0; cx <= r.x1; cx++) {
+            for (let cy = r.y0; cy <= r.y1; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (cell) cell.forEach(consider);
+            }
+        }
+        this.large.forEach(consider);
+        return found;
+    }
+
+    queryPoint(x, y) {
+        return this.query({ x, y, w: 0, h: 0 });
+    }
+}
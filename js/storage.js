@@ -0,0 +1,237 @@
+/**
+ * Local Storage - Boards, Versions & Assets in IndexedDB
+ * Architecture: BoardStore (promise wrapper around one IndexedDB database)
+ *
+ * Stores:
+ *   boards    { id, name, createdAt, updatedAt }       board list (small, read often)
+ *   documents { id, data }                             board contents, keyed by board id
+ *   versions  { id, boardId, name, auto, createdAt, data }
+ *   assets    { id, blob }                             images, shared by every board/version
+ * Image elements are stored with an `assetId` instead of their base64 `dataURL`,
+ * so an image costs its size once, however many saves and versions refer to it.
+ */
+
+const STORAGE = {
+    DB_NAME: 'whiteboard',
+    DB_VERSION: 1,
+    LAST_BOARD_KEY: 'whiteboard:last-board',
+};
+
+// Resolve an IDBRequest (or a transaction's completion) as a promise
+function idbRequest(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function idbDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// Content hash used as the asset id, so identical images are stored once
+function hashString(str) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < str.length; i++) {
+        const c = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 16777619);
+        h2 = Math.imul(h2 + c, 2246822519);
+    }
+    return `${(h1 >>> 0).toString(36)}${(h2 >>> 0).toString(36)}-${str.length.toString(36)}`;
+}
+
+class BoardStore {
+    constructor() {
+        this.db = null;
+        this.assetIds = new Map(); // dataURL -> asset id, so unchanged images aren't re-hashed
+        this.writes = Promise.resolve(); // Saves and asset collection, one at a time (see enqueue)
+    }
+
+    // A save stores its images before the document that refers to them; collecting
+    // assets in between would delete them. Everything that does either runs through here.
+    enqueue(fn) {
+        const run = this.writes.then(fn);
+        this.writes = run.catch(() => {}); // A failed write doesn't hold up the next one
+        return run;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        const req = indexedDB.open(STORAGE.DB_NAME, STORAGE.DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            db.createObjectStore('boards', { keyPath: 'id' });
+            db.createObjectStore('documents', { keyPath: 'id' });
+            db.createObjectStore('assets', { keyPath: 'id' });
+            const versions = db.createObjectStore('versions', { keyPath: 'id', autoIncrement: true });
+            versions.createIndex('boardId', 'boardId');
+        };
+        this.db = await idbRequest(req);
+        return this.db;
+    }
+
+    // Run fn(tx) and wait for the transaction to commit; resolves to what fn returned
+    async tx(stores, mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(stores, mode);
+        const result = fn(tx);
+        await idbDone(tx);
+        return result;
+    }
+
+    // --- BOARDS ---
+    async listBoards() {
+        const db = await this.open();
+        const boards = await idbRequest(db.transaction('boards').objectStore('boards').getAll());
+        return boards.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async getBoard(id) {
+        const db = await this.open();
+        return idbRequest(db.transaction('boards').objectStore('boards').get(id));
+    }
+
+    async loadDocument(id) {
+        const db = await this.open();
+        const doc = await idbRequest(db.transaction('documents').objectStore('documents').get(id));
+        return doc ? this.inflate(doc.data) : null;
+    }
+
+    // Writes the board's meta and contents together
+    saveBoard(meta, data) {
+        return this.enqueue(async () => {
+            const stored = await this.deflate(data);
+            await this.tx(['boards', 'documents'], 'readwrite', tx => {
+                tx.objectStore('boards').put({ ...meta, updatedAt: Date.now() });
+                tx.objectStore('documents').put({ id: meta.id, data: stored });
+            });
+        });
+    }
+
+    async renameBoard(id, name) {
+        const meta = await this.getBoard(id);
+        if (!meta) return;
+        await this.tx(['boards'], 'readwrite', tx => tx.objectStore('boards').put({ ...meta, name }));
+    }
+
+    // Drops the board, its contents and all of its versions
+    async deleteBoard(id) {
+        const versions = await this.listVersions(id);
+        await this.tx(['boards', 'documents', 'versions'], 'readwrite', tx => {
+            tx.objectStore('boards').delete(id);
+            tx.objectStore('documents').delete(id);
+            versions.forEach(v => tx.objectStore('versions').delete(v.id));
+        });
+        await this.collectAssets();
+    }
+
+    // --- VERSIONS ---
+    addVersion(boardId, name, data, auto = false) {
+        return this.enqueue(async () => {
+            const stored = await this.deflate(data);
+            const version = { boardId, name, auto, createdAt: Date.now(), data: stored };
+            return this.tx(['versions'], 'readwrite', tx => idbRequest(tx.objectStore('versions').add(version)));
+        });
+    }
+
+    // Newest first
+    async listVersions(boardId) {
+        const db = await this.open();
+        const index = db.transaction('versions').objectStore('versions').index('boardId');
+        const versions = await idbRequest(index.getAll(boardId));
+        return versions.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async loadVersion(id) {
+        const db = await this.open();
+        const version = await idbRequest(db.transaction('versions').objectStore('versions').get(id));
+        return version ? this.inflate(version.data) : null;
+    }
+
+    async deleteVersions(ids) {
+        if (ids.length === 0) return;
+        await this.tx(['versions'], 'readwrite', tx => ids.forEach(id => tx.objectStore('versions').delete(id)));
+        await this.collectAssets();
+    }
+
+    // --- ASSETS ---
+    // Replace image data URLs with asset ids (storing new blobs as needed)
+    async deflate(data) {
+        const elements = await Promise.all(data.elements.map(async el => {
+            const item = typeof el.toJSON === 'function' ? el.toJSON() : { ...el };
+            if (item.type !== 'image' || !item.dataURL) return item;
+            const { dataURL, ...rest } = item;
+            return { ...rest, assetId: await this.putAsset(dataURL) };
+        }));
+        return { ...data, elements };
+    }
+
+    // Put the data URLs back (Renderer and exporters work from those)
+    async inflate(data) {
+        const elements = await Promise.all(data.elements.map(async item => {
+            if (!item.assetId) return item;
+            const { assetId, ...rest } = item;
+            return { ...rest, dataURL: await this.getAssetURL(assetId) };
+        }));
+        return { ...data, elements };
+    }
+
+    async putAsset(dataURL) {
+        let id = this.assetIds.get(dataURL);
+        if (id) return id;
+
+        id = hashString(dataURL);
+        const db = await this.open();
+        const exists = await idbRequest(db.transaction('assets').objectStore('assets').count(id));
+        if (!exists) {
+            const blob = await (await fetch(dataURL)).blob();
+            await this.tx(['assets'], 'readwrite', tx => tx.objectStore('assets').put({ id, blob }));
+        }
+        this.assetIds.set(dataURL, id);
+        return id;
+    }
+
+    async getAssetURL(id) {
+        const db = await this.open();
+        const asset = await idbRequest(db.transaction('assets').objectStore('assets').get(id));
+        if (!asset) return null;
+        const dataURL = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(asset.blob);
+        });
+        this.assetIds.set(dataURL, id);
+        return dataURL;
+    }
+
+    // Delete blobs no board or version refers to any more, once the saves queued so far are stored
+    collectAssets() {
+        return this.enqueue(() => this.deleteUnusedAssets());
+    }
+
+    async deleteUnusedAssets() {
+        const db = await this.open();
+        const tx = db.transaction(['documents', 'versions', 'assets']);
+        const [docs, versions, assetIds] = await Promise.all([
+            idbRequest(tx.objectStore('documents').getAll()),
+            idbRequest(tx.objectStore('versions').getAll()),
+            idbRequest(tx.objectStore('assets').getAllKeys())
+        ]);
+
+        const used = new Set();
+        [...docs, ...versions].forEach(entry => {
+            entry.data.elements.forEach(el => { if (el.assetId) used.add(el.assetId); });
+        });
+        const unused = assetIds.filter(id => !used.has(id));
+        if (unused.length === 0) return;
+
+        await this.tx(['assets'], 'readwrite', tx => unused.forEach(id => tx.objectStore('assets').delete(id)));
+        this.assetIds.forEach((id, url) => { if (!used.has(id)) this.assetIds.delete(url); });
+    }
+}
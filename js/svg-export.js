@@ -0,0 +1,249 @@
+/**
+ * SVG Export - Vector Output of the Board
+ * Architecture: SvgExporter (walks elements, emits one SVG node per element)
+ *
+ * The document covers the content bounds, not the viewport, so nothing on the
+ * infinite canvas is cut off. No DOM access: text is laid out by js/text.js,
+ * with the same measurer (and so the same line breaks) as the canvas. Frames come
+ * first, and what is in a frame is clipped to it (see js/frames.js).
+ */
+
+class SvgExporter {
+    constructor(options = {}) {
+        this.padding = options.padding === undefined ? 20 : options.padding;
+        this.boardColor = backgroundColor(normalizeBackground(options.board)); // See js/themes.js
+        this.background = options.background === undefined ? this.boardColor : options.background; // null = transparent
+        this.layers = options.layers || []; // Layer opacity (see js/layers.js)
+        this.frames = options.frames || null; // Frame id -> frame for clipping (default: the frames exported)
+        this.frameChrome = options.frameChrome !== false; // Frame borders and names
+    }
+
+    // Returns the SVG document as a string, covering `bounds` (default: the elements' content bounds)
+    render(elements, bounds = getContentBounds(elements)) {
+        bounds = bounds || { x: 0, y: 0, w: 0, h: 0 };
+        const x = bounds.x - this.padding;
+        const y = bounds.y - this.padding;
+        const w = bounds.w + this.padding * 2;
+        const h = bounds.h + this.padding * 2;
+
+        // Like Renderer.draw: frames underneath, their contents clipped to them
+        const frames = this.frames || new Map(elements.filter(el => el.type === 'frame').map(el => [el.id, el]));
+        const clips = new Map(); // Frame id -> clipPath id
+        const body = [];
+        [...elements.filter(el => el.type === 'frame'), ...elements.filter(el => el.type !== 'frame')].forEach(el => {
+            const node = this.renderElement(el);
+            if (!node) return;
+            const frame = el.frameId ? frames.get(el.frameId) : null;
+            if (!frame) {
+                body.push(node);
+                return;
+            }
+            if (!clips.has(frame.id)) clips.set(frame.id, `frame-clip-${clips.size + 1}`);
+            body.push(`<g clip-path="url(#${clips.get(frame.id)})">${node}</g>`);
+        });
+        if (clips.size > 0) {
+            const paths = Array.from(clips, ([id, clipId]) => {
+                const b = frames.get(id).getBounds();
+                return `<clipPath id="${clipId}"><rect x="${svgNum(b.x)}" y="${svgNum(b.y)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}"/></clipPath>`;
+            });
+            body.unshift(`<defs>${paths.join('')}</defs>`);
+        }
+        if (this.background) {
+            body.unshift(`<rect x="${svgNum(x)}" y="${svgNum(y)}" width="${svgNum(w)}" height="${svgNum(h)}" fill="${escapeXml(this.background)}"/>`);
+        }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNum(w)}" height="${svgNum(h)}" viewBox="${svgNum(x)} ${svgNum(y)} ${svgNum(w)} ${svgNum(h)}">`,
+            ...body.map(line => `  ${line}`),
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    renderElement(el) {
+        const attrs = [];
+        const opacity = getElementOpacity(el, this.layers);
+        if (opacity !== 1) attrs.push(`opacity="${svgNum(opacity)}"`);
+        if (el.rotation) {
+            const c = el.getCenter();
+            attrs.push(`transform="rotate(${svgNum(el.rotation * 180 / Math.PI)} ${svgNum(c.x)} ${svgNum(c.y)})"`);
+        }
+        const common = attrs.length ? ` ${attrs.join(' ')}` : '';
+        const outlineOf = color => `stroke="${escapeXml(color)}" stroke-width="${svgNum(el.size)}" stroke-linecap="round" stroke-linejoin="round"`;
+        const strokeOf = color => `fill="none" ${outlineOf(color)}`;
+        const dash = dashPattern(el);
+        const dashAttr = dash.length ? ` stroke-dasharray="${dash.map(svgNum).join(' ')}"` : '';
+        const ink = this.inkOf(el);
+        const stroke = strokeOf(ink) + dashAttr;
+        const paint = `${this.fillAttrs(el)} ${outlineOf(ink)}${dashAttr}`; // Filled shapes (see js/shapes.js)
+
+        switch (el.type) {
+            case 'brush':
+            case 'eraser':
+            case 'highlighter': {
+                if (el.points.length === 0) return null;
+                const color = el.type === 'eraser' ? this.boardColor : ink; // Legacy painted eraser
+                const path = new SvgPathBuilder(svgNum);
+                if (el.type !== 'eraser' && hasVariableWidth(el.points)) { // Same outline as on screen
+                    traceInkOutline(el.points, el.size, path);
+                    return `<path d="${path}" fill="${escapeXml(color)}"${common}/>`;
+                }
+                traceInkLine(el.points, path);
+                return `<path d="${path}" ${strokeOf(color)}${common}/>`;
+            }
+
+            case 'line':
+                return `<line x1="${svgNum(el.x)}" y1="${svgNum(el.y)}" x2="${svgNum(el.endX)}" y2="${svgNum(el.endY)}" ${stroke}${common}/>`;
+
+            case 'rect': {
+                const b = el.getBounds();
+                const r = Math.min(el.radius, b.w / 2, b.h / 2);
+                const corners = r > 0 ? ` rx="${svgNum(r)}"` : '';
+                return `<rect x="${svgNum(b.x)}" y="${svgNum(b.y)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}"${corners} ${paint}${common}/>`;
+            }
+
+            case 'circle': {
+                const r = Math.hypot(el.endX - el.x, el.endY - el.y);
+                return `<circle cx="${svgNum(el.x)}" cy="${svgNum(el.y)}" r="${svgNum(r)}" ${paint}${common}/>`;
+            }
+
+            case 'ellipse': {
+                const b = el.getBounds();
+                return `<ellipse cx="${svgNum(b.x + b.w / 2)}" cy="${svgNum(b.y + b.h / 2)}" rx="${svgNum(b.w / 2)}" ry="${svgNum(b.h / 2)}" ${paint}${common}/>`;
+            }
+
+            case 'triangle':
+            case 'diamond':
+            case 'star':
+            case 'callout':
+            case 'polygon':
+            case 'polyline': {
+                const outline = shapeOutline(el);
+                if (outline.length === 0) return null;
+                const points = outline.map(p => `${svgNum(p.x)},${svgNum(p.y)}`).join(' ');
+                return isClosedShape(el)
+                    ? `<polygon points="${points}" ${paint}${common}/>`
+                    : `<polyline points="${points}" ${stroke}${common}/>`;
+            }
+
+            case 'text': {
+                const layout = layoutText(el);
+                return this.renderTextLines(el, layout, el.x, el.y, layout.width, ink, common);
+            }
+
+            case 'arrow':
+                return this.renderConnector(el, common, strokeOf(ink), dashAttr);
+
+            case 'sticky':
+                return this.renderSticky(el, common);
+
+            case 'frame':
+                return this.frameChrome ? this.renderFrame(el) : null;
+
+            case 'image': {
+                if (!el.dataURL) return null;
+                const b = el.getBounds();
+                return `<image x="${svgNum(b.x)}" y="${svgNum(b.y)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}" ` +
+                    `preserveAspectRatio="none" href="${escapeXml(el.dataURL)}"${common}/>`;
+            }
+        }
+        return null;
+    }
+
+    // Same as Renderer.inkOf
+    inkOf(el) {
+        if (el.type === 'highlighter') return el.color;
+        return readableColor(el.color, this.background || this.boardColor);
+    }
+
+    // fill / fill-opacity of a shape
+    fillAttrs(el) {
+        if (!el.fill) return 'fill="none"';
+        return `fill="${escapeXml(el.fill)}"` +
+            (el.fillAlpha !== 1 ? ` fill-opacity="${svgNum(el.fillAlpha)}"` : '') +
+            (el.type === 'polygon' ? ' fill-rule="evenodd"' : ''); // Like the canvas, for self-crossing outlines
+    }
+
+    // Same as Renderer.drawConnector: line (maybe dashed), solid heads, then the label over a patch of background
+    renderConnector(el, common, stroke, dashAttr = '') {
+        const route = getConnectorRoute(el);
+        const line = new SvgPathBuilder(svgNum);
+        traceConnector(route, line);
+        const parts = [`<path d="${line}" ${stroke}${dashAttr}/>`];
+
+        ['start', 'end'].forEach(which => {
+            const head = new SvgPathBuilder(svgNum);
+            const paint = traceArrowhead(el, route, which, head);
+            if (paint === 'fill') parts.push(`<path d="${head}" fill="${escapeXml(this.inkOf(el))}"/>`);
+            else if (paint === 'stroke') parts.push(`<path d="${head}" ${stroke}/>`);
+        });
+
+        if (el.content) {
+            const fontSize = labelFontSize(el);
+            const mid = routeMidpoint(route);
+            if (this.background) {
+                const b = getLabelBox(el, route);
+                parts.push(`<rect x="${svgNum(b.x)}" y="${svgNum(b.y)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}" fill="${escapeXml(this.background)}"/>`);
+            }
+            parts.push(`<text x="${svgNum(mid.x)}" y="${svgNum(mid.y)}" ${this.fontAttrs(el, fontSize)} ` +
+                `text-anchor="middle" dominant-baseline="central" fill="${escapeXml(this.inkOf(el))}" xml:space="preserve">${escapeXml(el.content)}</text>`);
+        }
+        return `<g${common}>${parts.join('')}</g>`;
+    }
+
+    // Same as Renderer.drawFrame (the border is 1 unit wide, as at 100% zoom)
+    renderFrame(el) {
+        const b = el.getBounds();
+        const tag = frameLabelBox(el);
+        const colors = frameColors(this.background || this.boardColor);
+        const pad = FRAMES.LABEL_PADDING;
+        return `<g>` +
+            `<rect x="${svgNum(b.x)}" y="${svgNum(b.y)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}" fill="none" stroke="${colors.border}" stroke-width="1"/>` +
+            `<rect x="${svgNum(tag.x)}" y="${svgNum(tag.y)}" width="${svgNum(tag.w)}" height="${svgNum(tag.h)}" fill="${colors.tag}"/>` +
+            `<text x="${svgNum(tag.x + pad)}" y="${svgNum(tag.y + pad)}" ${this.fontAttrs(el, FRAMES.LABEL_SIZE)} dominant-baseline="text-before-edge" ` +
+            `fill="${colors.text}" xml:space="preserve">${escapeXml(frameName(el))}</text>` +
+            `</g>`;
+    }
+
+    // Same layout as Renderer.drawSticky
+    renderSticky(el, common) {
+        const { TEXT_COLOR, PADDING } = CONFIG.STICKY;
+        const b = el.getBounds();
+        return `<g${common}>` +
+            `<rect x="${svgNum(b.x + 4)}" y="${svgNum(b.y + 4)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}" fill="rgba(0,0,0,0.2)"/>` +
+            `<rect x="${svgNum(b.x)}" y="${svgNum(b.y)}" width="${svgNum(b.w)}" height="${svgNum(b.h)}" fill="${escapeXml(el.color || '#ffea00')}"/>` +
+            this.renderTextLines(el, layoutText(el), b.x + PADDING, b.y + PADDING, b.w - PADDING * 2, TEXT_COLOR, '') +
+            `</g>`;
+    }
+
+    // Same as Renderer.drawTextLines: one tspan per line, aligned inside a box `width` wide
+    renderTextLines(el, layout, x, y, width, color, common) {
+        const anchor = { center: 'middle', right: 'end' }[el.textAlign] || 'start';
+        const lineX = svgNum(alignedX(el, x, width));
+        const tspans = layout.lines.map((line, i) =>
+            `<tspan x="${lineX}" y="${svgNum(y + i * layout.lineHeight)}">${escapeXml(line)}</tspan>`
+        ).join('');
+        return `<text ${this.fontAttrs(el, layout.fontSize)} text-anchor="${anchor}" dominant-baseline="text-before-edge" ` +
+            `fill="${escapeXml(color)}" xml:space="preserve"${common}>${tspans}</text>`;
+    }
+
+    fontAttrs(el, fontSize) {
+        const attrs = [`font-family="${escapeXml(fontFamilyOf(el))}"`, `font-size="${svgNum(fontSize)}"`];
+        if (el.fontWeight === 'bold') attrs.push('font-weight="bold"');
+        if (el.fontStyle === 'italic') attrs.push('font-style="italic"');
+        return attrs.join(' ');
+    }
+}
+
+// Compact numbers (2 decimals is plenty for screen units)
+function svgNum(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
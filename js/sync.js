@@ -0,0 +1,404 @@
+/**
+ * Real-time Collaboration - Sync Layer
+ * Architecture: Replica (conflict resolution) + SyncClient (WebSocket transport)
+ *
+ * Shared between the browser and the Node relay (server/relay.js), so this file
+ * must not touch the DOM at load time.
+ */
+
+// --- 1. STAMPS ---
+// Lamport clock + client id. Every peer orders two stamps the same way,
+// which is what makes concurrent edits resolve identically everywhere.
+function compareStamps(a, b) {
+    if (!a && !b) return 0;
+    if (!a) return -1;
+    if (!b) return 1;
+    if (a.c !== b.c) return a.c - b.c;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -1 : 1;
+}
+
+const GEOMETRY_KEYS = ['x', 'y', 'endX', 'endY', 'points'];
+
+// Whether a wire op has the fields its type needs, so a malformed one from a peer
+// is dropped instead of breaking integrate()
+function isValidOp(op) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isId = value => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    if (!isObject(op) || !isObject(op.stamp) || typeof op.stamp.c !== 'number' || !isId(op.stamp.id)) return false;
+    switch (op.type) {
+        case 'add':
+            return isObject(op.element) && isId(op.element.id);
+        case 'delete':
+            return isId(op.id);
+        case 'move':
+        case 'update':
+            return isId(op.id) && isObject(op.props);
+        case 'clear':
+            return true;
+        case 'layers':
+            return Array.isArray(op.layers);
+        case 'background':
+            return isObject(op.background);
+    }
+    return false;
+}
+
+function pickGeometry(el) {
+    const props = {};
+    GEOMETRY_KEYS.forEach(key => {
+        if (el[key] === undefined) return;
+        props[key] = key === 'points' ? el.points.map(p => ({ ...p })) : el[key];
+    });
+    return props;
+}
+
+// --- 2. REPLICA ---
+// Decides whether an operation wins against what we already know.
+// - add/delete: last-writer-wins on the element's existence.
+// - move/update: last-writer-wins per property it carries (a move carries the new geometry).
+// - clear: removes everything stamped before it; older adds are rejected.
+// - layers / background: last-writer-wins on the whole layer list / board background.
+// Element order follows the first add stamp (kept through delete/re-add, e.g. undo)
+// so z-order converges too.
+class Replica {
+    constructor(clientId, options = {}) {
+        this.clientId = clientId;
+        this.clock = 0;
+        this.records = new Map(); // id -> { stamp, order, alive, props: { key: stamp } }
+        this.clearedAt = null;
+        this.layers = null; // { stamp, value }
+        this.background = null; // { stamp, value }
+        this.create = options.create || (data => ({ ...data }));
+    }
+
+    nextStamp() {
+        this.clock++;
+        return { c: this.clock, id: this.clientId };
+    }
+
+    observe(stamp) {
+        if (stamp && stamp.c > this.clock) this.clock = stamp.c;
+    }
+
+    // Stamp an operation that has already been applied locally.
+    local(op) {
+        op.stamp = this.nextStamp();
+        if (op.type === 'add') {
+            const rec = this.records.get(op.element.id);
+            op.order = rec ? rec.order : op.stamp;
+        }
+        this.record(op);
+        return op;
+    }
+
+    // Stamp again an op made before load(): above the loaded clock, so it wins like a new edit
+    restamp(op) {
+        op.stamp = this.nextStamp();
+        if (op.type === 'add') op.order = op.stamp; // Kept if the room already orders this element
+        return op;
+    }
+
+    record(op) {
+        const { stamp } = op;
+        switch (op.type) {
+            case 'add': {
+                const props = {};
+                Object.keys(op.element).forEach(key => { props[key] = stamp; });
+                const rec = this.records.get(op.element.id);
+                const order = (rec && rec.order) || op.order || stamp;
+                this.records.set(op.element.id, { stamp, order, alive: true, props });
+                break;
+            }
+            case 'delete': {
+                const rec = this.records.get(op.id);
+                this.records.set(op.id, { stamp, order: rec ? rec.order : stamp, alive: false, props: rec ? rec.props : {} });
+                break;
+            }
+            case 'move':
+            case 'update': {
+                const rec = this.records.get(op.id);
+                if (!rec) break;
+                Object.keys(op.props).forEach(key => { rec.props[key] = stamp; });
+                break;
+            }
+            case 'layers':
+                this.layers = { stamp, value: op.layers };
+                break;
+            case 'background':
+                this.background = { stamp, value: op.background };
+                break;
+            case 'clear':
+                this.clearedAt = stamp;
+                this.records.forEach(rec => {
+                    if (rec.alive && compareStamps(rec.stamp, stamp) < 0) {
+                        rec.alive = false;
+                        rec.stamp = stamp;
+                    }
+                });
+                break;
+        }
+    }
+
+    // Apply a remote operation to `elements` in place. Returns true if anything changed.
+    integrate(op, elements) {
+        const { stamp } = op;
+        this.observe(stamp);
+
+        switch (op.type) {
+            case 'add': {
+                const id = op.element.id;
+                const rec = this.records.get(id);
+                if (rec && compareStamps(stamp, rec.stamp) <= 0) return false;
+                if (compareStamps(stamp, this.clearedAt) < 0) return false;
+
+                const existing = elements.findIndex(el => el.id === id);
+                if (existing !== -1) elements.splice(existing, 1);
+                this.record(op);
+                elements.splice(this.insertIndex(elements, this.records.get(id).order), 0, this.create(op.element));
+                return true;
+            }
+
+            case 'delete': {
+                const rec = this.records.get(op.id);
+                if (rec && compareStamps(stamp, rec.stamp) <= 0) return false;
+                this.record(op);
+                const idx = elements.findIndex(el => el.id === op.id);
+                if (idx === -1) return false;
+                elements.splice(idx, 1);
+                return true;
+            }
+
+            case 'move':
+            case 'update': {
+                const rec = this.records.get(op.id);
+                if (!rec || !rec.alive) return false;
+                const el = elements.find(item => item.id === op.id);
+                if (!el) return false;
+
+                let changed = false;
+                Object.keys(op.props).forEach(key => {
+                    if (compareStamps(stamp, rec.props[key]) <= 0) return;
+                    rec.props[key] = stamp;
+                    const value = op.props[key];
+                    el[key] = value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+                    changed = true;
+                });
+                return changed;
+            }
+
+            case 'clear': {
+                if (compareStamps(stamp, this.clearedAt) <= 0) return false;
+                this.record(op);
+                const before = elements.length;
+                for (let i = elements.length - 1; i >= 0; i--) {
+                    const rec = this.records.get(elements[i].id);
+                    if (!rec || !rec.alive) elements.splice(i, 1);
+                }
+                return elements.length !== before;
+            }
+
+            case 'layers':
+                if (this.layers && compareStamps(stamp, this.layers.stamp) <= 0) return false;
+                this.record(op);
+                return true;
+
+            case 'background':
+                if (this.background && compareStamps(stamp, this.background.stamp) <= 0) return false;
+                this.record(op);
+                return true;
+        }
+        return false;
+    }
+
+    insertIndex(elements, order) {
+        let i = elements.length;
+        while (i > 0) {
+            const rec = this.records.get(elements[i - 1].id);
+            if (!rec || compareStamps(rec.order, order) < 0) break;
+            i--;
+        }
+        return i;
+    }
+
+    // --- SNAPSHOTS ---
+    snapshot(elements) {
+        return {
+            clock: this.clock,
+            clearedAt: this.clearedAt,
+            layers: this.layers,
+            background: this.background,
+            records: Array.from(this.records.entries()),
+            elements: elements.map(el => (typeof el.toJSON === 'function' ? el.toJSON() : el))
+        };
+    }
+
+    load(snapshot) {
+        this.observe({ c: snapshot.clock });
+        this.clearedAt = snapshot.clearedAt;
+        this.layers = snapshot.layers || null;
+        this.background = snapshot.background || null;
+        this.records = new Map(snapshot.records);
+        return snapshot.elements.map(data => this.create(data));
+    }
+}
+
+// --- 3. CLIENT ---
+// Connects a StateManager to a room on the relay server.
+// Local operations are stamped and sent; remote ones are integrated through the Replica.
+class SyncClient {
+    constructor(state, options) {
+        this.state = state;
+        this.url = options.url;
+        this.room = options.room;
+        this.clientId = options.clientId || Math.random().toString(36).slice(2, 10);
+        this.replica = new Replica(this.clientId, { create: options.create });
+        this.onStatus = options.onStatus || (() => { });
+        this.handlers = {};
+
+        this.socket = null;
+        this.joined = false;
+        this.pending = []; // Ops made while not joined, replayed after the snapshot
+        this.retryDelay = 1000;
+        this.closed = false;
+
+        // Anything already on the board is offered to the room on first join (the layers too,
+        // if the room has none yet: see handleMessage)
+        this.state.elements.forEach(el => this.pending.push(this.replica.local({ type: 'add', element: el.toJSON() })));
+        this.unsubscribe = this.state.onOperation(op => this.handleLocal(op));
+    }
+
+    connect() {
+        this.closed = false;
+        this.onStatus('connecting');
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.retryDelay = 1000;
+            this.send({ type: 'join', room: this.room, clientId: this.clientId });
+        });
+        socket.addEventListener('message', (e) => {
+            let msg;
+            try {
+                msg = JSON.parse(e.data);
+            } catch (err) {
+                console.error('Sync: bad message', err);
+                return;
+            }
+            this.handleMessage(msg);
+        });
+        socket.addEventListener('close', () => {
+            this.joined = false;
+            this.socket = null;
+            if (this.closed) return;
+            this.onStatus('offline');
+            setTimeout(() => this.connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+        });
+    }
+
+    disconnect() {
+        this.closed = true;
+        if (this.socket) {
+            this.send({ type: 'leave' });
+            this.socket.close();
+        }
+        this.onStatus('offline');
+    }
+
+    // Register a handler for a relay message type (e.g. 'peer-join')
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    send(msg) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(msg));
+        }
+    }
+
+    // History ops are relative (a move is dx/dy); on the wire we send resulting values so
+    // concurrent edits can be resolved per property.
+    toWire(op) {
+        switch (op.type) {
+            case 'add':
+                return { type: 'add', element: op.element.toJSON() };
+            case 'delete':
+                return { type: 'delete', id: op.id };
+            case 'move': {
+                const el = this.state.getElement(op.id);
+                return el ? { type: 'move', id: op.id, props: pickGeometry(el) } : null;
+            }
+            case 'update':
+                return { type: 'update', id: op.id, props: JSON.parse(JSON.stringify(op.props)) };
+            case 'clear':
+                return { type: 'clear' };
+            case 'layers':
+                return { type: 'layers', layers: JSON.parse(JSON.stringify(op.layers)) };
+            case 'background':
+                return { type: 'background', background: { ...op.background } };
+        }
+        return null;
+    }
+
+    handleLocal(op) {
+        const wire = this.toWire(op);
+        if (!wire) return;
+        this.replica.local(wire);
+
+        if (this.joined) this.send({ type: 'op', op: wire });
+        else this.pending.push(wire);
+    }
+
+    // Integrate a remote op, then let the StateManager catch up. Returns true if anything changed.
+    integrate(op) {
+        if (!this.replica.integrate(op, this.state.elements)) return false;
+        if (op.type === 'layers') this.state.replaceLayers(op.layers);
+        else if (op.type === 'background') this.state.replaceBackground(op.background);
+        else this.state.reindex(op);
+        return true;
+    }
+
+    handleMessage(msg) {
+        if (!msg || typeof msg !== 'object') return;
+        switch (msg.type) {
+            case 'snapshot': {
+                this.state.setElements(this.replica.load(msg.snapshot));
+                if (this.replica.layers) this.state.replaceLayers(this.replica.layers.value);
+                if (this.replica.background) this.state.replaceBackground(this.replica.background.value);
+                // Replay what we did offline on top of the room state. Its stamps predate the
+                // snapshot, so the ops are stamped again or a newer room edit or clear would drop them.
+                const pending = this.pending;
+                this.pending = [];
+                pending.forEach(op => {
+                    if (this.integrate(this.replica.restamp(op))) this.send({ type: 'op', op });
+                });
+                this.joined = true;
+                // First one in a room without layers provides them, so everyone shares the same ids
+                if (!this.replica.layers) this.handleLocal({ type: 'layers', layers: this.state.layers });
+                if (!this.replica.background) this.handleLocal({ type: 'background', background: this.state.background });
+                this.state.renderCallback();
+                this.onStatus('online');
+                break;
+            }
+            case 'op':
+                if (!isValidOp(msg.op)) {
+                    console.warn('Sync: ignoring malformed op', msg.op);
+                    break;
+                }
+                if (this.integrate(msg.op)) this.state.renderCallback();
+                break;
+            case 'error':
+                // The relay closes the socket too; reconnecting retries with backoff
+                console.error(`Sync: refused by the relay (${msg.message})`);
+                break;
+        }
+
+        if (this.handlers[msg.type]) this.handlers[msg.type](msg);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Replica, compareStamps, isValidOp, pickGeometry, GEOMETRY_KEYS };
+}
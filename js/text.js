@@ -0,0 +1,140 @@
+/**
+ * Text - Fonts, Layout & Measurement for Text and Sticky Notes
+ * Architecture: pure layout helpers shared by Element bounds, Renderer and SvgExporter
+ *
+ * Text is laid out line by line: a 'text' element breaks only at newlines, a
+ * sticky note also wraps inside its box. Widths come from a pluggable measurer:
+ * the app installs one backed by a canvas, so bounds and hit tests match what is
+ * drawn; without it (e.g. in Node) widths are estimated from the character count.
+ */
+
+const TEXT = {
+    FONTS: { // fontFamily value -> CSS font family
+        sans: 'Inter, sans-serif',
+        serif: 'Georgia, "Times New Roman", serif',
+        mono: '"Fira Code", Consolas, monospace',
+        hand: '"Comic Sans MS", "Segoe Print", cursive',
+    },
+    LINE_HEIGHT: 1.25, // Times the font size
+    CACHE_LIMIT: 5000, // Measured strings kept
+    STYLE_KEYS: ['fontFamily', 'fontWeight', 'fontStyle', 'textAlign'],
+};
+
+// --- 1. MEASUREMENT ---
+const textWidthCache = new Map(); // font + '\n' + text -> width
+let measureTextWidth = (text, font, fontSize) => text.length * fontSize * 0.6;
+
+// fn(text, cssFont, fontSize) -> width in the same units as fontSize
+function setTextMeasurer(fn) {
+    measureTextWidth = fn;
+    clearTextCache();
+}
+
+function clearTextCache() {
+    textWidthCache.clear();
+}
+
+function measureText(text, font, fontSize) {
+    const key = `${font}\n${text}`;
+    let width = textWidthCache.get(key);
+    if (width === undefined) {
+        if (textWidthCache.size >= TEXT.CACHE_LIMIT) textWidthCache.clear();
+        width = measureTextWidth(text, font, fontSize);
+        textWidthCache.set(key, width);
+    }
+    return width;
+}
+
+// Measures with a detached canvas, so the drawing context's state is never touched
+function createCanvasMeasurer() {
+    const ctx = document.createElement('canvas').getContext('2d');
+    return (text, font) => {
+        ctx.font = font;
+        return ctx.measureText(text).width;
+    };
+}
+
+// --- 2. FONTS ---
+function fontFamilyOf(el) {
+    return TEXT.FONTS[el.fontFamily] || TEXT.FONTS.sans;
+}
+
+function pickTextStyle(el) {
+    const style = {};
+    TEXT.STYLE_KEYS.forEach(key => { style[key] = el[key]; });
+    return style;
+}
+
+// CSS font shorthand, e.g. "italic bold 20px Inter, sans-serif"
+function fontString(el, fontSize) {
+    return `${el.fontStyle === 'italic' ? 'italic ' : ''}${el.fontWeight === 'bold' ? 'bold ' : ''}${fontSize}px ${fontFamilyOf(el)}`;
+}
+
+// --- 3. LAYOUT ---
+// Greedy word wrap that keeps the text's own line breaks;
+// `measure(str)` returns a width in the same units as maxWidth
+function wrapTextLines(text, maxWidth, measure) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        const words = paragraph.split(' ');
+        let line = '';
+        for (let n = 0; n < words.length; n++) {
+            const testLine = line + words[n] + ' ';
+            if (measure(testLine) > maxWidth && n > 0) {
+                lines.push(line.trimEnd());
+                line = words[n] + ' ';
+            } else {
+                line = testLine;
+            }
+        }
+        lines.push(line.trimEnd());
+    });
+    return lines;
+}
+
+// { font, fontSize, lineHeight, lines, width, height } of a text or sticky element's text
+function layoutText(el) {
+    if (el.type === 'sticky') {
+        const { FONT_SIZE, PADDING, LINE_HEIGHT } = CONFIG.STICKY;
+        const font = fontString(el, FONT_SIZE);
+        const measure = str => measureText(str, font, FONT_SIZE);
+        const lines = wrapTextLines(el.content, Math.abs(el.w) - PADDING * 2, measure);
+        return { font, fontSize: FONT_SIZE, lineHeight: LINE_HEIGHT, lines, width: Math.max(...lines.map(measure)), height: lines.length * LINE_HEIGHT };
+    }
+
+    const fontSize = el.size * 2;
+    const font = fontString(el, fontSize);
+    const lineHeight = fontSize * TEXT.LINE_HEIGHT;
+    const lines = el.content.split('\n');
+    const width = Math.max(...lines.map(line => measureText(line, font, fontSize)));
+    return { font, fontSize, lineHeight, lines, width, height: lines.length * lineHeight };
+}
+
+// Where each line starts for the element's alignment, inside a box `width` wide
+function alignedX(el, x, width) {
+    if (el.textAlign === 'center') return x + width / 2;
+    if (el.textAlign === 'right') return x + width;
+    return x;
+}
+
+// Sticky notes grow to fit their text, never shrink below the size they were given
+function fitStickyHeight(el) {
+    const { PADDING } = CONFIG.STICKY;
+    return Math.max(Math.abs(el.h), layoutText(el).height + PADDING * 2);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEXT,
+        setTextMeasurer,
+        clearTextCache,
+        measureText,
+        fontString,
+        fontFamilyOf,
+        pickTextStyle,
+        wrapTextLines,
+        layoutText,
+        alignedX,
+        fitStickyHeight
+    };
+}
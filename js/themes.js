@@ -0,0 +1,207 @@
+/**
+ * Themes - Board Color, Background Pattern & Readable Ink
+ * Architecture: pure color helpers + BackgroundPanel (DOM form) over StateManager 'background' ops
+ *
+ * The board background is part of the board, like its layers: one plain object
+ * { theme, color, pattern, gridSize } that any change replaces with a 'background'
+ * op, so it undoes, syncs and is saved with the board. Element colors are stored
+ * as picked; when one would vanish into the background it is drawn in the
+ * background's ink instead (readableColor), so white ink from the dark board
+ * still shows after switching to the light one.
+ */
+
+// --- 1. CONFIG ---
+const THEMES = {
+    dark: { name: 'Dark', color: '#1e1e24' },
+    light: { name: 'Light', color: '#f7f7f2' },
+    blueprint: { name: 'Blueprint', color: '#1c4f8c' },
+    custom: { name: 'Custom', color: null }, // The background's own `color`
+};
+
+const BACKGROUND = {
+    DEFAULTS: { theme: 'dark', color: '#2d3436', pattern: 'none', gridSize: 50 },
+    PATTERNS: { none: 'None', grid: 'Line grid', dots: 'Dot grid', ruled: 'Ruled paper', isometric: 'Isometric' },
+    GRID_SIZES: [10, 20, 25, 50, 100], // World units
+    MAJOR_EVERY: 5, // Every fifth grid line is stronger
+    MIN_SPACING: 8, // Screen pixels: zoomed out further, every other line is skipped
+    MIN_CONTRAST: 1.6, // Contrast ratio (WCAG) below which an element color is swapped for the ink
+    INK: { dark: '#ffffff', light: '#1e1e24' }, // On dark and on light backgrounds
+};
+
+// --- 2. MODEL HELPERS ---
+// A complete, valid background from partial or unknown data (older boards have none)
+function normalizeBackground(data) {
+    const bg = { ...BACKGROUND.DEFAULTS, ...data };
+    if (!THEMES[bg.theme]) bg.theme = BACKGROUND.DEFAULTS.theme;
+    if (!parseColor(bg.color)) bg.color = BACKGROUND.DEFAULTS.color;
+    if (!BACKGROUND.PATTERNS[bg.pattern]) bg.pattern = BACKGROUND.DEFAULTS.pattern;
+    if (!(typeof bg.gridSize === 'number' && bg.gridSize > 0)) bg.gridSize = BACKGROUND.DEFAULTS.gridSize;
+    return { theme: bg.theme, color: bg.color, pattern: bg.pattern, gridSize: bg.gridSize };
+}
+
+// The board color a background paints
+function backgroundColor(bg) {
+    const theme = THEMES[bg.theme] || THEMES[BACKGROUND.DEFAULTS.theme];
+    return theme.color || bg.color;
+}
+
+const parsedColors = new Map(); // CSS color -> [r, g, b] or null
+
+// #rgb, #rrggbb (alpha digits ignored) or rgb()/rgba(); null for anything else
+function parseColor(color) {
+    if (typeof color !== 'string') return null;
+    if (parsedColors.has(color)) return parsedColors.get(color);
+    let rgb = null;
+    const hex = /^#([0-9a-f]{3,8})$/i.exec(color.trim());
+    const fn = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color.trim());
+    if (hex && hex[1].length === 3) rgb = hex[1].split('').map(d => parseInt(d + d, 16));
+    else if (hex && hex[1].length >= 6) rgb = [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16));
+    else if (fn) rgb = fn.slice(1, 4).map(Number);
+    parsedColors.set(color, rgb);
+    return rgb;
+}
+
+// Relative luminance (WCAG), 0 = black, 1 = white
+function luminance(rgb) {
+    const [r, g, b] = rgb.map(v => {
+        const c = v / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+    const la = luminance(a), lb = luminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+function isDarkColor(color) {
+    const rgb = parseColor(color);
+    return !rgb || luminance(rgb) < 0.4;
+}
+
+// Default ink on a background color
+function inkColor(background) {
+    return isDarkColor(background) ? BACKGROUND.INK.dark : BACKGROUND.INK.light;
+}
+
+const readableColors = new Map(); // 'color|background' -> color to draw
+
+// `color`, or the background's ink when the two are too close to tell apart
+function readableColor(color, background) {
+    const key = `${color}|${background}`;
+    if (!readableColors.has(key)) {
+        const fg = parseColor(color), bg = parseColor(background);
+        const readable = !fg || !bg || contrastRatio(fg, bg) >= BACKGROUND.MIN_CONTRAST;
+        readableColors.set(key, readable ? color : inkColor(background));
+    }
+    return readableColors.get(key);
+}
+
+// Pattern strokes: faint ink, with stronger major grid lines
+function patternColors(background) {
+    return isDarkColor(background)
+        ? { line: 'rgba(255, 255, 255, 0.15)', major: 'rgba(255, 255, 255, 0.3)' }
+        : { line: 'rgba(0, 0, 0, 0.12)', major: 'rgba(0, 0, 0, 0.25)' };
+}
+
+// --- 3. PANEL ---
+class BackgroundPanel {
+    constructor(app) {
+        this.app = app;
+        this.root = document.querySelector("#background-panel");
+        this.fields = {
+            theme: this.root.querySelector("#bg-theme"),
+            color: this.root.querySelector("#bg-color"),
+            pattern: this.root.querySelector("#bg-pattern"),
+            gridSize: this.root.querySelector("#bg-grid-size")
+        };
+        this.lastPattern = 'grid'; // What the grid toggle brings back
+        this.isSliding = false;
+
+        this.fill();
+        this.bindEvents();
+        this.app.state.onBackgroundChange(() => this.render());
+        this.render();
+    }
+
+    get state() {
+        return this.app.state;
+    }
+
+    toggle() {
+        this.root.hidden = !this.root.hidden;
+        return !this.root.hidden;
+    }
+
+    fill() {
+        const f = this.fields;
+        const options = (select, entries) => {
+            select.innerHTML = '';
+            entries.forEach(([value, label]) => select.add(new Option(label, value)));
+        };
+        options(f.theme, Object.entries(THEMES).map(([id, theme]) => [id, theme.name]));
+        options(f.pattern, Object.entries(BACKGROUND.PATTERNS));
+        options(f.gridSize, BACKGROUND.GRID_SIZES.map(size => [size, `${size}px`]));
+    }
+
+    bindEvents() {
+        const f = this.fields;
+        f.theme.addEventListener("change", () => this.set({ theme: f.theme.value }));
+        f.pattern.addEventListener("change", () => this.set({ pattern: f.pattern.value }));
+        f.gridSize.addEventListener("change", () => this.set({ gridSize: Number(f.gridSize.value) }));
+
+        // Live while the picker is open, one undo step when it closes (like the properties panel)
+        f.color.addEventListener("input", () => {
+            if (!this.isSliding) {
+                this.isSliding = true;
+                this.state.beginBatch();
+            }
+            this.set({ theme: 'custom', color: f.color.value });
+        });
+        f.color.addEventListener("change", () => {
+            if (!this.isSliding) return;
+            this.isSliding = false;
+            this.state.endBatch();
+        });
+    }
+
+    set(props) {
+        this.state.setBackground({ ...this.state.background, ...props });
+    }
+
+    // Grid on/off (G): hides the pattern, or brings back the last one
+    togglePattern() {
+        const { pattern } = this.state.background;
+        if (pattern !== 'none') this.lastPattern = pattern;
+        this.set({ pattern: pattern === 'none' ? this.lastPattern : 'none' });
+    }
+
+    render() {
+        const bg = this.state.background;
+        const f = this.fields;
+        f.theme.value = bg.theme;
+        if (document.activeElement !== f.color) f.color.value = backgroundColor(bg);
+        f.pattern.value = bg.pattern;
+        if (![...f.gridSize.options].some(option => option.value === String(bg.gridSize))) {
+            f.gridSize.add(new Option(`${bg.gridSize}px`, bg.gridSize)); // A size from a file
+        }
+        f.gridSize.value = String(bg.gridSize);
+        f.gridSize.disabled = bg.pattern === 'none';
+        document.querySelector("#grid-btn").classList.toggle("active", bg.pattern !== 'none');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THEMES,
+        BACKGROUND,
+        normalizeBackground,
+        backgroundColor,
+        parseColor,
+        contrastRatio,
+        inkColor,
+        readableColor,
+        patternColors
+    };
+}
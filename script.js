@@ -1,170 +1,43 @@
 /**
  * Online Whiteboard - Enterprise Grade Refactor
- * Architecture: OOP (App, Renderer, State, Tools)
+ * Architecture: OOP (App, Renderer, Tools); the board model (CONFIG, Element, State) is in js/model.js
  */
 
-// --- 1. CONFIGURATION & CONSTANTS ---
-const CONFIG = {
-    DEFAULT_COLOR: '#ffffff',
-    HIGHLIGHTER_ALPHA: 0.4,
-    ERASER_COLOR: '#1e1e24', // Should match BG
-    ZOOM_SENSITIVITY: 0.1,
-    MIN_ZOOM: 0.1,
-    MAX_ZOOM: 10,
+// --- 1. CONSTANTS ---
+// Toolbar icons for the arrow options
+const ARROW_ICONS = {
+    routing: { straight: 'bx-trending-up', elbow: 'bx-subdirectory-right', curved: 'bx-redo' },
+    head: { none: 'bx-minus', arrow: 'bx-right-arrow-alt', triangle: 'bxs-right-arrow', dot: 'bxs-circle' },
 };
 
-// --- 2. DATA MODELS ---
-class Element {
-    constructor(type, config) {
-        this.type = type;
-        this.id = Date.now() + Math.random();
-        this.x = config.x || 0;
-        this.y = config.y || 0;
-        this.color = config.color || CONFIG.DEFAULT_COLOR;
-        this.size = config.size || 5;
-        this.alpha = config.alpha || 1;
-        // Specific props
-        this.points = config.points || [];
-        this.endX = config.endX || 0;
-        this.endY = config.endY || 0;
-        this.w = config.w || 0;
-        this.h = config.h || 0;
-    }
-
-    // --- HIT TESTING ---
-    isHit(x, y) {
-        const threshold = 10 / this.scale; // Scale threshold? No, world coords.
-        const hitMargin = 10;
-
-        switch (this.type) {
-            case 'brush':
-            case 'eraser':
-            case 'highlighter':
-                return this.points.some(p => Math.hypot(p.x - x, p.y - y) < (this.size + hitMargin));
-
-            case 'line':
-                // dist from point to segment
-                const d = this.distToSegment({ x, y }, { x: this.x, y: this.y }, { x: this.endX, y: this.endY });
-                return d < (this.size + hitMargin);
-
-            case 'rect':
-            case 'sticky':
-            case 'image':
-                return x >= this.x && x <= this.x + this.w && y >= this.y && y <= this.y + this.h;
-
-            case 'circle':
-                const r = Math.sqrt(Math.pow(this.endX - this.x, 2) + Math.pow(this.endY - this.y, 2));
-                const dist = Math.hypot(x - this.x, y - this.y);
-                return Math.abs(dist - r) < (this.size + hitMargin); // Ring only? Or fill? Let's do boundary.
-
-            case 'text':
-                const fontSize = this.size * 2;
-                // Approx width/height - canvas measureText would be better but ctx is not here.
-                // Simple approx: width ~ char count * font size * 0.6
-                const estW = this.content.length * fontSize * 0.6;
-                const estH = fontSize;
-                return x >= this.x && x <= this.x + estW && y >= this.y && y <= this.y + estH;
-        }
-        return false;
-    }
-
-    distToSegment(p, v, w) {
-        const l2 = Math.pow(v.x - w.x, 2) + Math.pow(v.y - w.y, 2);
-        if (l2 === 0) return Math.hypot(p.x - v.x, p.y - v.y);
-        let t = ((p.x - v.x) * (w.x - v.x) + (p.y - v.y) * (w.y - v.y)) / l2;
-        t = Math.max(0, Math.min(1, t));
-        return Math.hypot(p.x - (v.x + t * (w.x - v.x)), p.y - (v.y + t * (w.y - v.y)));
-    }
-}
-
-// --- 3. STATE MANAGEMENT ---
-class StateManager {
-    constructor(renderCallback) {
-        this.elements = [];
-        this.history = [];
-        this.redoStack = [];
-        this.renderCallback = renderCallback;
-    }
-
-    // ... existing methods ...
-
-    getHitElement(x, y) {
-        // Reverse iterate to find top-most
-        for (let i = this.elements.length - 1; i >= 0; i--) {
-            if (this.elements[i].isHit(x, y)) return this.elements[i];
-        }
-        return null;
-    }
-
-    addElement(element) {
-        this.saveToHistory();
-        this.elements.push(element);
-        this.renderCallback();
-    }
-
-    setElements(elements) {
-        this.elements = elements;
-        this.renderCallback();
-    }
-
-    saveToHistory() {
-        // Deep clone for history
-        // IMPORTANT: We need to preserve Prototype (Element class) methods when restoring!
-        // JSON.stringify strips functions. We need 'hydrate' logic or simple POJO usage.
-        // For this refactor, let's keep it simple: Re-instantiate or just store POJO and use static util for Hit?
-        // Or cleaner: `this.elements.map(el => new Element(el.type, el))` functionality on restore.
-
-        const snapshot = this.elements.map(el => ({ ...el })); // Shallow copy props is usually enough if no nested objs (points are nested array, so need deep)
-        // Correct deep clone:
-        this.history.push(JSON.stringify(this.elements));
-        if (this.history.length > 50) this.history.shift();
-        this.redoStack = [];
-    }
-
-    undo() {
-        if (this.history.length === 0) return;
-        this.redoStack.push(JSON.stringify(this.elements));
-        this.restoreFromJSON(this.history.pop());
-    }
-
-    redo() {
-        if (this.redoStack.length === 0) return;
-        this.history.push(JSON.stringify(this.elements));
-        this.restoreFromJSON(this.redoStack.pop());
-    }
-
-    restoreFromJSON(jsonStr) {
-        const rawList = JSON.parse(jsonStr);
-        // Hydrate back to Element instances to keep .isHit() method working!
-        this.elements = rawList.map(data => {
-            const el = new Element(data.type, data); // Constructor copies props
-            // Special fix for points array which constructor expects in config
-            // Constructor: this.points = config.points || []
-            // It works.
-            return el;
-        });
-        this.renderCallback();
-    }
-
-    clear() {
-        this.saveToHistory();
-        this.elements = [];
-        this.renderCallback();
-    }
-}
-
-
+const ALIGN_ICONS = { left: 'bx-align-left', center: 'bx-align-middle', right: 'bx-align-right' };
 
+// --- 2. RENDERING ---
 class Renderer {
-    constructor(canvas) {
+    // options.offscreen: draw into a detached canvas at its own size (exports)
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.scale = 1;
         this.panX = 0;
         this.panY = 0;
+        // Board color and pattern (see js/themes.js); `background` is what gets painted
+        this.boardColor = backgroundColor(BACKGROUND.DEFAULTS);
+        this.background = this.boardColor; // null = transparent
+        this.pattern = 'none';
+        this.gridSize = BACKGROUND.DEFAULTS.gridSize;
+        this.layers = []; // For visibility/opacity (see js/layers.js)
+        this.frames = new Map(); // Frame id -> frame, to clip their contents (see js/frames.js)
+        this.frameChrome = true; // Frame borders and names (off while presenting and in frame exports)
+
+        if (options.offscreen) {
+            this.width = canvas.width;
+            this.height = canvas.height;
+            return;
+        }
+
         this.width = window.innerWidth;
         this.height = window.innerHeight;
-        this.showGrid = false; // Default off
 
         // Bind resize
         window.addEventListener('resize', this.resize.bind(this));
@@ -186,8 +59,17 @@ class Renderer {
         this.resize();
     }
 
-    toggleGrid() {
-        this.showGrid = !this.showGrid;
+    setBoardBackground(bg) {
+        this.boardColor = backgroundColor(bg);
+        this.background = this.boardColor;
+        this.pattern = bg.pattern;
+        this.gridSize = bg.gridSize;
+    }
+
+    // Element colors too close to the background are drawn in its ink (see js/themes.js)
+    inkOf(el) {
+        if (el.type === 'highlighter') return el.color; // Meant to tint what is under it
+        return readableColor(el.color, this.background || this.boardColor);
     }
 
     resize() {
@@ -205,6 +87,14 @@ class Renderer {
         };
     }
 
+    // Zoom to `scale` (clamped), keeping the world point under screen (x, y) in place
+    zoomAt(x, y, scale) {
+        const world = this.screenToWorld(x, y);
+        this.scale = Math.max(CONFIG.MIN_ZOOM, Math.min(scale, CONFIG.MAX_ZOOM));
+        this.panX = x - world.x * this.scale;
+        this.panY = y - world.y * this.scale;
+    }
+
     worldToScreen(x, y) {
         return {
             x: (x * this.scale) + this.panX,
@@ -212,13 +102,37 @@ class Renderer {
         };
     }
 
+    // Visible area in world coords
+    getViewRect() {
+        const topLeft = this.screenToWorld(0, 0);
+        return { x: topLeft.x, y: topLeft.y, w: this.width / this.scale, h: this.height / this.scale };
+    }
+
+    // The view ({ scale, panX, panY }) that shows `rect` whole and centered, `padding` screen px from the edges
+    fitRect(rect, padding = 0, maxScale = CONFIG.MAX_ZOOM) {
+        const fit = Math.min(
+            Math.max(1, this.width - padding * 2) / Math.max(rect.w, 1e-6),
+            Math.max(1, this.height - padding * 2) / Math.max(rect.h, 1e-6)
+        );
+        const scale = Math.max(CONFIG.MIN_ZOOM, Math.min(fit, maxScale));
+        return {
+            scale,
+            panX: this.width / 2 - (rect.x + rect.w / 2) * scale,
+            panY: this.height / 2 - (rect.y + rect.h / 2) * scale
+        };
+    }
+
     // Core Draw Loop
-    draw(elements, currentElement = null) {
+    draw(elements, currentElement = null, peers = [], overlay = null) {
         // Clear
         this.ctx.save();
         this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-        this.ctx.fillStyle = CONFIG.ERASER_COLOR;
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        if (this.background) {
+            this.ctx.fillStyle = this.background;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+        } else {
+            this.ctx.clearRect(0, 0, this.width, this.height);
+        }
         this.ctx.restore();
 
         // Transform
@@ -226,55 +140,295 @@ class Renderer {
         this.ctx.translate(this.panX, this.panY);
         this.ctx.scale(this.scale, this.scale);
 
-        // Grid
-        if (this.showGrid) this.drawGrid();
+        // Background pattern
+        if (this.pattern !== 'none') this.drawPattern();
 
-        // Render All
-        elements.forEach(el => this.drawElement(el));
+        // Render All: frames underneath, so what is in them shows (see js/frames.js)
+        elements.forEach(el => {
+            if (el.type === 'frame') this.drawElement(el);
+        });
+        elements.forEach(el => {
+            if (el.type !== 'frame') this.drawElement(el);
+        });
+        peers.forEach(peer => {
+            if (peer.draft) this.drawElement(peer.draft); // Other people's in-progress strokes
+        });
         if (currentElement) this.drawElement(currentElement);
 
         this.ctx.restore();
+
+        // Overlays are drawn in screen space so handles/labels stay readable at any zoom
+        if (overlay && overlay.spotlight) this.drawSpotlight(overlay.spotlight);
+        if (overlay && overlay.selection) this.drawSelection(overlay.selection);
+        if (overlay && overlay.eraser) this.drawEraserCursor(overlay.eraser);
+        if (overlay && overlay.bindTarget) this.drawBindTarget(overlay.bindTarget);
+        if (overlay && overlay.guides && overlay.guides.length > 0) this.drawGuides(overlay.guides);
+        peers.forEach(peer => {
+            if (peer.cursor) this.drawCursor(peer);
+        });
     }
 
-    drawGrid() {
-        const gridSize = 50;
-        const largeGridSize = 250;
+    // Presenting (see js/frames.js): the board outside the current frame is covered
+    drawSpotlight(rect) {
+        const p = this.worldToScreen(rect.x, rect.y);
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.fillStyle = this.boardColor;
+        ctx.beginPath();
+        ctx.rect(0, 0, this.width, this.height);
+        ctx.rect(p.x, p.y, rect.w * this.scale, rect.h * this.scale);
+        ctx.fill('evenodd');
+        ctx.restore();
+    }
 
-        // Calculate visible area in world coords
-        const startX = -this.panX / this.scale;
-        const startY = -this.panY / this.scale;
-        const endX = startX + (this.width / this.scale);
-        const endY = startY + (this.height / this.scale);
+    drawEraserCursor({ x, y, r }) {
+        const p = this.worldToScreen(x, y);
+        this.ctx.save();
+        this.ctx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.arc(p.x, p.y, r * this.scale, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
 
-        this.ctx.lineWidth = 1 / this.scale; // Thin lines relative to zoom
+    // Shape an arrow end is about to attach to
+    drawBindTarget(el) {
+        const frame = getShapeFrame(el);
+        const c = this.worldToScreen(frame.cx, frame.cy);
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = SELECTION.COLOR;
+        ctx.lineWidth = 2;
+        ctx.translate(c.x, c.y);
+        ctx.rotate(frame.rotation);
+        ctx.beginPath();
+        if (frame.round) ctx.ellipse(0, 0, frame.hw * this.scale + 4, frame.hh * this.scale + 4, 0, 0, Math.PI * 2);
+        else ctx.rect(-frame.hw * this.scale - 4, -frame.hh * this.scale - 4, frame.hw * this.scale * 2 + 8, frame.hh * this.scale * 2 + 8);
+        ctx.stroke();
+        ctx.restore();
+    }
 
-        // Small Grid
-        this.ctx.beginPath();
-        this.ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    drawSelection({ box, items, marquee, endpoints }) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = SELECTION.COLOR;
+        ctx.lineWidth = 1;
+
+        // Outline of each member of a group
+        ctx.setLineDash([4, 4]);
+        items.forEach(b => {
+            const p = this.worldToScreen(b.x, b.y);
+            ctx.strokeRect(p.x, p.y, b.w * this.scale, b.h * this.scale);
+        });
+        ctx.setLineDash([]);
 
-        // Vertical
-        const startGridX = Math.floor(startX / gridSize) * gridSize;
-        for (let x = startGridX; x < endX; x += gridSize) {
-            this.ctx.moveTo(x, startY);
-            this.ctx.lineTo(x, endY);
+        if (box) {
+            const toScreen = (lx, ly) => {
+                const w = rotatePoint(box.cx + lx, box.cy + ly, box.cx, box.cy, box.rotation);
+                return this.worldToScreen(w.x, w.y);
+            };
+            const hw = box.w / 2;
+            const hh = box.h / 2;
+
+            // Frame
+            ctx.beginPath();
+            [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].forEach(([lx, ly], i) => {
+                const p = toScreen(lx, ly);
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            ctx.closePath();
+            ctx.stroke();
+
+            // Rotate handle on a stem above the top edge
+            const top = toScreen(0, -hh);
+            const knob = toScreen(0, -hh - SELECTION.ROTATE_OFFSET / this.scale);
+            ctx.beginPath();
+            ctx.moveTo(top.x, top.y);
+            ctx.lineTo(knob.x, knob.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.fillStyle = "#ffffff";
+            ctx.arc(knob.x, knob.y, SELECTION.HANDLE_SIZE / 2 + 1, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            // Scale handles
+            const half = SELECTION.HANDLE_SIZE / 2;
+            Object.values(HANDLES).forEach(([hx, hy]) => {
+                const p = toScreen(hx * hw, hy * hh);
+                ctx.fillRect(p.x - half, p.y - half, SELECTION.HANDLE_SIZE, SELECTION.HANDLE_SIZE);
+                ctx.strokeRect(p.x - half, p.y - half, SELECTION.HANDLE_SIZE, SELECTION.HANDLE_SIZE);
+            });
         }
-        // Horizontal
-        const startGridY = Math.floor(startY / gridSize) * gridSize;
-        for (let y = startGridY; y < endY; y += gridSize) {
-            this.ctx.moveTo(startX, y);
-            this.ctx.lineTo(endX, y);
+
+        // Ends of a selected arrow, dragged to re-attach it
+        (endpoints || []).forEach(point => {
+            const p = this.worldToScreen(point.x, point.y);
+            ctx.beginPath();
+            ctx.fillStyle = "#ffffff";
+            ctx.arc(p.x, p.y, SELECTION.HANDLE_SIZE / 2 + 1, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        if (marquee) {
+            const a = this.worldToScreen(Math.min(marquee.x1, marquee.x2), Math.min(marquee.y1, marquee.y2));
+            const w = Math.abs(marquee.x2 - marquee.x1) * this.scale;
+            const h = Math.abs(marquee.y2 - marquee.y1) * this.scale;
+            ctx.fillStyle = "rgba(99, 102, 241, 0.1)";
+            ctx.fillRect(a.x, a.y, w, h);
+            ctx.strokeRect(a.x, a.y, w, h);
         }
-        this.ctx.stroke();
+
+        ctx.restore();
+    }
+
+    drawCursor(peer) {
+        const { x, y } = this.worldToScreen(peer.cursor.x, peer.cursor.y);
+        const ctx = this.ctx;
+
+        ctx.save();
+        // Pointer arrow
+        ctx.fillStyle = peer.color;
+        ctx.strokeStyle = "#ffffff";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x, y + 18);
+        ctx.lineTo(x + 5, y + 14);
+        ctx.lineTo(x + 12, y + 14);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Name label
+        ctx.font = "12px Inter";
+        ctx.textBaseline = 'middle';
+        const labelW = ctx.measureText(peer.name).width + 12;
+        ctx.fillRect(x + 10, y + 18, labelW, 20);
+        ctx.fillStyle = "#ffffff";
+        ctx.fillText(peer.name, x + 16, y + 28);
+        ctx.restore();
+    }
+
+    // Smart guides (see js/snapping.js): alignment lines, and gaps with a tick at each end
+    drawGuides(guides) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = SNAP.COLOR;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        guides.forEach(guide => {
+            const a = this.worldToScreen(guide.x1, guide.y1);
+            const b = this.worldToScreen(guide.x2, guide.y2);
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            if (guide.type !== 'gap') return;
+            const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            const tx = -(b.y - a.y) / len * SNAP.TICK, ty = (b.x - a.x) / len * SNAP.TICK;
+            [a, b].forEach(p => {
+                ctx.moveTo(p.x - tx, p.y - ty);
+                ctx.lineTo(p.x + tx, p.y + ty);
+            });
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Lines, dots or paper rules every `gridSize` world units, so they pan and zoom with the board
+    drawPattern() {
+        const ctx = this.ctx;
+        const view = this.getViewRect();
+        const colors = patternColors(this.background || this.boardColor);
+
+        // Zoomed far out, skip lines rather than fill the screen with them
+        let step = this.gridSize;
+        while (step * this.scale < BACKGROUND.MIN_SPACING) step *= 2;
+
+        ctx.lineWidth = 1 / this.scale; // Thin lines relative to zoom
+        switch (this.pattern) {
+            case 'grid':
+                this.drawLineFamily(view, 0, step, colors);
+                this.drawLineFamily(view, Math.PI / 2, step, colors);
+                break;
+            case 'ruled':
+                this.drawLineFamily(view, 0, step, { line: colors.line });
+                break;
+            case 'isometric': { // Equilateral triangles with `step` sides: three families of lines
+                const spacing = step * Math.sqrt(3) / 2;
+                [Math.PI / 2, Math.PI / 6, -Math.PI / 6].forEach(angle => this.drawLineFamily(view, angle, spacing, { line: colors.line }));
+                break;
+            }
+            case 'dots': {
+                const r = 1.5 / this.scale;
+                ctx.beginPath();
+                ctx.fillStyle = colors.major;
+                for (let x = Math.floor(view.x / step) * step; x <= view.x + view.w; x += step) {
+                    for (let y = Math.floor(view.y / step) * step; y <= view.y + view.h; y += step) {
+                        ctx.rect(x - r, y - r, r * 2, r * 2);
+                    }
+                }
+                ctx.fill();
+                break;
+            }
+        }
+    }
+
+    // Parallel lines at `angle`, `spacing` apart and through the origin, covering `view`;
+    // with colors.major, every BACKGROUND.MAJOR_EVERY-th line is drawn stronger
+    drawLineFamily(view, angle, spacing, colors) {
+        const ctx = this.ctx;
+        const dx = Math.cos(angle), dy = Math.sin(angle); // Along the lines
+        const cx = view.x + view.w / 2, cy = view.y + view.h / 2;
+        const reach = Math.hypot(view.w, view.h) / 2;
+        const across = cx * -dy + cy * dx; // Offset of the view center from the line through the origin
+        const along = cx * dx + cy * dy;
+
+        const lines = { line: [], major: [] };
+        for (let k = Math.ceil((across - reach) / spacing); k * spacing <= across + reach; k++) {
+            lines[colors.major && k % BACKGROUND.MAJOR_EVERY === 0 ? 'major' : 'line'].push(k * spacing);
+        }
+        Object.entries(lines).forEach(([kind, offsets]) => {
+            if (offsets.length === 0) return;
+            ctx.beginPath();
+            ctx.strokeStyle = colors[kind];
+            offsets.forEach(offset => {
+                const ox = -dy * offset, oy = dx * offset;
+                ctx.moveTo(ox + dx * (along - reach), oy + dy * (along - reach));
+                ctx.lineTo(ox + dx * (along + reach), oy + dy * (along + reach));
+            });
+            ctx.stroke();
+        });
     }
 
     drawElement(el) {
+        const layer = this.layers.find(item => item.id === el.layer);
+        if (layer && !layer.visible) return;
+
         this.ctx.save();
+        // What is in a frame is cut off at its edges
+        const frame = el.frameId ? this.frames.get(el.frameId) : null;
+        if (frame) {
+            const b = frame.getBounds();
+            this.ctx.beginPath();
+            this.ctx.rect(b.x, b.y, b.w, b.h);
+            this.ctx.clip();
+        }
         this.ctx.lineWidth = el.size;
         this.ctx.lineCap = "round"; // Smoother scaling
         this.ctx.lineJoin = "round";
-        this.ctx.globalAlpha = el.alpha;
-        this.ctx.strokeStyle = el.color;
-        this.ctx.fillStyle = el.color;
+        this.ctx.globalAlpha = el.alpha * (layer ? layer.opacity : 1);
+        this.ctx.strokeStyle = this.inkOf(el);
+        this.ctx.fillStyle = this.inkOf(el);
+
+        if (el.rotation) {
+            const c = el.getCenter();
+            this.ctx.translate(c.x, c.y);
+            this.ctx.rotate(el.rotation);
+            this.ctx.translate(-c.x, -c.y);
+        }
 
         // Adjust for Zoom: Constant screen stroke width? 
         // No, stroke should scale with zoom.
@@ -287,45 +441,57 @@ class Renderer {
             case 'eraser':
             case 'highlighter':
                 if (el.points.length > 0) {
-                    // Eraser overrides
-                    if (el.type === 'eraser') this.ctx.strokeStyle = CONFIG.ERASER_COLOR;
-
-                    this.ctx.moveTo(el.points[0].x, el.points[0].y);
-                    for (let i = 1; i < el.points.length; i++) {
-                        // Quadratic Curve for smoothness? For MVP, LineTo is fine.
-                        this.ctx.lineTo(el.points[i].x, el.points[i].y);
+                    // Legacy painted eraser: board colored
+                    if (el.type === 'eraser') this.ctx.strokeStyle = this.boardColor;
+
+                    // Pen pressure: filled outline (see js/ink.js); otherwise a smoothed line
+                    if (el.type !== 'eraser' && hasVariableWidth(el.points)) {
+                        traceInkOutline(el.points, el.size, this.ctx);
+                        this.ctx.fill();
+                    } else {
+                        traceInkLine(el.points, this.ctx);
+                        this.ctx.stroke();
                     }
-                    this.ctx.stroke();
                 }
                 break;
 
             case 'line':
                 this.ctx.moveTo(el.x, el.y);
                 this.ctx.lineTo(el.endX, el.endY);
+                this.ctx.setLineDash(dashPattern(el));
                 this.ctx.stroke();
                 break;
 
-            case 'rect':
-                this.ctx.strokeRect(el.x, el.y, el.w, el.h);
+            case 'arrow':
+                this.drawConnector(el);
                 break;
 
+            case 'rect':
             case 'circle':
-                const r = Math.sqrt(Math.pow(el.endX - el.x, 2) + Math.pow(el.endY - el.y, 2));
-                this.ctx.arc(el.x, el.y, r, 0, Math.PI * 2);
-                this.ctx.stroke();
+            case 'ellipse':
+            case 'triangle':
+            case 'diamond':
+            case 'star':
+            case 'callout':
+            case 'polygon':
+            case 'polyline':
+                this.drawShape(el);
                 break;
 
-            case 'text':
-                const fontSize = el.size * 2;
-                this.ctx.font = `${fontSize}px Inter`;
-                this.ctx.textBaseline = 'top';
-                this.ctx.fillText(el.content, el.x, el.y);
+            case 'text': {
+                const layout = layoutText(el);
+                this.drawTextLines(el, layout, el.x, el.y, layout.width);
                 break;
+            }
 
             case 'sticky':
                 this.drawSticky(el);
                 break;
 
+            case 'frame':
+                if (this.frameChrome) this.drawFrame(el);
+                break;
+
             case 'image':
                 if (el.imgObj) {
                     this.ctx.drawImage(el.imgObj, el.x, el.y, el.w, el.h);
@@ -342,6 +508,71 @@ class Renderer {
         this.ctx.restore();
     }
 
+    // Fill first (with its own opacity), then the outline on top
+    drawShape(el) {
+        const ctx = this.ctx;
+        traceShape(el, ctx);
+        if (el.fill && isClosedShape(el)) {
+            ctx.save();
+            ctx.globalAlpha *= el.fillAlpha;
+            ctx.fillStyle = el.fill;
+            ctx.fill('evenodd'); // Like the hit test (see js/shapes.js)
+            ctx.restore();
+        }
+        ctx.setLineDash(dashPattern(el));
+        ctx.stroke();
+    }
+
+    drawConnector(el) {
+        const ctx = this.ctx;
+        const route = getConnectorRoute(el);
+        traceConnector(route, ctx);
+        ctx.setLineDash(dashPattern(el));
+        ctx.stroke();
+        ctx.setLineDash([]); // Heads are always solid
+
+        ['start', 'end'].forEach(which => {
+            ctx.beginPath();
+            const paint = traceArrowhead(el, route, which, ctx);
+            if (paint === 'fill') ctx.fill();
+            else if (paint === 'stroke') ctx.stroke();
+        });
+
+        if (!el.content) return;
+        const mid = routeMidpoint(route);
+        ctx.font = fontString(el, labelFontSize(el));
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (this.background) { // Cut the line behind the label
+            const b = getLabelBox(el, route);
+            ctx.fillStyle = this.background;
+            ctx.fillRect(b.x, b.y, b.w, b.h);
+            ctx.fillStyle = this.inkOf(el);
+        }
+        ctx.fillText(el.content, mid.x, mid.y);
+    }
+
+    // Thin border (the same on screen at any zoom) and a name tag in the corner
+    drawFrame(el) {
+        const ctx = this.ctx;
+        const b = el.getBounds();
+        const colors = frameColors(this.background || this.boardColor);
+        ctx.lineWidth = 1 / this.scale;
+        ctx.strokeStyle = colors.border;
+        ctx.strokeRect(b.x, b.y, b.w, b.h);
+
+        const tag = frameLabelBox(el);
+        ctx.fillStyle = colors.tag;
+        ctx.fillRect(tag.x, tag.y, tag.w, tag.h);
+        ctx.beginPath();
+        ctx.rect(tag.x, tag.y, tag.w, tag.h); // A long name is cut off at a narrow frame
+        ctx.clip();
+        ctx.fillStyle = colors.text;
+        ctx.font = fontString(el, FRAMES.LABEL_SIZE);
+        ctx.textBaseline = 'top';
+        ctx.fillText(frameName(el), tag.x + FRAMES.LABEL_PADDING, tag.y + FRAMES.LABEL_PADDING);
+    }
+
     drawSticky(el) {
         // Shadow
         this.ctx.fillStyle = "rgba(0,0,0,0.2)";
@@ -352,35 +583,22 @@ class Renderer {
         this.ctx.fillRect(el.x, el.y, el.w, el.h);
 
         // Text
-        this.ctx.fillStyle = "#1e1e24"; // Always dark text
-        this.ctx.font = "14px Inter";
-        this.ctx.textBaseline = 'top';
-
-        this.wrapText(el.content, el.x + 10, el.y + 10, el.w - 20, 20);
+        const { TEXT_COLOR, PADDING } = CONFIG.STICKY;
+        this.ctx.fillStyle = TEXT_COLOR; // Always dark text
+        this.drawTextLines(el, layoutText(el), el.x + PADDING, el.y + PADDING, el.w - PADDING * 2);
     }
 
-    wrapText(text, x, y, maxWidth, lineHeight) {
-        const words = text.split(' ');
-        let line = '';
-
-        for (let n = 0; n < words.length; n++) {
-            const testLine = line + words[n] + ' ';
-            const metrics = this.ctx.measureText(testLine);
-            const testWidth = metrics.width;
-            if (testWidth > maxWidth && n > 0) {
-                this.ctx.fillText(line, x, y);
-                line = words[n] + ' ';
-                y += lineHeight;
-            }
-            else {
-                line = testLine;
-            }
-        }
-        this.ctx.fillText(line, x, y);
+    // Lines from layoutText(), aligned inside a box `width` wide
+    drawTextLines(el, layout, x, y, width) {
+        this.ctx.font = layout.font;
+        this.ctx.textBaseline = 'top';
+        this.ctx.textAlign = el.textAlign;
+        const lineX = alignedX(el, x, width);
+        layout.lines.forEach((line, i) => this.ctx.fillText(line, lineX, y + i * layout.lineHeight));
     }
 }
 
-// --- 5. APPLICATION CONTROLLER ---
+// --- 3. APPLICATION CONTROLLER ---
 class WhiteboardApp {
     constructor() {
         this.canvas = document.getElementById("whiteboard");
@@ -392,32 +610,107 @@ class WhiteboardApp {
         this.isDrawing = false;
         this.isPanning = false;
         this.currentElement = null; // Temp element being drawn
+        this.selectionTool = new SelectionTool(this);
+        this.eraserTool = new EraserTool(this);
 
         // Settings
         this.color = CONFIG.DEFAULT_COLOR;
         this.size = 5;
+        this.arrowRouting = 'straight'; // For new arrows (see js/connectors.js)
+        this.arrowHead = 'arrow';
+        this.bindTarget = null; // Shape an arrow end being dragged would attach to
+        this.textStyle = { fontFamily: 'sans', fontWeight: 'normal', fontStyle: 'normal', textAlign: 'left' }; // New text and notes
+        this.shapeStyle = { fill: null, fillAlpha: 1, dash: 'solid', radius: 0 }; // New shapes (see js/properties.js)
+        this.editingId = null; // Element open in the text overlay
+        this.textEditor = null; // { style(), restyle(props) } while the overlay is open
 
         // UI references
         this.ui = {
             tools: document.querySelectorAll(".tool-btn"),
             color: document.querySelector("#color-picker"),
             size: document.querySelector("#size-slider"),
-            outputWrapper: document.querySelector(".color-picker-wrapper")
+            outputWrapper: document.querySelector(".color-picker-wrapper"),
+            eraserMode: document.querySelector("#eraser-mode-btn"),
+            arrowRouting: document.querySelector("#arrow-routing-btn"),
+            arrowHead: document.querySelector("#arrow-head-btn"),
+            fontFamily: document.querySelector("#font-family-select"),
+            fontBold: document.querySelector("#font-bold-btn"),
+            fontItalic: document.querySelector("#font-italic-btn"),
+            textAlign: document.querySelector("#text-align-btn"),
+            shapes: document.querySelector("#shapes-btn"),
+            shapesMenu: document.querySelector("#shapes-menu")
         };
 
         this.init();
     }
 
     init() {
+        // Text bounds are measured like the canvas draws them (see js/text.js); once the
+        // web fonts arrive the widths change, so everything is measured again
+        setTextMeasurer(createCanvasMeasurer());
+        if (document.fonts) {
+            document.fonts.ready.then(() => {
+                clearTextCache();
+                this.state.rebuildIndex();
+                this.requestRender();
+            });
+        }
         this.bindEvents();
         this.bindRenderEvent();
         this.setupUI();
+        this.setupArrowOptions();
+        this.setupTextOptions();
+        this.smartInk = new SmartInk(this);
+        this.snapper = new Snapper(this);
+        this.clipboard = new ClipboardController(this);
+        this.propertiesPanel = new PropertiesPanel(this);
+        this.layersPanel = new LayersPanel(this);
+        this.backgroundPanel = new BackgroundPanel(this);
+        this.framesPanel = new FramesPanel(this);
+        this.presenter = new Presenter(this);
+        this.minimap = new Minimap(this);
+        this.setupCommands();
+        this.setupCollaboration();
+        this.boards = new BoardManager(this);
+        this.boards.init(new URLSearchParams(window.location.search).get('room')).catch(err => {
+            // The board still works, it just isn't kept
+            console.error('Boards: could not load saved boards, autosave is off', err);
+            this.boards.enabled = false;
+            this.boards.setStatus('Not saved');
+        });
         this.requestRender();
     }
 
     requestRender() {
+        if (this.renderQueued) return; // One draw per frame, however many changes
+        this.renderQueued = true;
         requestAnimationFrame(() => {
-            this.renderer.draw(this.state.elements, this.currentElement);
+            this.renderQueued = false;
+            const peers = this.presence ? this.presence.getPeers() : [];
+            const overlay = {
+                selection: this.activeTool === 'select' ? this.selectionTool.getOverlay() : null,
+                eraser: this.activeTool === 'eraser' && this.eraserTool.cursor
+                    ? { ...this.eraserTool.cursor, r: this.eraserTool.radius }
+                    : null,
+                bindTarget: this.bindTarget,
+                guides: this.snapper.guides,
+                spotlight: this.presenter.getSpotlight()
+            };
+            this.updateArrowOptions(); // They follow the tool and the selection
+            this.updateTextOptions();
+            this.propertiesPanel.update();
+            // Cull: only what intersects the viewport is drawn
+            const visible = this.state.getElementsInRect(this.renderer.getViewRect()).filter(el => el.id !== this.editingId);
+            this.renderer.layers = this.state.layers;
+            this.renderer.frames = this.state.getFrameMap();
+            this.renderer.setBoardBackground(this.state.background);
+            this.renderer.draw(visible, this.currentElement, peers, overlay);
+            this.minimap.render();
+            if (this.presence) {
+                const r = this.renderer;
+                this.presence.updateViewport(r.panX, r.panY, r.scale, r.width, r.height);
+                this.presence.updateDraft(this.currentElement);
+            }
         });
     }
 
@@ -427,10 +720,23 @@ class WhiteboardApp {
 
     // --- EVENT HANDLING ---
     bindEvents() {
-        // Mouse / Touch
-        this.canvas.addEventListener('mousedown', this.handleStart.bind(this));
-        this.canvas.addEventListener('mousemove', this.handleMove.bind(this));
-        window.addEventListener('mouseup', this.handleEnd.bind(this));
+        // Pointer Events: mouse, pen and touch share one path. The canvas captures
+        // the pointer, so a drag that leaves it still ends here. Multi-touch
+        // gestures and palms are taken out first (see js/gestures.js).
+        this.gestures = new GestureController(this);
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.gestures.onPointerDown(e) || !e.isPrimary) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.handleStart(e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.gestures.onPointerMove(e) && e.isPrimary) this.handleMove(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => this.canvas.addEventListener(type, (e) => {
+            if (!this.gestures.onPointerUp(e) && e.isPrimary) this.handleEnd(e);
+        }));
+
+        this.canvas.addEventListener('dblclick', this.handleDoubleClick.bind(this));
 
         // Wheel Zoom
         this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
@@ -439,21 +745,6 @@ class WhiteboardApp {
         window.addEventListener('keydown', this.handleKey.bind(this));
         window.addEventListener('keyup', this.handleKey.bind(this));
 
-        // Touch Support
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault(); // Prevent scrolling
-            this.handleStart(e);
-        }, { passive: false });
-
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            this.handleMove(e);
-        }, { passive: false });
-
-        window.addEventListener('touchend', (e) => {
-            this.handleEnd(e);
-        });
-
         // State for robust delta calculation
         this.lastX = 0;
         this.lastY = 0;
@@ -473,42 +764,41 @@ class WhiteboardApp {
         const { x, y } = this.eventToWorld(e);
 
         if (this.activeTool === 'sticky') {
-            this.handleStickyTool(x, y);
+            this.handleStickyTool(x, y, e);
             return;
         }
 
         // Pan Logic
         if (e.button === 1 || this.activeTool === 'pan' || this.isSpacePressed) {
+            this.stopFollowing();
             this.isPanning = true;
             this.canvas.style.cursor = "grabbing";
             return;
         }
 
-        // Move Logic
-        if (this.activeTool === 'move') {
-            const hitEl = this.state.getHitElement(x, y);
-            if (hitEl) {
-                this.isMoving = true;
-                this.movingElement = hitEl;
-                this.moveStartPos = { x, y };
-                this.state.saveToHistory(); // Save state BEFORE move for Undo
-                this.canvas.style.cursor = "move";
-                return;
-            }
+        // Select / Move / Transform Logic
+        if (this.activeTool === 'select') {
+            this.selectionTool.onPointerDown(x, y, e);
+            return;
         }
 
-        // Draw Logic
-        // COLOR SAFETY CHECK: Prevent drawing with board color
-        if (this.color === CONFIG.ERASER_COLOR && this.activeTool !== 'eraser') {
-            // Auto-switch to White if user tries to use background color
-            this.color = '#ffffff';
-            this.ui.color.value = '#ffffff';
-            this.ui.outputWrapper.style.backgroundColor = '#ffffff';
-            // Optional: alert("Auto-switched to White (Invisible on Dark Board)");
+        // Erase Logic (removes/splits elements, never paints)
+        if (this.activeTool === 'eraser') {
+            this.eraserTool.onPointerDown(x, y);
+            return;
         }
 
+        // Draw Logic: shape points go on the grid when snapping is on (see js/snapping.js)
+        const point = ['brush', 'highlighter'].includes(this.activeTool) ? { x, y } : this.snapper.point(x, y, e);
+        if (this.isPathDraft()) {
+            this.addPathPoint(point.x, point.y);
+            return;
+        }
+
+        if (!this.isActiveLayerEditable()) return;
         this.isDrawing = true;
-        this.startDrawing(x, y);
+        this.strokeStartTime = e.timeStamp;
+        this.startDrawing(point.x, point.y, e);
     }
 
     handleMove(e) {
@@ -528,35 +818,25 @@ class WhiteboardApp {
         }
 
         const { x, y } = this.eventToWorld(e); // Still robust as it uses client coord
+        if (this.presence) this.presence.updateCursor(x, y);
 
-        if (this.isMoving && this.movingElement) {
-            const dx = x - this.moveStartPos.x;
-            const dy = y - this.moveStartPos.y;
-
-            // Apply delta
-            const el = this.movingElement;
-            el.x += dx;
-            el.y += dy;
-
-            // For complex shapes (Rect/Circ/Line) that use endX/Y
-            if (el.endX !== undefined) el.endX += dx;
-            if (el.endY !== undefined) el.endY += dy;
-
-            // For Brush/Eraser (Points)
-            if (el.points) {
-                el.points.forEach(p => {
-                    p.x += dx;
-                    p.y += dy;
-                });
-            }
+        if (this.selectionTool.mode) {
+            this.selectionTool.onPointerMove(x, y, e);
+            return;
+        }
 
-            this.moveStartPos = { x, y }; // Reset ref
-            this.requestRender();
+        if (this.activeTool === 'eraser') {
+            this.eraserTool.onPointerMove(x, y);
             return;
         }
 
         if (this.isDrawing && this.currentElement) {
-            this.updateDrawing(x, y);
+            // Pens report far more samples than frames; use all of them
+            const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            (samples.length > 0 ? samples : [e]).forEach(sample => {
+                const pos = this.eventToWorld(sample);
+                this.updateDrawing(pos.x, pos.y, sample);
+            });
             this.requestRender();
         }
     }
@@ -568,40 +848,37 @@ class WhiteboardApp {
             return; // Don't finalize drawing if panning
         }
 
-        if (this.isMoving) {
-            this.isMoving = false;
-            this.movingElement = null;
-            this.canvas.style.cursor = "default";
+        if (this.selectionTool.mode) {
+            this.selectionTool.onPointerUp(e);
+            return;
+        }
+
+        if (this.eraserTool.isErasing) {
+            this.eraserTool.onPointerUp();
             return;
         }
 
         if (this.isDrawing) {
+            if (this.isPathDraft()) return; // Finished by double-click, Enter or the first point
             this.isDrawing = false;
-            if (this.currentElement) {
-                this.state.addElement(this.currentElement);
-                this.currentElement = null;
-            }
+            this.finishInk();
+            this.bindTarget = null;
+            const el = this.currentElement;
+            if (el && el.type === 'frame') addFrame(this.state, el); // Takes in what it was drawn around
+            else if (el && !this.isStubArrow(el)) this.smartInk.commit(el);
+            this.currentElement = null;
+            this.requestRender();
         }
     }
 
     handleWheel(e) {
         e.preventDefault();
+        this.stopFollowing();
         const zoomDir = e.deltaY > 0 ? -1 : 1;
         const factor = 1 + (CONFIG.ZOOM_SENSITIVITY * zoomDir);
 
-        const mouseX = e.offsetX;
-        const mouseY = e.offsetY;
-        const worldPos = this.renderer.screenToWorld(mouseX, mouseY);
-
-        let newScale = this.renderer.scale * factor;
-        newScale = Math.max(CONFIG.MIN_ZOOM, Math.min(newScale, CONFIG.MAX_ZOOM));
-
-        this.renderer.scale = newScale;
-
-        // Adjust Pan to keep mouse centered
-        this.renderer.panX = mouseX - (worldPos.x * newScale);
-        this.renderer.panY = mouseY - (worldPos.y * newScale);
-
+        // Keep the point under the mouse in place
+        this.renderer.zoomAt(e.offsetX, e.offsetY, this.renderer.scale * factor);
         this.requestRender();
     }
 
@@ -614,156 +891,339 @@ class WhiteboardApp {
             this.isSpacePressed = false;
             this.canvas.style.cursor = "crosshair";
         }
-        // Undo/Redo Shortcuts could go here
+        // Everything else is a command (see setupCommands); ignored while typing in an overlay
+        if (e.type === 'keydown' && !e.repeat) this.commands.handleKeyDown(e);
+    }
+
+    // Double-click: finish a polygon or polyline; with the select tool, edit text and notes, label arrows, name frames
+    handleDoubleClick(e) {
+        if (this.isPathDraft()) {
+            this.finishPath();
+            return;
+        }
+        if (this.activeTool !== 'select') return;
+        const { x, y } = this.eventToWorld(e);
+        const el = this.state.getHitElement(x, y);
+        if (!el) return;
+
+        if (el.type === 'text' || el.type === 'sticky') {
+            this.selectionTool.clear();
+            this.editText(el);
+        } else if (el.type === 'arrow') {
+            const label = prompt("Arrow label:", el.content);
+            if (label !== null && label !== el.content) this.state.updateElement(el, { content: label });
+        } else if (el.type === 'frame') {
+            renameFrame(this.state, el);
+        }
     }
 
     // --- TOOL STRATEGIES ---
-    startDrawing(x, y) {
+    startDrawing(x, y, e) {
         const baseConfig = { x, y, color: this.color, size: this.size };
 
         switch (this.activeTool) {
             case 'brush':
-                this.currentElement = new Element('brush', { ...baseConfig, points: [{ x, y }] });
-                break;
-            case 'eraser':
-                this.currentElement = new Element('eraser', { ...baseConfig, points: [{ x, y }] });
+                this.currentElement = new Element('brush', { ...baseConfig, points: [this.inkSample(x, y, e)] });
                 break;
             case 'highlighter':
                 this.currentElement = new Element('highlighter', {
                     ...baseConfig,
-                    points: [{ x, y }],
+                    points: [this.inkSample(x, y, e)],
                     alpha: CONFIG.HIGHLIGHTER_ALPHA // Transparent
                 });
                 break;
             case 'line':
             case 'rect':
             case 'circle':
+            case 'ellipse':
+            case 'triangle':
+            case 'diamond':
+            case 'star':
+            case 'callout':
                 this.currentElement = new Element(this.activeTool, {
                     ...baseConfig,
+                    ...this.newShapeStyle(this.activeTool),
                     endX: x, endY: y, w: 0, h: 0
                 });
                 break;
+            case 'polygon':
+            case 'polyline': // The last point follows the pointer until the next click
+                this.currentElement = new Element(this.activeTool, {
+                    ...baseConfig,
+                    ...this.newShapeStyle(this.activeTool),
+                    points: [{ x, y }, { x, y }]
+                });
+                break;
+            case 'arrow': {
+                const target = this.state.getBindTarget(x, y);
+                this.currentElement = new Element('arrow', {
+                    ...baseConfig,
+                    ...this.newShapeStyle('arrow'),
+                    endX: x, endY: y,
+                    startBinding: target ? { id: target.id } : null,
+                    arrowEnd: this.arrowHead,
+                    routing: this.arrowRouting
+                });
+                break;
+            }
+            case 'frame': // Named when it is added (see js/frames.js)
+                this.currentElement = new Element('frame', { x, y, w: 0, h: 0, size: 1 });
+                break;
         }
     }
 
-    updateDrawing(x, y) {
+    updateDrawing(x, y, e) {
         if (!this.currentElement) return;
         const el = this.currentElement;
-
-        if (['brush', 'eraser', 'highlighter'].includes(el.type)) {
-            el.points.push({ x, y });
+        const isInk = ['brush', 'eraser', 'highlighter'].includes(el.type);
+        if (!isInk) ({ x, y } = this.snapper.point(x, y, e));
+
+        if (isInk) {
+            // Samples closer than a couple of screen pixels add nothing but jitter
+            const last = el.points[el.points.length - 1];
+            this.lastInkSample = this.inkSample(x, y, e);
+            if (Math.hypot(x - last.x, y - last.y) * this.renderer.scale < INK.MIN_DISTANCE) return;
+            el.points.push(streamlinePoint(last, this.lastInkSample));
         } else if (el.type === 'line' || el.type === 'circle') {
             el.endX = x;
             el.endY = y;
-        } else if (el.type === 'rect') {
+        } else if (isBoxShape(el) || el.type === 'frame') { // Corner to corner; Shift keeps it square
             el.w = x - el.x;
             el.h = y - el.y;
+            if (e && e.shiftKey) {
+                const side = Math.max(Math.abs(el.w), Math.abs(el.h));
+                el.w = (Math.sign(el.w) || 1) * side;
+                el.h = (Math.sign(el.h) || 1) * side;
+            }
+        } else if (SHAPES.PATH_TYPES.includes(el.type)) {
+            const last = el.points[el.points.length - 1];
+            last.x = x;
+            last.y = y;
+        } else if (el.type === 'arrow') {
+            // The end follows the pointer, or attaches to the shape under it
+            const target = this.state.getBindTarget(x, y, el.startBinding ? el.startBinding.id : null);
+            el.endX = x;
+            el.endY = y;
+            el.endBinding = target ? { id: target.id } : null;
+            this.bindTarget = target;
+            routeConnector(el, id => this.state.getElement(id));
         }
     }
 
-    // Text Tool (Advanced Overlay)
+    // A click with the arrow tool: nothing attached and nothing to see
+    isStubArrow(el) {
+        return el.type === 'arrow' && !el.endBinding && Math.hypot(el.endX - el.x, el.endY - el.y) * this.renderer.scale < 4;
+    }
+
+    // The properties panel's defaults that a new element of this type uses
+    newShapeStyle(type) {
+        const style = {};
+        shapeStyleKeys(type).forEach(key => { style[key] = this.shapeStyle[key]; });
+        return style;
+    }
+
+    // --- POLYGONS & POLYLINES ---
+    // Placed click by click while isDrawing stays on; the last point follows the pointer
+    isPathDraft() {
+        return !!this.currentElement && SHAPES.PATH_TYPES.includes(this.currentElement.type);
+    }
+
+    // A click fixes the moving point and starts the next; clicking the first point again closes a polygon
+    addPathPoint(x, y) {
+        const el = this.currentElement;
+        const first = el.points[0];
+        if (el.type === 'polygon' && el.points.length > 3 && Math.hypot(x - first.x, y - first.y) * this.renderer.scale < SHAPES.CLOSE_DISTANCE) {
+            this.finishPath();
+            return;
+        }
+        const last = el.points[el.points.length - 1];
+        last.x = x;
+        last.y = y;
+        el.points.push({ x, y });
+        this.requestRender();
+    }
+
+    finishPath() {
+        if (!this.isPathDraft()) return;
+        const el = this.currentElement;
+        el.points.pop(); // The one following the pointer
+        // A double-click lands twice on the same spot
+        const minGap = 2 / this.renderer.scale;
+        el.points = el.points.filter((p, i, all) => i === 0 || Math.hypot(p.x - all[i - 1].x, p.y - all[i - 1].y) > minGap);
+        this.isDrawing = false;
+        this.currentElement = null;
+        if (el.points.length >= (el.type === 'polygon' ? 3 : 2)) this.state.addElement(el);
+        this.requestRender();
+    }
+
+    cancelPath() {
+        if (!this.isPathDraft()) return;
+        this.isDrawing = false;
+        this.currentElement = null;
+        this.requestRender();
+    }
+
+    inkSample(x, y, e) {
+        return { x, y, pressure: pointerPressure(e), t: Math.round(e.timeStamp - this.strokeStartTime) };
+    }
+
+    // Streamlining trails the pen, so the stroke is finished at the last raw sample
+    finishInk() {
+        const el = this.currentElement;
+        const raw = this.lastInkSample;
+        this.lastInkSample = null;
+        if (!el || !raw || el.points.length === 0) return;
+        const last = el.points[el.points.length - 1];
+        if (Math.hypot(raw.x - last.x, raw.y - last.y) * this.renderer.scale >= INK.MIN_DISTANCE) el.points.push(raw);
+    }
+
+    // Text Tool: click empty space to write, or on a text element to edit it
     handleTextTool(e) {
         const { x, y } = this.eventToWorld(e);
+        const hit = this.state.getHitElement(x, y);
+        if (hit && hit.type === 'text') {
+            this.editText(hit);
+            return;
+        }
+        if (!this.isActiveLayerEditable()) return;
+        this.editText(new Element('text', { x, y, color: this.color, size: this.size, ...this.textStyle }));
+    }
 
-        // Create Input Overlay
-        const input = document.createElement("textarea");
-        input.id = "text-input-overlay";
-        // Calculate screen pos for input
-        const screenPos = this.renderer.worldToScreen(x, y);
+    handleStickyTool(x, y, e) {
+        const hit = this.state.getHitElement(x, y);
+        if (hit && hit.type === 'sticky') {
+            this.editText(hit);
+            return;
+        }
+        if (!this.isActiveLayerEditable()) return;
+        this.editText(new Element('sticky', {
+            ...this.snapper.point(x, y, e),
+            w: 200, h: 200,
+            color: "#ffea00",
+            size: 0, // No stroke
+            ...this.textStyle
+        }));
+    }
+
+    // Edit a text or sticky element in an overlay laid out like the canvas.
+    // `el` is created on commit if it isn't on the board yet; emptied text is deleted.
+    // The text options restyle it while it is open (see setupTextOptions).
+    editText(el) {
+        const isNew = !this.state.getElement(el.id);
+        const isSticky = el.type === 'sticky';
+        const scale = this.renderer.scale;
+        const { FONT_SIZE, PADDING, LINE_HEIGHT, TEXT_COLOR } = CONFIG.STICKY;
+        const style = {}; // Style changes made while editing
 
+        const input = document.createElement("textarea");
+        input.id = isSticky ? "sticky-input-overlay" : "text-input-overlay";
+        input.value = el.content;
+        const screenPos = this.renderer.worldToScreen(el.x, el.y);
         input.style.left = `${screenPos.x}px`;
         input.style.top = `${screenPos.y}px`;
-        input.style.fontSize = `${this.size * 2 * this.renderer.scale}px`; // Match scale
-        input.style.color = this.color;
+        if (el.rotation) input.style.transform = `rotate(${el.rotation}rad)`;
+        if (isSticky) {
+            input.style.width = `${el.w * scale}px`;
+            input.style.padding = `${PADDING * scale}px`;
+            input.style.backgroundColor = el.color;
+            input.style.color = TEXT_COLOR;
+        } else {
+            input.style.color = el.color;
+        }
+
+        // Same font as the canvas at the current zoom; grows with the text
+        // (a sticky note keeps at least its own height)
+        const layout = () => {
+            const styled = { ...el, ...style };
+            const fontSize = (isSticky ? FONT_SIZE : el.size * 2) * scale;
+            input.style.font = fontString(styled, fontSize);
+            input.style.lineHeight = `${isSticky ? LINE_HEIGHT * scale : fontSize * TEXT.LINE_HEIGHT}px`;
+            input.style.textAlign = styled.textAlign;
+            input.style.height = 'auto';
+            input.style.height = `${Math.max(input.scrollHeight, isSticky ? el.h * scale : 0)}px`;
+            if (!isSticky) {
+                input.style.width = 'auto';
+                input.style.width = `${input.scrollWidth + 4}px`;
+            }
+        };
 
         document.body.appendChild(input);
+        layout();
+        this.editingId = isNew ? null : el.id; // Hidden on the canvas while the overlay shows it
+        this.textEditor = {
+            style: () => ({ ...pickTextStyle(el), ...style }),
+            restyle: props => {
+                Object.assign(style, props);
+                layout();
+            }
+        };
+        this.requestRender();
 
-        // Helper to finalize text
+        let cancelled = false;
         const finalize = () => {
-            // Re-calculate world pos from input in case they dragged it (not supported yet)
-            // or zoomed? (blocked usually)
-            // simplified: text stays at creation world coord
-            if (input.value.trim()) {
-                const el = new Element('text', {
-                    x: x, y: y,
-                    content: input.value,
-                    color: this.color,
-                    size: this.size
-                });
-                this.state.addElement(el);
-            }
             input.remove();
-            this.isDrawing = false;
+            this.editingId = null;
+            this.textEditor = null;
+            const props = { ...style, content: input.value };
+            if (cancelled || Object.keys(props).every(key => props[key] === el[key])) {
+                this.requestRender();
+                return;
+            }
+
+            if (!props.content.trim()) {
+                if (!isNew) this.state.deleteElement(el);
+                this.requestRender();
+                return;
+            }
+            if (isSticky) props.h = fitStickyHeight(new Element('sticky', { ...el, ...props }));
+            if (isNew) this.state.addElement(new Element(el.type, { ...el, ...props }));
+            else this.state.updateElement(el, props);
         };
 
         // Focus & Listen
-        setTimeout(() => input.focus(), 10);
+        setTimeout(() => {
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+        }, 10);
+        input.addEventListener("input", layout);
         input.addEventListener("blur", finalize);
         input.addEventListener("keydown", (ev) => {
-            if (ev.key === "Enter" && !ev.shiftKey) { // Shift+Enter for newline
+            if (ev.key === "Enter" && !ev.shiftKey && !isSticky) { // Shift+Enter for newline
                 ev.preventDefault();
                 input.blur();
             }
-            if (ev.key === "Escape") {
-                input.value = ""; // Clear to prevent save
+            if (ev.key === "Escape") { // Leave the element as it was
+                cancelled = true;
                 input.blur();
             }
         });
     }
 
-    handleStickyTool(x, y) {
-        // Create Input Overlay for Sticky
-        const input = document.createElement("textarea");
-        input.id = "sticky-input-overlay";
-        // Calculate screen pos for input
-        const screenPos = this.renderer.worldToScreen(x, y);
-
-        // Style it to look like the sticky
-        input.style.position = "absolute";
-        input.style.left = `${screenPos.x}px`;
-        input.style.top = `${screenPos.y}px`;
-        input.style.width = `${200 * this.renderer.scale}px`;
-        input.style.height = `${200 * this.renderer.scale}px`;
-        input.style.backgroundColor = "#ffea00"; // Sticky Yellow
-        input.style.color = "#1e1e24";
-        input.style.padding = "10px";
-        input.style.border = "none";
-        input.style.outline = "none";
-        input.style.fontFamily = "Inter, sans-serif";
-        input.style.zIndex = 1000;
-
-        document.body.appendChild(input);
-
-        const finalize = () => {
-            if (input.value.trim()) {
-                const el = new Element('sticky', {
-                    x: x, y: y,
-                    w: 200, h: 200,
-                    content: input.value,
-                    color: "#ffea00",
-                    size: 0 // No stroke
-                });
-                this.state.addElement(el);
-            }
-            input.remove();
-        };
+    // --- HELPERS ---
+    // New elements land on the active layer, so it has to be shown and unlocked
+    isActiveLayerEditable() {
+        const layer = this.state.getLayer(this.state.activeLayer);
+        return !layer || (layer.visible && !layer.locked);
+    }
 
-        // Focus & Listen
-        setTimeout(() => input.focus(), 10);
-        input.addEventListener("blur", finalize);
-        input.addEventListener("keydown", (ev) => {
-            if (ev.key === "Escape") {
-                input.value = ""; // Clear to prevent save
-                input.blur();
-            }
-        });
+    // Abandon whatever the pointer started (a touch that turned into a pinch, a palm)
+    cancelPointerAction() {
+        if (this.isDrawing) {
+            this.isDrawing = false;
+            this.currentElement = null;
+            this.lastInkSample = null;
+            this.bindTarget = null;
+        }
+        if (this.isPanning) {
+            this.isPanning = false;
+            this.canvas.style.cursor = this.activeTool === 'pan' ? "grab" : "crosshair";
+        }
+        if (this.selectionTool.mode) this.selectionTool.cancel();
+        this.eraserTool.cancel();
+        this.requestRender();
     }
 
-    // --- HELPERS ---
     getEventPos(e) {
-        if (e.touches && e.touches.length > 0) {
-            return { x: e.touches[0].clientX, y: e.touches[0].clientY };
-        }
         return { x: e.clientX, y: e.clientY };
     }
 
@@ -775,46 +1235,311 @@ class WhiteboardApp {
         return this.renderer.screenToWorld(mx, my);
     }
 
-    setupUI() {
-        // --- Sidebar Actions ---
-        const gridBtn = document.querySelector("#grid-btn");
-        gridBtn.addEventListener("click", () => {
-            this.renderer.toggleGrid();
-            gridBtn.classList.toggle("active");
-            this.requestRender();
+    // --- COMMANDS ---
+    // Every keyboard-reachable action, with its default shortcut (remappable in the palette)
+    setupCommands() {
+        this.commands = new CommandRegistry();
+        const add = (category, id, title, keys, run) => this.commands.register({ id, title, category, keys, run });
+
+        [
+            ['select', 'Select', ['V']],
+            ['brush', 'Brush', ['B']],
+            ['highlighter', 'Highlighter', ['M']],
+            ['eraser', 'Eraser', ['E']],
+            ['rect', 'Rectangle', ['R']],
+            ['circle', 'Circle', ['O']],
+            ['ellipse', 'Ellipse', []],
+            ['triangle', 'Triangle', []],
+            ['diamond', 'Diamond', []],
+            ['star', 'Star', []],
+            ['callout', 'Callout', []],
+            ['polygon', 'Polygon', ['P']],
+            ['polyline', 'Polyline', []],
+            ['line', 'Line', ['L']],
+            ['arrow', 'Arrow', ['A']],
+            ['text', 'Text', ['T']],
+            ['sticky', 'Sticky Note', ['N']],
+            ['frame', 'Frame', ['F']],
+            ['pan', 'Pan (Hand)', ['H']]
+        ].forEach(([tool, title, keys]) => add('Tool', `tool.${tool}`, title, keys, () => this.setTool(tool)));
+        add('Tool', 'tool.smart-ink', 'Toggle Smart Ink', [], () => this.smartInk.setEnabled(!this.smartInk.enabled));
+
+        add('Edit', 'edit.undo', 'Undo', ['Mod+Z'], () => this.state.undo());
+        add('Edit', 'edit.redo', 'Redo', ['Mod+Shift+Z', 'Mod+Y'], () => this.state.redo());
+        add('Edit', 'edit.delete', 'Delete Selection', ['Delete', 'Backspace'], () => this.selectionTool.deleteSelected());
+        add('Edit', 'edit.duplicate', 'Duplicate Selection', ['Mod+D'], () => this.selectionTool.duplicateSelected());
+        // The browser's copy/cut/paste events handle these keys (see js/clipboard.js)
+        [
+            ['edit.copy', 'Copy', ['Mod+C'], () => this.clipboard.copy()],
+            ['edit.cut', 'Cut', ['Mod+X'], () => this.clipboard.copy(true)],
+            ['edit.paste', 'Paste', ['Mod+V'], () => this.clipboard.paste()]
+        ].forEach(([id, title, keys, run]) => this.commands.register({ id, title, category: 'Edit', keys, run, native: true }));
+        add('Edit', 'edit.select-all', 'Select All', ['Mod+A'], () => {
+            this.setTool('select');
+            this.selectionTool.selectAll();
+        });
+        add('Edit', 'edit.deselect', 'Deselect', ['Escape'], () => {
+            this.cancelPath();
+            this.selectionTool.clear();
         });
+        add('Edit', 'edit.finish-shape', 'Finish Polygon / Polyline', ['Enter'], () => this.finishPath());
+        add('Edit', 'edit.forward', 'Bring Forward', [']'], () => this.layersPanel.shiftSelection(1));
+        add('Edit', 'edit.backward', 'Send Backward', ['['], () => this.layersPanel.shiftSelection(-1));
+        add('Edit', 'edit.clear', 'Clear Board', [], () => this.state.clear());
+
+        add('View', 'view.zoom-in', 'Zoom In', ['Mod+=', '+'], () => this.zoomBy(1.2));
+        add('View', 'view.zoom-out', 'Zoom Out', ['Mod+-', '-'], () => this.zoomBy(1 / 1.2));
+        add('View', 'view.zoom-reset', 'Reset Zoom', ['Mod+0'], () => this.resetZoom());
+        add('View', 'view.zoom-fit', 'Zoom to Fit', ['Shift+1'], () => this.zoomToFit());
+        add('View', 'view.zoom-selection', 'Zoom to Selection', ['Shift+2'], () => this.zoomToSelection());
+        add('View', 'view.minimap', 'Toggle Minimap', ['Shift+M'], () => this.minimap.toggle());
+        add('View', 'view.grid', 'Toggle Grid', ['G'], () => this.toggleGrid());
+        add('View', 'view.background', 'Board Background', [], () => this.toggleBackgroundPanel());
+        add('View', 'view.snap-grid', 'Toggle Snap to Grid', ['Shift+G'], () => this.snapper.toggleGrid());
+        add('View', 'view.smart-guides', 'Toggle Smart Guides', [], () => this.snapper.toggleGuides());
+        add('View', 'view.pen-mode', 'Toggle Pen Mode', [], () => this.gestures.setPenMode(!this.gestures.penMode));
+        add('View', 'view.layers', 'Toggle Layers Panel', ['Mod+Shift+L'], () => this.toggleLayersPanel());
+        add('View', 'view.frames', 'Toggle Frames Panel', [], () => this.toggleFramesPanel());
+        add('View', 'view.present', 'Present Frames', ['Mod+Enter'], () => this.presenter.start());
+        add('View', 'view.palette', 'Command Palette', ['Mod+K'], () => this.palette.open());
+
+        add('File', 'file.save', 'Save Project', ['Mod+S'], () => this.saveProject());
+        add('File', 'file.open', 'Open Project', ['Mod+O'], () => document.querySelector("#file-input").click());
+        add('File', 'file.export', 'Export Image', ['Mod+Shift+E'], () => this.showExportDialog());
+        add('File', 'file.export-frames-pdf', 'Export Frames as PDF', [], () => this.framesPanel.export('pdf'));
+        add('File', 'file.export-excalidraw', 'Export to Excalidraw', [], () => this.exportExcalidraw());
+        add('File', 'file.export-frames-png', 'Export Frames as Images', [], () => this.framesPanel.export('png'));
+        add('File', 'file.image', 'Add Image', [], () => document.querySelector("#img-input").click());
+        add('File', 'file.boards', 'Boards', [], () => document.querySelector("#boards-btn").click());
+        add('File', 'file.versions', 'Version History', [], () => document.querySelector("#versions-btn").click());
+
+        this.palette = new CommandPalette(this.commands);
+        document.querySelector("#commands-btn").addEventListener("click", () => this.palette.open());
+    }
 
-        document.querySelector("#zoom-in-btn").addEventListener("click", () => {
-            this.renderer.scale *= 1.2;
-            this.requestRender();
+    setTool(tool) {
+        this.finishPath(); // Keep a polygon in progress
+        this.ui.tools.forEach(btn => btn.classList.toggle("active", btn.dataset.tool === tool));
+        // The More Shapes button stands for the shape picked from its menu
+        const menuTool = this.ui.shapesMenu.querySelector(`[data-tool="${tool}"]`);
+        this.ui.shapes.classList.toggle("active", !!menuTool);
+        if (menuTool) this.ui.shapes.innerHTML = menuTool.innerHTML;
+        this.activeTool = tool;
+        if (tool !== 'select') this.selectionTool.clear();
+        this.ui.eraserMode.style.display = tool === 'eraser' ? '' : 'none';
+        this.smartInk.renderControls();
+        this.requestRender();
+    }
+
+    // --- ARROW OPTIONS ---
+    // Routing and head buttons: shown for the arrow tool or a selection with arrows,
+    // they set the style of new arrows and restyle the selected ones.
+    setupArrowOptions() {
+        const cycle = (list, value) => list[(list.indexOf(value) + 1) % list.length];
+        this.ui.arrowRouting.addEventListener("click", () => {
+            this.arrowRouting = cycle(ROUTINGS, this.arrowRouting);
+            this.restyleSelected(['arrow'], { routing: this.arrowRouting });
+        });
+        this.ui.arrowHead.addEventListener("click", () => {
+            this.arrowHead = cycle(ARROWHEADS, this.arrowHead);
+            this.restyleSelected(['arrow'], { arrowEnd: this.arrowHead });
         });
+    }
+
+    getSelectedOfType(types) {
+        return this.activeTool === 'select' ? this.selectionTool.getSelected().filter(el => types.includes(el.type)) : [];
+    }
 
-        document.querySelector("#zoom-out-btn").addEventListener("click", () => {
-            this.renderer.scale /= 1.2;
+    // One undo step for the whole selection
+    restyleSelected(types, props) {
+        const elements = this.getSelectedOfType(types);
+        if (elements.length > 0) {
+            this.state.beginBatch();
+            elements.forEach(el => this.state.updateElement(el, el.type === 'sticky' && !('h' in props)
+                ? { ...props, h: fitStickyHeight(new Element('sticky', { ...el, ...props })) } // Restyled text may need more room
+                : props));
+            this.state.endBatch();
+        }
+        this.requestRender();
+    }
+
+    updateArrowOptions() {
+        const arrows = this.getSelectedOfType(['arrow']);
+        const show = this.activeTool === 'arrow' || arrows.length > 0;
+        // With a selection, show what the (first) selected arrow has
+        const routing = arrows.length > 0 ? arrows[0].routing : this.arrowRouting;
+        const head = arrows.length > 0 ? arrows[0].arrowEnd : this.arrowHead;
+        const { arrowRouting, arrowHead } = this.ui;
+
+        arrowRouting.style.display = show ? '' : 'none';
+        arrowHead.style.display = show ? '' : 'none';
+        if (arrowRouting.dataset.value !== routing) {
+            arrowRouting.dataset.value = routing;
+            arrowRouting.title = `Arrow Routing: ${routing}`;
+            arrowRouting.innerHTML = `<i class='bx ${ARROW_ICONS.routing[routing]}'></i>`;
+        }
+        if (arrowHead.dataset.value !== head) {
+            arrowHead.dataset.value = head;
+            arrowHead.title = `Arrowhead: ${head}`;
+            arrowHead.innerHTML = `<i class='bx ${ARROW_ICONS.head[head]}'></i>`;
+        }
+    }
+
+    // --- TEXT OPTIONS ---
+    // Font, bold, italic and alignment: shown for the text and sticky tools or a selection
+    // with text in it; they set the style of new text and restyle the selected text.
+    setupTextOptions() {
+        const { fontFamily, fontBold, fontItalic, textAlign } = this.ui;
+        const restyle = props => {
+            Object.assign(this.textStyle, props);
+            if (this.textEditor) this.textEditor.restyle(props);
+            else this.restyleSelected(['text', 'sticky'], props);
             this.requestRender();
+        };
+        // Keep the focus where it is, so an open text overlay isn't committed by the click
+        [fontBold, fontItalic, textAlign].forEach(btn => btn.addEventListener("mousedown", (e) => e.preventDefault()));
+
+        fontFamily.addEventListener("change", () => restyle({ fontFamily: fontFamily.value }));
+        fontBold.addEventListener("click", () => restyle({ fontWeight: this.currentTextStyle().fontWeight === 'bold' ? 'normal' : 'bold' }));
+        fontItalic.addEventListener("click", () => restyle({ fontStyle: this.currentTextStyle().fontStyle === 'italic' ? 'normal' : 'italic' }));
+        textAlign.addEventListener("click", () => {
+            const current = this.currentTextStyle().textAlign;
+            restyle({ textAlign: TEXT_ALIGNS[(TEXT_ALIGNS.indexOf(current) + 1) % TEXT_ALIGNS.length] });
         });
+    }
+
+    // Style of the text being edited or the (first) selected text, else the one new text gets
+    currentTextStyle() {
+        if (this.textEditor) return this.textEditor.style();
+        const [first] = this.getSelectedOfType(['text', 'sticky']);
+        return first ? pickTextStyle(first) : this.textStyle;
+    }
+
+    updateTextOptions() {
+        const { fontFamily, fontBold, fontItalic, textAlign } = this.ui;
+        const show = !!this.textEditor || ['text', 'sticky'].includes(this.activeTool) || this.getSelectedOfType(['text', 'sticky']).length > 0;
+        const style = this.currentTextStyle();
+
+        [fontFamily, fontBold, fontItalic, textAlign].forEach(control => { control.style.display = show ? '' : 'none'; });
+        if (!show) return;
+        if (fontFamily.value !== style.fontFamily) fontFamily.value = style.fontFamily;
+        fontBold.classList.toggle("active", style.fontWeight === 'bold');
+        fontItalic.classList.toggle("active", style.fontStyle === 'italic');
+        if (textAlign.dataset.value !== style.textAlign) {
+            textAlign.dataset.value = style.textAlign;
+            textAlign.title = `Align: ${style.textAlign}`;
+            textAlign.innerHTML = `<i class='bx ${ALIGN_ICONS[style.textAlign]}'></i>`;
+        }
+    }
+
+    // Buttons and shortcuts zoom around the middle of the view
+    zoomBy(factor) {
+        this.stopFollowing();
+        const r = this.renderer;
+        r.zoomAt(r.width / 2, r.height / 2, r.scale * factor);
+        this.requestRender();
+    }
+
+    resetZoom() {
+        this.stopFollowing();
+        this.renderer.scale = 1;
+        this.renderer.panX = 0;
+        this.renderer.panY = 0;
+        this.requestRender();
+    }
+
+    // The whole board in view (hidden layers don't count); an empty board goes back to the origin
+    zoomToFit() {
+        const bounds = getContentBounds(this.state.getDrawOrder());
+        if (bounds) this.animateView(this.renderer.fitRect(bounds, CONFIG.FIT_PADDING, CONFIG.FIT_MAX_ZOOM));
+        else this.resetZoom();
+    }
+
+    zoomToSelection() {
+        const bounds = getContentBounds(this.selectionTool.getSelected());
+        if (bounds) this.animateView(this.renderer.fitRect(bounds, CONFIG.FIT_PADDING, CONFIG.FIT_MAX_ZOOM));
+    }
 
-        document.querySelector("#zoom-reset-btn").addEventListener("click", () => {
-            this.renderer.scale = 1;
-            this.renderer.panX = 0;
-            this.renderer.panY = 0;
+    // The board's pattern on/off (an undoable board change, see js/themes.js)
+    toggleGrid() {
+        this.backgroundPanel.togglePattern();
+    }
+
+    toggleBackgroundPanel() {
+        document.querySelector("#background-btn").classList.toggle("active", this.backgroundPanel.toggle());
+    }
+
+    toggleLayersPanel() {
+        document.querySelector("#layers-btn").classList.toggle("active", this.layersPanel.toggle());
+    }
+
+    toggleFramesPanel() {
+        document.querySelector("#frames-btn").classList.toggle("active", this.framesPanel.toggle());
+    }
+
+    // Jump to a view ({ panX, panY, scale }), ending any animation towards another
+    setView(view) {
+        this.stopFollowing();
+        Object.assign(this.renderer, { panX: view.panX, panY: view.panY, scale: view.scale });
+        this.requestRender();
+    }
+
+    // Glide to a view: its center moves in a straight line while the zoom changes evenly
+    animateView(view, duration = FRAMES.ANIMATION_MS) {
+        this.stopFollowing();
+        const r = this.renderer;
+        const centerOf = v => ({ x: (r.width / 2 - v.panX) / v.scale, y: (r.height / 2 - v.panY) / v.scale });
+        const from = { ...centerOf(r), scale: r.scale };
+        const to = { ...centerOf(view), scale: view.scale };
+        const started = performance.now();
+        const animation = {};
+        this.viewAnimation = animation;
+
+        const step = (now) => {
+            if (this.viewAnimation !== animation) return; // Superseded, or the user took over
+            const t = Math.min(1, (now - started) / duration);
+            const k = t < 0.5 ? 2 * t * t : 1 - Math.pow(2 - 2 * t, 2) / 2; // Ease in and out
+            r.scale = from.scale * Math.pow(to.scale / from.scale, k);
+            r.panX = r.width / 2 - (from.x + (to.x - from.x) * k) * r.scale;
+            r.panY = r.height / 2 - (from.y + (to.y - from.y) * k) * r.scale;
             this.requestRender();
+            if (t < 1) requestAnimationFrame(step);
+            else this.viewAnimation = null;
+        };
+        requestAnimationFrame(step);
+    }
+
+    setupUI() {
+        // --- Sidebar Actions ---
+        document.querySelector("#grid-btn").addEventListener("click", () => this.toggleGrid());
+        document.querySelector("#background-btn").addEventListener("click", () => this.toggleBackgroundPanel());
+        document.querySelector("#zoom-in-btn").addEventListener("click", () => this.zoomBy(1.2));
+        document.querySelector("#zoom-out-btn").addEventListener("click", () => this.zoomBy(1 / 1.2));
+        document.querySelector("#zoom-reset-btn").addEventListener("click", () => this.resetZoom());
+        document.querySelector("#zoom-fit-btn").addEventListener("click", () => this.zoomToFit());
+        document.querySelector("#layers-btn").addEventListener("click", () => this.toggleLayersPanel());
+        document.querySelector("#frames-btn").addEventListener("click", () => this.toggleFramesPanel());
+        document.querySelector("#pen-mode-btn").addEventListener("click", () => this.gestures.setPenMode(!this.gestures.penMode));
+
+        // Eraser Mode (only shown while the eraser is active)
+        const eraserModeBtn = this.ui.eraserMode;
+        eraserModeBtn.addEventListener("click", () => {
+            const mode = this.eraserTool.toggleMode();
+            eraserModeBtn.title = mode.title;
+            eraserModeBtn.innerHTML = `<i class='bx ${mode.icon}'></i>`;
         });
 
+        // More Shapes menu: its entries are ordinary tool buttons
+        this.ui.shapes.addEventListener("click", () => { this.ui.shapesMenu.hidden = !this.ui.shapesMenu.hidden; });
+        this.ui.shapesMenu.addEventListener("click", () => { this.ui.shapesMenu.hidden = true; });
+
         // Tool Buttons
         document.querySelectorAll(".tool-btn").forEach(btn => {
             btn.addEventListener("click", () => {
                 const action = btn.dataset.tool;
-                if (!action) {
-                    if (btn.id === 'undo-btn') this.state.undo();
-                    if (btn.id === 'redo-btn') this.state.redo();
-                    return;
-                }
-
-                // Activating Tool
-                document.querySelector(".tool-btn.active")?.classList.remove("active");
-                btn.classList.add("active");
-                this.activeTool = action;
+                if (action) this.setTool(action);
+                if (btn.id === 'undo-btn') this.state.undo();
+                if (btn.id === 'redo-btn') this.state.redo();
             });
         });
 
@@ -844,23 +1569,11 @@ class WhiteboardApp {
         // Global Actions
         document.querySelector("#clear-btn").addEventListener("click", () => this.state.clear());
 
-        // Export Image
-        document.querySelector("#save-btn").addEventListener("click", () => {
-            const link = document.createElement("a");
-            link.download = `whiteboard-${Date.now()}.jpg`;
-            link.href = this.canvas.toDataURL();
-            link.click();
-        });
+        // Export Image (dialog)
+        this.setupExport();
 
         // Save Project (JSON)
-        document.querySelector("#save-project-btn").addEventListener("click", () => {
-            const data = JSON.stringify(this.state.elements);
-            const blob = new Blob([data], { type: 'application/json' });
-            const link = document.createElement("a");
-            link.download = `project-${Date.now()}.json`;
-            link.href = URL.createObjectURL(blob);
-            link.click();
-        });
+        document.querySelector("#save-project-btn").addEventListener("click", () => this.saveProject());
 
         // Load Project
         const fileInput = document.querySelector("#file-input");
@@ -869,21 +1582,7 @@ class WhiteboardApp {
         fileInput.addEventListener("change", (e) => {
             const file = e.target.files[0];
             if (!file) return;
-
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    this.state.restoreFromJSON(e.target.result);
-                    // Clear history to start fresh or keep interactions?
-                    // Usually loading a file clears undo stack of previous session
-                    this.state.history = [];
-                    this.state.redoStack = [];
-                } catch (err) {
-                    alert("Failed to load project files.");
-                    console.error(err);
-                }
-            };
-            reader.readAsText(file);
+            this.openProjectFile(file);
             // Reset input
             fileInput.value = '';
         });
@@ -895,39 +1594,290 @@ class WhiteboardApp {
         imgInput.addEventListener("change", (e) => {
             const file = e.target.files[0];
             if (!file) return;
+            // Center on screen
+            const center = this.renderer.screenToWorld(this.renderer.width / 2, this.renderer.height / 2);
+            this.clipboard.insertImageFiles([file], center);
+            imgInput.value = '';
+        });
+    }
 
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                const img = new Image();
-                img.onload = () => {
-                    // Fit to reasonable size
-                    let w = img.width;
-                    let h = img.height;
-                    const maxSize = 500;
-                    if (w > maxSize || h > maxSize) {
-                        const ratio = w / h;
-                        if (w > h) { w = maxSize; h = maxSize / ratio; }
-                        else { h = maxSize; w = maxSize * ratio; }
-                    }
+    // --- PROJECT FILES ---
+    saveProject() {
+        const doc = createDocument(this.state, {
+            meta: { name: this.boards && this.boards.board ? this.boards.board.name : 'Untitled board' },
+            viewport: { panX: this.renderer.panX, panY: this.renderer.panY, scale: this.renderer.scale }
+        });
+        const data = JSON.stringify(doc);
+        this.download(new Blob([data], { type: 'application/json' }), `project-${Date.now()}.json`);
+    }
 
-                    // Center on screen
-                    const center = this.renderer.screenToWorld(window.innerWidth / 2, window.innerHeight / 2);
-
-                    const el = new Element('image', {
-                        x: center.x - w / 2,
-                        y: center.y - h / 2,
-                        w: w,
-                        h: h,
-                        dataURL: event.target.result // Store DataURL for persistence
-                    });
-                    this.state.addElement(el);
-                };
-                img.src = event.target.result;
-            };
-            reader.readAsDataURL(file);
-            imgInput.value = '';
+    // A .json project or an .excalidraw drawing picked or dropped on the board (see js/clipboard.js)
+    openProjectFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+            let doc;
+            try {
+                doc = isExcalidrawFile(file.name, text) ? readExcalidraw(text) : readDocument(text);
+            } catch (err) {
+                alert(`Can't open ${file.name}:\n${describeFormatError(err)}`);
+                console.error(err);
+                return;
+            }
+            if (doc.skipped && Object.keys(doc.skipped).length > 0) {
+                alert(`Some elements of ${file.name} have no counterpart here and were left out:\n${describeSkipped(doc.skipped)}`);
+            }
+            this.openProject(doc);
+        };
+        reader.readAsText(file);
+    }
+
+    // The visible board as an .excalidraw file (see js/excalidraw.js)
+    exportExcalidraw() {
+        const { file, skipped } = createExcalidraw({ elements: this.state.getDrawOrder(), background: this.state.background });
+        this.download(new Blob([JSON.stringify(file)], { type: 'application/json' }), `board-${Date.now()}.excalidraw`);
+        if (Object.keys(skipped).length > 0) alert(`These elements have no Excalidraw counterpart and were left out:\n${describeSkipped(skipped)}`);
+    }
+
+    // An empty board is simply replaced; otherwise ask whether to replace or merge
+    openProject(doc) {
+        if (this.state.elements.length === 0) {
+            this.loadProject(doc, 'replace');
+            return;
+        }
+
+        const dialog = document.querySelector("#open-dialog");
+        const close = (mode) => {
+            dialog.hidden = true;
+            dialog.onclick = null;
+            if (mode) this.loadProject(doc, mode);
+        };
+        dialog.querySelector("#open-summary").textContent =
+            `"${(doc.meta && doc.meta.name) || 'Project'}" has ${doc.elements.length} element(s).`;
+        dialog.onclick = (e) => {
+            if (e.target.id === 'open-replace') close('replace');
+            if (e.target.id === 'open-merge') close('merge');
+            if (e.target.id === 'open-cancel') close(null);
+        };
+        dialog.hidden = false;
+    }
+
+    loadProject(doc, mode) {
+        this.selectionTool.clear();
+        if (mode === 'merge') {
+            this.state.merge(doc); // Undoable
+            return;
+        }
+
+        // Replacing starts a fresh undo history and takes the file's view and background
+        this.state.restore(doc);
+        if (doc.viewport) {
+            this.stopFollowing();
+            this.renderer.panX = doc.viewport.panX;
+            this.renderer.panY = doc.viewport.panY;
+            this.renderer.scale = doc.viewport.scale;
+        }
+        this.requestRender();
+    }
+
+    // --- EXPORT ---
+    setupExport() {
+        const dialog = document.querySelector("#export-dialog");
+        const field = id => dialog.querySelector(`#${id}`);
+
+        field('export-format').addEventListener("change", () => this.syncExportFields());
+        document.querySelector("#save-btn").addEventListener("click", () => this.showExportDialog());
+        field('export-cancel').addEventListener("click", () => { dialog.hidden = true; });
+
+        field('export-confirm').addEventListener("click", () => {
+            const backgrounds = { board: backgroundColor(this.state.background), white: '#ffffff', transparent: null };
+            this.exportBoard({
+                format: field('export-format').value,
+                area: field('export-area').value,
+                scale: parseFloat(field('export-scale').value),
+                padding: Math.max(0, parseFloat(field('export-padding').value) || 0),
+                background: backgrounds[field('export-background').value],
+                grid: field('export-grid').checked
+            });
+            dialog.hidden = true;
         });
     }
+
+    showExportDialog() {
+        const dialog = document.querySelector("#export-dialog");
+        const area = dialog.querySelector("#export-area");
+        const selectionOption = area.querySelector('option[value="selection"]');
+        selectionOption.disabled = this.selectionTool.selectedIds.size === 0;
+        if (selectionOption.disabled && area.value === 'selection') area.value = 'board';
+        this.syncExportFields();
+        dialog.hidden = false;
+    }
+
+    // Scale and grid only apply to raster output
+    syncExportFields() {
+        const isPng = document.querySelector("#export-format").value === 'png';
+        document.querySelector("#export-scale").disabled = !isPng;
+        document.querySelector("#export-grid").disabled = !isPng;
+    }
+
+    async exportBoard({ format, area, scale, padding, background, grid }) {
+        let elements = area === 'selection' ? this.state.sortByZ(this.selectionTool.getSelected()) : this.state.getDrawOrder();
+        let bounds = getContentBounds(elements);
+
+        if (area === 'view') {
+            bounds = this.renderer.getViewRect();
+            elements = this.state.getElementsInRect(bounds);
+            padding = 0;
+        }
+
+        if (!bounds || (area !== 'view' && elements.length === 0)) {
+            alert("Nothing to export.");
+            return;
+        }
+
+        if (format === 'svg') {
+            const exporter = new SvgExporter({ padding, background, layers: this.state.layers, board: this.state.background, frames: this.state.getFrameMap() });
+            const svg = exporter.render(elements, bounds);
+            this.download(new Blob([svg], { type: 'image/svg+xml' }), `whiteboard-${Date.now()}.svg`);
+            return;
+        }
+
+        const exporter = new PngExporter({ scale, padding, background, grid, layers: this.state.layers, board: this.state.background, frames: this.state.getFrameMap() });
+        const blob = await exporter.toBlob(elements, bounds);
+        if (!blob) {
+            alert("The browser couldn't create this PNG; try a smaller scale or area.");
+            return;
+        }
+        if (exporter.appliedScale < scale) {
+            alert(`The board is too large for ${scale}x; exported at ${exporter.appliedScale.toFixed(2)}x instead.`);
+        }
+        this.download(blob, `whiteboard-${Date.now()}.png`);
+    }
+
+    // Save a Blob or data URL as a file
+    download(data, filename) {
+        const link = document.createElement("a");
+        link.download = filename;
+        link.href = typeof data === 'string' ? data : URL.createObjectURL(data);
+        link.click();
+        if (typeof data !== 'string') setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    // --- COLLABORATION ---
+    // Join a room with ?room=name (optionally &server=ws://host:port), or via the Share button.
+    setupCollaboration() {
+        this.ui.share = document.querySelector("#share-btn");
+        this.ui.share.addEventListener("click", () => {
+            if (this.sync) {
+                prompt("Share this link to co-edit the board:", window.location.href);
+                return;
+            }
+            const room = prompt("Room name:", Math.random().toString(36).slice(2, 8));
+            if (!room) return;
+            const url = new URL(window.location.href);
+            url.searchParams.set('room', room);
+            window.history.replaceState(null, '', url);
+            this.joinRoom(room);
+        });
+
+        const room = new URLSearchParams(window.location.search).get('room');
+        if (room) this.joinRoom(room);
+    }
+
+    joinRoom(room) {
+        const params = new URLSearchParams(window.location.search);
+        const { protocol, host } = window.location;
+        const sameOrigin = protocol.startsWith('http') ? `${protocol === 'https:' ? 'wss' : 'ws'}://${host}` : null;
+
+        this.sync = new SyncClient(this.state, {
+            url: params.get('server') || sameOrigin || CONFIG.RELAY_URL,
+            room,
+            create: data => new Element(data.type, data),
+            onStatus: (status) => {
+                this.ui.share.dataset.status = status;
+                this.ui.share.title = `Collaborate (${status})`;
+            }
+        });
+        this.sync.connect();
+        if (this.boards) this.boards.room = room; // Shared from now on: no switching boards under the room
+
+        // Presence rides on the relay; ?transport=local uses BroadcastChannel instead (same machine, no server)
+        const transport = params.get('transport') === 'local'
+            ? new BroadcastChannelTransport(`whiteboard-presence:${room}`)
+            : new RelayTransport(this.sync);
+        this.startPresence(transport, this.sync.clientId);
+    }
+
+    // --- PRESENCE ---
+    startPresence(transport, id) {
+        if (this.presence) this.presence.destroy();
+        else window.addEventListener('beforeunload', () => this.presence.destroy()); // Once: it ends whichever one is current
+
+        let name = localStorage.getItem('whiteboard-user-name');
+        if (!name) {
+            name = `Guest ${Math.floor(Math.random() * 900) + 100}`;
+            localStorage.setItem('whiteboard-user-name', name);
+        }
+
+        this.presence = new PresenceManager(transport, {
+            id,
+            name,
+            onChange: (change) => {
+                if (change.type !== 'update') this.renderPresenceList();
+                const followed = this.presence.getFollowed();
+                if (followed && followed.viewport && change.id === followed.id) this.applyFollowedViewport(followed.viewport);
+                this.requestRender();
+            }
+        });
+        this.renderPresenceList();
+    }
+
+    renderPresenceList() {
+        const list = document.querySelector("#presence-list");
+        list.innerHTML = '';
+
+        const addAvatar = (person, isSelf) => {
+            const avatar = document.createElement("button");
+            avatar.className = "presence-avatar";
+            avatar.style.backgroundColor = person.color;
+            avatar.textContent = person.name.trim().charAt(0).toUpperCase() || '?';
+            avatar.title = isSelf ? `${person.name} (you) - click to rename` : `${person.name} - click to follow`;
+            if (!isSelf && this.presence.followingId === person.id) avatar.classList.add("following");
+
+            avatar.addEventListener("click", () => {
+                if (isSelf) {
+                    const name = prompt("Your name:", this.presence.name);
+                    if (!name || !name.trim()) return;
+                    localStorage.setItem('whiteboard-user-name', name.trim());
+                    this.presence.setName(name.trim());
+                    this.renderPresenceList();
+                } else if (this.presence.followingId === person.id) {
+                    this.presence.unfollow();
+                } else {
+                    this.presence.follow(person.id);
+                }
+            });
+            list.appendChild(avatar);
+        };
+
+        addAvatar(this.presence, true);
+        this.presence.getPeers().forEach(peer => addAvatar(peer, false));
+    }
+
+    // Mirror the followed user's zoom and keep their view centered on our screen
+    applyFollowedViewport(v) {
+        const centerX = (v.width / 2 - v.panX) / v.scale;
+        const centerY = (v.height / 2 - v.panY) / v.scale;
+        this.renderer.scale = v.scale;
+        this.renderer.panX = this.renderer.width / 2 - centerX * v.scale;
+        this.renderer.panY = this.renderer.height / 2 - centerY * v.scale;
+    }
+
+    // The user takes the view over: no more following a peer, and no animation (see animateView)
+    stopFollowing() {
+        this.viewAnimation = null;
+        if (this.presence) this.presence.unfollow();
+    }
 }
 
 // Start App
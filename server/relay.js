@@ -0,0 +1,315 @@
+/**
+ * Online Whiteboard - Local Relay Server
+ * Serves the app and relays board operations between peers in the same room.
+ *
+ * Usage: node server/relay.js [port]
+ * Then open http://localhost:8080/?room=demo in two tabs.
+ *
+ * Zero dependencies: the WebSocket handshake and framing (RFC 6455) are done by hand.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Replica, isValidOp } = require('../js/sync.js');
+
+// --- 1. CONFIGURATION ---
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+const ROOT = path.resolve(__dirname, '..');
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 32 * 1024 * 1024; // Boards with embedded images get big
+const PUBLIC_FILES = ['index.html', 'style.css', 'script.js']; // What the app needs; nothing else under ROOT is served
+const PUBLIC_DIRS = ['js', 'assets'];
+const EMPTY_ROOM_TTL_MS = 10 * 60 * 1000; // An empty room keeps its board this long, so reconnecting peers find it
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+};
+
+// --- 2. WEBSOCKET CONNECTION ---
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.onMessage = () => { };
+        this.onClose = () => { };
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const b0 = this.buffer[0];
+            const b1 = this.buffer[1];
+            const fin = (b0 & 0x80) !== 0;
+            const opcode = b0 & 0x0f;
+            const masked = (b1 & 0x80) !== 0;
+            let length = b1 & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            if (length > MAX_PAYLOAD) {
+                this.close(1009);
+                return;
+            }
+
+            const maskLength = masked ? 4 : 0;
+            if (this.buffer.length < offset + maskLength + length) return;
+
+            let payload = this.buffer.subarray(offset + maskLength, offset + maskLength + length);
+            if (masked) {
+                const mask = this.buffer.subarray(offset, offset + 4);
+                payload = Buffer.from(payload);
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.subarray(offset + maskLength + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+                break;
+            case 0x8: // Close
+                this.close();
+                break;
+            case 0x9: // Ping
+                this.write(0xA, payload);
+                break;
+        }
+    }
+
+    write(opcode, payload) {
+        if (this.closed) return;
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(msg) {
+        this.write(0x1, Buffer.from(JSON.stringify(msg), 'utf8'));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(0x8, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// --- 3. ROOMS ---
+// Each room keeps a server-side Replica so late joiners get the current board.
+const rooms = new Map();
+
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, { name, peers: new Map(), elements: [], replica: new Replica('relay'), expiry: null });
+    }
+    const room = rooms.get(name);
+    clearTimeout(room.expiry);
+    room.expiry = null;
+    return room;
+}
+
+// Forget a room once it has been empty for EMPTY_ROOM_TTL_MS
+function releaseRoom(room) {
+    if (room.peers.size > 0) return;
+    room.expiry = setTimeout(() => {
+        rooms.delete(room.name);
+        log(`${room.name} closed`);
+    }, EMPTY_ROOM_TTL_MS);
+}
+
+function broadcast(room, msg, except) {
+    room.peers.forEach((conn, clientId) => {
+        if (clientId !== except) conn.send(msg);
+    });
+}
+
+function handleConnection(conn) {
+    let room = null;
+    let clientId = null;
+
+    const leave = () => {
+        if (!room) return;
+        room.peers.delete(clientId);
+        broadcast(room, { type: 'peer-leave', clientId });
+        log(`${clientId} left ${room.name} (${room.peers.size} peers)`);
+        releaseRoom(room);
+        room = null;
+    };
+
+    // One bad message is dropped; it must not take down the relay and every room with it
+    conn.onMessage = (text) => {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (err) {
+            return;
+        }
+        if (!msg || typeof msg !== 'object') return;
+        try {
+            handleMessage(msg);
+        } catch (err) {
+            log(`dropped a ${msg.type} message from ${clientId || 'a new peer'} (${err.message})`);
+        }
+    };
+
+    function handleMessage(msg) {
+        switch (msg.type) {
+            case 'join':
+                leave();
+                if (typeof msg.room !== 'string' || !msg.room) return;
+                clientId = String(msg.clientId || crypto.randomUUID());
+                room = getRoom(msg.room);
+                // Ops are stamped with the client id, so two peers can't share one
+                if (room.peers.has(clientId)) {
+                    log(`${clientId} refused in ${room.name}: already joined`);
+                    conn.send({ type: 'error', message: `Client id ${clientId} is already in this room` });
+                    releaseRoom(room);
+                    room = null;
+                    conn.close(1008);
+                    return;
+                }
+                conn.send({
+                    type: 'snapshot',
+                    snapshot: room.replica.snapshot(room.elements),
+                    peers: Array.from(room.peers.keys())
+                });
+                room.peers.set(clientId, conn);
+                broadcast(room, { type: 'peer-join', clientId }, clientId);
+                log(`${clientId} joined ${room.name} (${room.peers.size} peers)`);
+                break;
+
+            case 'leave':
+                leave();
+                break;
+
+            case 'op':
+                if (!room || !isValidOp(msg.op)) return;
+                room.replica.integrate(msg.op, room.elements);
+                broadcast(room, { type: 'op', op: msg.op }, clientId);
+                break;
+
+            case 'presence':
+                // Cursors and viewports are ephemeral: relay them, never store them
+                if (!room) return;
+                broadcast(room, { type: 'presence', data: msg.data }, clientId);
+                break;
+        }
+    }
+
+    conn.onClose = leave;
+}
+
+// --- 4. HTTP (static files + upgrade) ---
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (err) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    const relative = path.relative(ROOT, filePath);
+    const isPublic = PUBLIC_FILES.includes(relative) || PUBLIC_DIRS.some(dir => relative.startsWith(dir + path.sep));
+
+    if (!isPublic) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function handleUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    socket.setNoDelay(true);
+    handleConnection(new Connection(socket));
+}
+
+function log(message) {
+    console.log(`[relay] ${message}`);
+}
+
+const server = http.createServer(serveStatic);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => log(`listening on http://localhost:${PORT}`));
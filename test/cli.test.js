@@ -0,0 +1,150 @@
+/**
+ * Online Whiteboard - Command Line Tool Tests
+ * Each command of cli/whiteboard.js run as a process on the fixtures in test/fixtures.
+ *
+ * Usage: node --test test/
+ *
+ * Outputs go to a temporary directory, removed when the tests end; no dependencies.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// --- 1. SETUP ---
+const CLI = path.resolve(__dirname, '..', 'cli', 'whiteboard.js');
+const DRAWING = path.join(__dirname, 'fixtures', 'drawing.excalidraw');
+const BOARD = path.join(__dirname, 'fixtures', 'board.excalidraw');
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'whiteboard-cli-'));
+
+test.after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+// { status, stdout, stderr } of one run
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+function runJSON(...args) {
+    const result = run(...args, '--json');
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+}
+
+function readProject(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// --- 2. LOADING ---
+test('validate reports each file and what was left out', () => {
+    const result = run('validate', DRAWING, BOARD);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /✓ .*drawing\.excalidraw: 12 element\(s\) \(left out: .*1 × embeddable/);
+    assert.match(result.stdout, /✓ .*board\.excalidraw: \d+ element\(s\)/);
+});
+
+test('validate exits 1 when a file can\'t be opened, and still checks the rest', () => {
+    const broken = path.join(TMP, 'broken.json');
+    fs.writeFileSync(broken, '{ "elements": [ ');
+    const result = run('validate', broken, DRAWING);
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /✗ .*broken\.json/);
+    assert.match(result.stdout, /✓ .*drawing\.excalidraw/);
+
+    const json = run('validate', BOARD, broken, '--json');
+    assert.equal(json.status, 1);
+    assert.deepEqual(JSON.parse(json.stdout).map(r => r.ok), [true, false]);
+});
+
+test('stats counts elements by type, layer and frame', () => {
+    const report = runJSON('stats', DRAWING);
+    assert.equal(report.elements, 12);
+    assert.equal(report.types.arrow, 2);
+    assert.deepEqual(report.layers.map(layer => layer.elements), [12]);
+    assert.deepEqual(report.frames, [{ name: 'Flow', elements: 8 }]);
+    assert.deepEqual(report.images.map(image => [image.mimeType, image.width, image.height]), [['image/png', 2, 2]]);
+    assert.equal(report.skipped.embeddable, 1);
+});
+
+test('a missing file is an error, a wrong command a usage error', () => {
+    const missing = run('stats', path.join(TMP, 'nothing.json'));
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Can't read .*nothing\.json \(ENOENT\)/);
+
+    assert.equal(run('frob', DRAWING).status, 2);
+    assert.equal(run('stats').status, 2);
+    assert.equal(run('stats', DRAWING, BOARD).status, 2);
+    assert.equal(run('stats', DRAWING, '--wat').status, 2);
+});
+
+// --- 3. EXPORT ---
+test('svg writes the board to stdout, or to the file given', () => {
+    const result = run('svg', DRAWING);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^<svg [^>]*viewBox="-60 -60 800 610"/);
+    assert.match(result.stdout, /<rect x="-60" y="-60" width="800" height="610" fill="#ffffff"\/>/);
+
+    const out = path.join(TMP, 'drawing.svg');
+    const written = run('svg', DRAWING, '-o', out, '--padding', '0', '--transparent');
+    assert.equal(written.status, 0, written.stderr);
+    assert.equal(written.stdout, '');
+    assert.match(written.stderr, /Wrote .*drawing\.svg/);
+    const svg = fs.readFileSync(out, 'utf8');
+    assert.match(svg, /viewBox="-40 -40 760 570"/);
+    assert.match(svg, /^<svg [^>]*>\n  <defs>/, 'no background with --transparent');
+
+    assert.equal(run('svg', DRAWING, '--padding', '-5').status, 2);
+});
+
+// --- 4. CHANGING FILES ---
+test('merge puts every element of every file in one project, with unique ids', () => {
+    const out = path.join(TMP, 'merged.json');
+    const result = run('merge', DRAWING, DRAWING, '-o', out, '--name', 'Twice');
+    assert.equal(result.status, 0, result.stderr);
+    const project = readProject(out);
+    assert.equal(project.meta.name, 'Twice');
+    assert.equal(project.elements.length, 24);
+    assert.equal(new Set(project.elements.map(el => el.id)).size, 24);
+    assert.equal(run('validate', out).status, 0);
+});
+
+test('merge needs two files and an output', () => {
+    assert.equal(run('merge', DRAWING, '-o', path.join(TMP, 'one.json')).status, 2);
+    assert.equal(run('merge', DRAWING, BOARD).status, 2);
+});
+
+test('split by frame writes one project per frame, plus what no frame holds', () => {
+    const merged = path.join(TMP, 'both.json');
+    assert.equal(run('merge', DRAWING, BOARD, '-o', merged).status, 0);
+    const dir = path.join(TMP, 'frames');
+    const result = run('split', merged, '--by', 'frame', '-o', dir);
+    assert.equal(result.status, 0, result.stderr);
+
+    const files = fs.readdirSync(dir).sort();
+    assert.equal(files[files.length - 1], 'both-03-outside-frames.json');
+    assert.equal(files.length, 3);
+    const parts = files.map(file => readProject(path.join(dir, file)));
+    assert.equal(parts.reduce((sum, part) => sum + part.elements.length, 0), readProject(merged).elements.length);
+    parts.forEach(part => {
+        const ids = new Set(part.elements.map(el => el.id));
+        part.elements.forEach(el => {
+            if (el.frameId) assert.ok(ids.has(el.frameId), `${el.id} keeps a frame it has`);
+            ['startBinding', 'endBinding'].forEach(key => {
+                if (el[key]) assert.ok(ids.has(el[key].id), `${el.id} is bound inside its part`);
+            });
+        });
+    });
+    assert.equal(run('validate', ...files.map(file => path.join(dir, file))).status, 0);
+});
+
+test('split by layer writes one project per layer that has elements', () => {
+    const dir = path.join(TMP, 'layers');
+    const result = run('split', DRAWING, '-o', dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(fs.readdirSync(dir), ['drawing-01-layer-1.json']);
+    assert.equal(readProject(path.join(dir, 'drawing-01-layer-1.json')).elements.length, 12);
+
+    assert.equal(run('split', DRAWING, '--by', 'colour').status, 2);
+});
@@ -0,0 +1,145 @@
+/**
+ * Online Whiteboard - Excalidraw Round Trip Tests
+ * Import -> export -> import of the fixtures in test/fixtures (js/excalidraw.js).
+ *
+ * Usage: node --test test/
+ *
+ * drawing.excalidraw is shaped like a file saved by Excalidraw itself; board.excalidraw
+ * was exported by this app, so it carries our customData (sticky notes, circles, ...).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- 1. SETUP ---
+const ROOT = path.resolve(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+// The DOM-free modules, as cli/whiteboard.js loads them
+const SCRIPTS = ['js/history.js', 'js/document.js', 'js/ink.js', 'js/text.js', 'js/shapes.js', 'js/connectors.js', 'js/spatial-index.js',
+    'js/layers.js', 'js/themes.js', 'js/frames.js', 'js/model.js', 'js/excalidraw.js'];
+// What an element looks like on the board; ids and stacking are compared separately
+const KEYS = ['type', 'x', 'y', 'w', 'h', 'endX', 'endY', 'points', 'color', 'size', 'alpha', 'rotation', 'fill', 'fillAlpha', 'dash',
+    'radius', 'content', 'dataURL', 'fontFamily', 'fontWeight', 'fontStyle', 'textAlign', 'arrowStart', 'arrowEnd', 'routing',
+    'startBinding', 'endBinding', 'frameId'];
+
+function loadModel() {
+    const sandbox = { console };
+    vm.createContext(sandbox);
+    const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+    vm.runInContext(`${source}
+;this.api = { StateManager, createExcalidraw, readExcalidraw };`, sandbox);
+    return sandbox.api;
+}
+
+const api = loadModel();
+
+function readFixture(name) {
+    return api.readExcalidraw(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+// The board as the app has it after opening the document (bound arrows routed)
+function loadState(doc) {
+    const state = new api.StateManager(() => {});
+    state.restore(doc);
+    return state;
+}
+
+// Export the way the app does: from a loaded board, in draw order
+function exportDocument(doc) {
+    const state = loadState(doc);
+    return api.createExcalidraw({ elements: state.getDrawOrder(), background: state.background }, { now: 0 });
+}
+
+// Comparable data per id: numbers rounded (the file stores relative points), copied out of the VM
+function snapshot(doc) {
+    const round = value => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : value);
+    const plain = value => JSON.parse(JSON.stringify(value, (key, v) => round(v)));
+    const elements = loadState(doc).elements;
+    return new Map(elements.map(el => [String(el.id), plain(Object.fromEntries(KEYS.filter(key => key in el).map(key => [key, el[key]])))]));
+}
+
+function roundTrip(name) {
+    const first = readFixture(name);
+    const { file, skipped } = exportDocument(first);
+    return { first, second: api.readExcalidraw(JSON.stringify(file)), file, skipped };
+}
+
+// --- 2. ROUND TRIP ---
+['drawing.excalidraw', 'board.excalidraw'].forEach(name => {
+    test(`${name}: import -> export -> import gives the same board`, () => {
+        const { first, second, skipped } = roundTrip(name);
+        assert.equal(Object.keys(skipped).length, 0, 'everything imported can be exported');
+        const before = snapshot(first);
+        const after = snapshot(second);
+        assert.deepEqual([...after.keys()].sort(), [...before.keys()].sort());
+        before.forEach((el, id) => assert.deepEqual(after.get(id), el, `element ${id}`));
+        assert.deepEqual(plainCopy(second.background), plainCopy(first.background));
+    });
+});
+
+test('the export keeps the stacking order', () => {
+    const { first, second } = roundTrip('drawing.excalidraw');
+    assert.deepEqual(second.elements.map(el => String(el.id)), first.elements.map(el => String(el.id)));
+});
+
+// --- 3. IMPORT ---
+test('Excalidraw shapes come in as the closest thing we have', () => {
+    const doc = readFixture('drawing.excalidraw');
+    const byId = new Map(doc.elements.map(el => [el.id, el]));
+    const types = Object.fromEntries([...byId].map(([id, el]) => [id, el.type]));
+    assert.deepEqual(plainCopy(types), {
+        'frame-1': 'frame', box: 'rect', 'box-label': 'text', oval: 'ellipse', choice: 'diamond', link: 'arrow',
+        detour: 'arrow', zigzag: 'polyline', wedge: 'polygon', scribble: 'brush', note: 'text', logo: 'image'
+    });
+
+    assert.equal(byId.get('link').content, 'then', 'a bound label becomes the arrow label');
+    assert.deepEqual(plainCopy(byId.get('link').endBinding), { id: 'oval' });
+    assert.equal(byId.get('choice').alpha, 0.6);
+    assert.equal(byId.get('oval').dash, 'dashed');
+    assert.equal(byId.get('box').frameId, 'frame-1');
+    assert.ok(byId.get('logo').dataURL.startsWith('data:image/png;base64,'));
+    assert.deepEqual(plainCopy(byId.get('scribble').points.map(p => p.pressure)), [0.2, 0.5, 0.8, 0.4]);
+});
+
+test('an arrow with bends stays an arrow between the same ends, and the bends are reported', () => {
+    const doc = readFixture('drawing.excalidraw');
+    const detour = doc.elements.find(el => el.id === 'detour');
+    assert.equal(detour.routing, 'elbow');
+    assert.deepEqual([detour.x, detour.y, detour.endX, detour.endY], [0, 200, 300, 220]);
+    assert.deepEqual([detour.arrowStart, detour.arrowEnd], ['dot', 'arrow']);
+    assert.equal(doc.skipped['arrow bends'], 1);
+});
+
+test('a rounded arrow with bends comes in curved', () => {
+    const file = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'drawing.excalidraw'), 'utf8'));
+    file.elements.find(item => item.id === 'detour').roundness = { type: 2 };
+    const detour = api.readExcalidraw(JSON.stringify(file)).elements.find(el => el.id === 'detour');
+    assert.equal(detour.routing, 'curved');
+});
+
+test('deleted elements are ignored and unknown ones reported', () => {
+    const doc = readFixture('drawing.excalidraw');
+    assert.ok(!doc.elements.some(el => el.id === 'gone'));
+    assert.deepEqual(plainCopy(doc.skipped), { embeddable: 1, 'arrow bends': 1 });
+});
+
+test('what only this app knows comes back from customData', () => {
+    const byId = new Map(readFixture('board.excalidraw').elements.map(el => [el.id, el]));
+    const sticky = byId.get('s');
+    assert.equal(sticky.type, 'sticky');
+    assert.equal(sticky.content, 'Ship the importer');
+    assert.equal(sticky.fontWeight, 'bold');
+    assert.equal(byId.get('c').type, 'circle');
+    assert.equal(byId.get('h').type, 'highlighter');
+    assert.equal(byId.get('st').type, 'star');
+    assert.equal(byId.get('a1').routing, 'curved');
+    assert.equal(byId.get('a2').routing, 'elbow');
+});
+
+// Values made in the VM have the VM's prototypes; deepEqual wants ours
+function plainCopy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,96 @@
+/**
+ * Online Whiteboard - Command History Tests
+ * How the ops of one gesture are compacted into an undo step (js/history.js).
+ *
+ * Usage: node --test test/
+ *
+ * Loads the browser script in a Node VM, like bench/board-bench.js; no dependencies.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- 1. SETUP ---
+const ROOT = path.resolve(__dirname, '..');
+
+function loadHistory() {
+    const sandbox = {};
+    vm.createContext(sandbox);
+    vm.runInContext(`${fs.readFileSync(path.join(ROOT, 'js/history.js'), 'utf8')}
+;this.api = { CommandHistory, compactOperations };`, sandbox);
+    return sandbox.api;
+}
+
+const { CommandHistory, compactOperations } = loadHistory();
+
+// Every frame of a drag moves each selected element once, so their ops alternate
+function groupDrag(ids, frames) {
+    const ops = [];
+    for (let f = 0; f < frames; f++) ids.forEach(id => ops.push({ type: 'move', id, dx: 1, dy: 2 }));
+    return ops;
+}
+
+// --- 2. COMPACTING ---
+test('a group drag leaves one move per element', () => {
+    const ops = compactOperations(groupDrag(['a', 'b'], 10));
+    assert.deepEqual(plainCopy(ops), [{ type: 'move', id: 'a', dx: 10, dy: 20 }, { type: 'move', id: 'b', dx: 10, dy: 20 }]);
+});
+
+test('a group scale leaves one update per element, from the first prev to the last props', () => {
+    const ops = [];
+    for (let f = 1; f <= 10; f++) {
+        ['a', 'b'].forEach(id => ops.push({ type: 'update', id, props: { w: 10 + f, points: [f] }, prev: { w: 9 + f, points: [f - 1] } }));
+    }
+    const compacted = plainCopy(compactOperations(ops));
+    assert.equal(compacted.length, 2);
+    compacted.forEach(op => {
+        assert.deepEqual(op.props, { w: 20, points: [10] });
+        assert.deepEqual(op.prev, { w: 10, points: [0] });
+    });
+});
+
+test('an op of another type on the same element keeps the ones around it apart', () => {
+    const ops = compactOperations([
+        { type: 'move', id: 'a', dx: 1, dy: 0 },
+        { type: 'update', id: 'a', props: { x: 50 }, prev: { x: 1 } },
+        { type: 'move', id: 'a', dx: 1, dy: 0 }
+    ]);
+    assert.equal(ops.map(op => op.type).join(), 'move,update,move');
+});
+
+test('an element added and deleted in the same gesture leaves nothing', () => {
+    const ops = compactOperations([
+        { type: 'add', element: { id: 'piece' } },
+        { type: 'move', id: 'a', dx: 1, dy: 0 },
+        { type: 'delete', id: 'piece' }
+    ]);
+    assert.deepEqual(plainCopy(ops), [{ type: 'move', id: 'a', dx: 1, dy: 0 }]);
+});
+
+test('the ops passed in are left as they were', () => {
+    const ops = groupDrag(['a', 'b'], 3);
+    compactOperations(ops);
+    assert.ok(ops.every(op => op.dx === 1 && op.dy === 2));
+});
+
+// --- 3. UNDO ---
+test('undoing a group drag moves every element back in one step', () => {
+    const history = new CommandHistory();
+    history.begin();
+    groupDrag(['a', 'b'], 10).forEach(op => history.record(op));
+    history.end();
+    assert.equal(history.undoStack.length, 1);
+    const inverse = plainCopy(history.undo());
+    assert.deepEqual(inverse, {
+        type: 'batch',
+        ops: [{ type: 'move', id: 'b', dx: -10, dy: -20 }, { type: 'move', id: 'a', dx: -10, dy: -20 }]
+    });
+});
+
+// Values made in the VM have the VM's prototypes; deepEqual wants ours
+function plainCopy(value) {
+    return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,83 @@
+/**
+ * Online Whiteboard - Board Model Tests
+ * Element ids and the StateManager operations that create elements in bulk (js/model.js).
+ *
+ * Usage: node --test test/
+ *
+ * Loads the browser scripts in a Node VM, like bench/board-bench.js; no dependencies.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- 1. SETUP ---
+const ROOT = path.resolve(__dirname, '..');
+const SCRIPTS = ['js/history.js', 'js/document.js', 'js/ink.js', 'js/text.js', 'js/shapes.js', 'js/connectors.js', 'js/spatial-index.js',
+    'js/layers.js', 'js/themes.js', 'js/frames.js', 'js/model.js', 'js/selection.js', 'js/eraser.js'];
+const COUNT = 1000; // Far more than fit in one millisecond of Date.now() + Math.random()
+
+function loadModel() {
+    const sandbox = { console };
+    vm.createContext(sandbox);
+    const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+    vm.runInContext(`${source}
+;this.api = { Element, StateManager, EraserTool, createElementId, cloneElements };`, sandbox);
+    return sandbox.api;
+}
+
+const { Element, StateManager, EraserTool, createElementId, cloneElements } = loadModel();
+
+function createState(elements = []) {
+    const state = new StateManager(() => {});
+    elements.forEach(el => state.addElement(el));
+    return state;
+}
+
+function rects(count) {
+    return Array.from({ length: count }, (_, i) => new Element('rect', { x: i * 10, y: 0, w: 8, h: 8 }));
+}
+
+// --- 2. IDS ---
+test('ids made in one tick are all different', () => {
+    const ids = new Set(Array.from({ length: COUNT }, () => createElementId()));
+    assert.equal(ids.size, COUNT);
+});
+
+test('adding many new elements in a loop keeps every one', () => {
+    const state = createState(rects(COUNT));
+    assert.equal(state.elements.length, COUNT);
+});
+
+test('copies (duplicate, paste) get ids of their own', () => {
+    const originals = rects(200);
+    const state = createState(originals);
+    cloneElements(originals).forEach(copy => state.addElement(copy));
+    assert.equal(state.elements.length, 400);
+});
+
+test('merging a board into itself renews every clashing id', () => {
+    const state = createState(rects(500));
+    const data = JSON.parse(JSON.stringify(state.toJSON()));
+    state.merge(data);
+    assert.equal(state.elements.length, 1000);
+    assert.equal(new Set(state.elements.map(el => el.id)).size, 1000);
+});
+
+test('pieces cut by the precision eraser all survive', () => {
+    // Strokes stacked one above another; one sweep cuts each in two
+    const strokes = Array.from({ length: 200 }, (_, i) => new Element('brush', {
+        size: 2,
+        points: Array.from({ length: 21 }, (_, j) => ({ x: j * 10, y: i * 5 }))
+    }));
+    const state = createState(strokes);
+    const app = { state, size: 4, renderer: { scale: 1 }, requestRender() {} };
+    const eraser = new EraserTool(app);
+    eraser.mode = 'precision';
+    eraser.onPointerDown(100, 0);
+    eraser.onPointerMove(100, 200 * 5);
+    eraser.onPointerUp();
+    assert.equal(state.elements.length, 400);
+});
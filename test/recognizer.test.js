@@ -0,0 +1,148 @@
+/**
+ * Online Whiteboard - Shape Recognizer Tests
+ * Classification of freehand strokes (js/recognizer.js) and when they are left alone.
+ *
+ * Usage: node --test test/
+ *
+ * Loads the browser script in a Node VM, like bench/board-bench.js; no dependencies.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// --- 1. SETUP ---
+const ROOT = path.resolve(__dirname, '..');
+
+function loadRecognizer() {
+    const sandbox = {};
+    vm.createContext(sandbox);
+    vm.runInContext(`${fs.readFileSync(path.join(ROOT, 'js/recognizer.js'), 'utf8')}
+;this.api = { RECOGNIZER, classifyStroke, recognizeStroke };`, sandbox);
+    return sandbox.api;
+}
+
+const { RECOGNIZER, classifyStroke, recognizeStroke } = loadRecognizer();
+
+// --- 2. STROKES ---
+// Deterministic hand wobble, so runs are comparable
+function wobble(points, amount, seed = 7) {
+    return points.map(p => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        const a = (seed / 4294967296) * Math.PI * 2;
+        return { x: p.x + Math.cos(a) * amount, y: p.y + Math.sin(a) * amount };
+    });
+}
+
+// Points every `step` units along the corners, in order
+function trace(corners, step = 4) {
+    const points = [];
+    for (let i = 1; i < corners.length; i++) {
+        const a = corners[i - 1], b = corners[i];
+        const n = Math.max(1, Math.round(Math.hypot(b.x - a.x, b.y - a.y) / step));
+        for (let j = 0; j < n; j++) points.push({ x: a.x + (b.x - a.x) * j / n, y: a.y + (b.y - a.y) * j / n });
+    }
+    points.push({ ...corners[corners.length - 1] });
+    return points;
+}
+
+function ellipse(cx, cy, rx, ry, count = 80) {
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+        const a = (i / count) * Math.PI * 2;
+        points.push({ x: cx + Math.cos(a) * rx, y: cy + Math.sin(a) * ry });
+    }
+    return points;
+}
+
+const corners = list => list.map(([x, y]) => ({ x, y }));
+
+// --- 3. CLASSIFICATION ---
+test('a straight stroke is a line between its ends', () => {
+    const shape = recognizeStroke(wobble(trace(corners([[0, 0], [200, 50]])), 1.5));
+    assert.equal(shape.kind, 'line');
+    assert.ok(Math.abs(shape.x1) < 3 && Math.abs(shape.y1) < 3);
+    assert.ok(Math.abs(shape.x2 - 200) < 3 && Math.abs(shape.y2 - 50) < 3);
+    assert.ok(shape.confidence >= RECOGNIZER.THRESHOLD);
+});
+
+test('a closed four-cornered stroke is a level rect', () => {
+    const shape = recognizeStroke(wobble(trace(corners([[0, 0], [160, 0], [160, 100], [0, 100], [0, 0]])), 2));
+    assert.equal(shape.kind, 'rect');
+    assert.equal(shape.rotation, 0);
+    assert.ok(Math.abs(shape.cx - 80) < 4 && Math.abs(shape.cy - 50) < 4);
+    assert.ok(Math.abs(shape.w - 160) < 8 && Math.abs(shape.h - 100) < 8);
+});
+
+test('a rect drawn at an angle keeps its rotation', () => {
+    const turn = Math.PI / 6;
+    const box = corners([[-80, -40], [80, -40], [80, 40], [-80, 40], [-80, -40]])
+        .map(p => ({ x: p.x * Math.cos(turn) - p.y * Math.sin(turn), y: p.x * Math.sin(turn) + p.y * Math.cos(turn) }));
+    const shape = recognizeStroke(trace(box));
+    assert.equal(shape.kind, 'rect');
+    assert.ok(Math.abs(Math.abs(shape.rotation) - turn) < 0.05);
+});
+
+test('a round loop is an ellipse, or a circle when nearly round', () => {
+    const oval = recognizeStroke(wobble(ellipse(100, 100, 120, 60), 2));
+    assert.equal(oval.kind, 'ellipse');
+    assert.ok(Math.abs(oval.w - 240) < 10 && Math.abs(oval.h - 120) < 10);
+
+    const round = recognizeStroke(wobble(ellipse(0, 0, 80, 76), 2));
+    assert.equal(round.kind, 'circle');
+    assert.ok(Math.abs(round.r - 78) < 5);
+});
+
+test('a closed three-cornered stroke is a triangle through its corners', () => {
+    const shape = recognizeStroke(wobble(trace(corners([[0, 120], [70, 0], [140, 120], [0, 120]])), 1.5));
+    assert.equal(shape.kind, 'triangle');
+    assert.equal(shape.points.length, 3);
+    [[0, 120], [70, 0], [140, 120]].forEach(([x, y]) => {
+        assert.ok(shape.points.some(p => Math.hypot(p.x - x, p.y - y) < 8), `corner near ${x}, ${y}`);
+    });
+});
+
+test('a shaft with a head drawn in one go is an arrow pointing at the tip', () => {
+    const stroke = trace(corners([[0, 100], [200, 100], [175, 80], [200, 100], [175, 120]]));
+    const shape = recognizeStroke(wobble(stroke, 1));
+    assert.equal(shape.kind, 'arrow');
+    assert.ok(Math.abs(shape.x1) < 4 && Math.abs(shape.y1 - 100) < 4);
+    assert.ok(Math.abs(shape.x2 - 200) < 4 && Math.abs(shape.y2 - 100) < 4);
+});
+
+test('fits come most confident first', () => {
+    const fits = classifyStroke(trace(corners([[0, 0], [160, 0], [160, 100], [0, 100], [0, 0]])));
+    assert.ok(fits.length > 1);
+    fits.slice(1).forEach((fit, i) => assert.ok(fit.confidence <= fits[i].confidence));
+});
+
+// --- 4. REJECTION ---
+test('dots and strokes smaller than MIN_SIZE are left alone', () => {
+    // Arrays made in the VM have their own prototypes, so lengths are compared
+    assert.equal(classifyStroke([{ x: 5, y: 5 }]).length, 0);
+    assert.equal(classifyStroke([]).length, 0);
+    const tick = trace(corners([[0, 0], [RECOGNIZER.MIN_SIZE * 0.5, RECOGNIZER.MIN_SIZE * 0.5]]), 1);
+    assert.equal(classifyStroke(tick).length, 0);
+    assert.equal(recognizeStroke(tick), null);
+});
+
+test('a scribble clears no threshold', () => {
+    const zigzag = [];
+    for (let i = 0; i <= 12; i++) zigzag.push([i * 20, i % 2 ? 0 : 80]);
+    assert.equal(recognizeStroke(trace(corners(zigzag))), null);
+});
+
+test('an open curve is not a line', () => {
+    const arc = ellipse(0, 0, 100, 100, 80).slice(0, 41); // Half a circle
+    assert.equal(recognizeStroke(arc), null);
+});
+
+test('the threshold decides whether a shaky fit is used', () => {
+    const shaky = wobble(trace(corners([[0, 0], [200, 0]])), 8);
+    const [best] = classifyStroke(shaky);
+    assert.ok(best.confidence > 0 && best.confidence < 1);
+    assert.equal(recognizeStroke(shaky, best.confidence + 0.01), null);
+    assert.equal(recognizeStroke(shaky, best.confidence).kind, best.kind);
+});